@@ -0,0 +1,165 @@
+/**
+ * Week-long campaign for Paperboy 3D game
+ */
+
+import { createRandom, mixSeed, createSeed } from './utils.js';
+
+// One route per day, Monday to Sunday
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Where the campaign is kept between page loads
+const STORAGE_KEY = 'paperboy3d.campaign';
+
+export class Campaign {
+    /**
+     * @param {number} seed - World seed the week is played on
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.day = 0;
+        this.subscribers = null; // Filled from the route on the first day
+        this.score = 0;
+        this.lives = 3;
+        this.summaries = [];
+        this.maxWinBacks = 2; // Non-subscribers won back by a perfect day
+    }
+    
+    /**
+     * Load the saved campaign, or start a new one. A saved week is resumed
+     * unless a different seed was asked for.
+     * @param {number|null} seed - Requested seed, or null for any
+     * @returns {Campaign} Campaign to play
+     */
+    static load(seed) {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (saved && (seed === null || seed === undefined || saved.seed === seed)) {
+                return Object.assign(new Campaign(saved.seed), saved);
+            }
+        } catch (error) {
+            console.error('Could not load saved campaign', error);
+        }
+        
+        return new Campaign(seed !== null && seed !== undefined ? seed : createSeed());
+    }
+    
+    /**
+     * Save the campaign so it survives a page reload
+     */
+    save() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                seed: this.seed,
+                day: this.day,
+                subscribers: this.subscribers,
+                score: this.score,
+                lives: this.lives,
+                summaries: this.summaries
+            }));
+        } catch (error) {
+            console.error('Could not save campaign', error);
+        }
+    }
+    
+    /**
+     * Forget the saved campaign
+     */
+    clear() {
+        try {
+            window.localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.error('Could not clear saved campaign', error);
+        }
+    }
+    
+    /**
+     * Name of the current day
+     * @returns {string} Day name
+     */
+    get dayName() {
+        return DAYS[Math.min(this.day, DAYS.length - 1)];
+    }
+    
+    /**
+     * Whether today is Sunday, when the papers are heavier
+     * @returns {boolean} Whether it is Sunday
+     */
+    get isSunday() {
+        return this.day === DAYS.length - 1;
+    }
+    
+    /**
+     * Whether every day of the week has been ridden
+     * @returns {boolean} Whether the campaign is over
+     */
+    get isComplete() {
+        return this.day >= DAYS.length;
+    }
+    
+    /**
+     * How heavy today's papers are, as a multiplier on gravity
+     * @returns {number} Paper weight
+     */
+    get paperWeight() {
+        return this.isSunday ? 1.4 : 1;
+    }
+    
+    /**
+     * How far through the week it is, which starts the street off harder
+     * on later days (see core/difficulty.js)
+     * @returns {number} Difficulty from 0 (Monday) to 1 (Sunday)
+     */
+    get difficulty() {
+        return Math.min(this.day, DAYS.length - 1) / (DAYS.length - 1);
+    }
+    
+    /**
+     * Close out the day: subscribers who were missed or had a window broken
+     * cancel, and a perfect day wins back some non-subscribers
+     * @param {Route} route - Route that was ridden
+     * @param {number} dayScore - Points scored today
+     * @returns {Object} Summary of the day
+     */
+    finishDay(route, dayScore) {
+        const subscribers = route.getSubscriberList();
+        const missed = subscribers.filter(number => !route.isDelivered(number));
+        const damaged = subscribers.filter(number => route.isDamaged(number));
+        const cancelled = subscribers.filter(number => missed.includes(number) || damaged.includes(number));
+        const perfect = cancelled.length === 0;
+        
+        // Pick the won-back houses from the seed so a replayed week matches
+        const wonBack = [];
+        if (perfect) {
+            const random = createRandom(mixSeed(this.seed, this.day));
+            const candidates = route.getHouses()
+                .map(house => house.number)
+                .filter(number => !route.isSubscriber(number));
+            
+            while (wonBack.length < this.maxWinBacks && candidates.length > 0) {
+                const index = Math.floor(random() * candidates.length);
+                wonBack.push(candidates.splice(index, 1)[0]);
+            }
+        }
+        
+        const summary = {
+            day: this.dayName,
+            score: dayScore,
+            subscribers: subscribers.length,
+            delivered: subscribers.length - missed.length,
+            missed: missed,
+            damaged: damaged,
+            cancelled: cancelled,
+            wonBack: wonBack.sort((a, b) => a - b),
+            perfect: perfect
+        };
+        
+        this.subscribers = subscribers
+            .filter(number => !cancelled.includes(number))
+            .concat(wonBack)
+            .sort((a, b) => a - b);
+        this.summaries.push(summary);
+        this.day++;
+        
+        return summary;
+    }
+}
@@ -3,8 +3,7 @@
  */
 
 export class Controls {
-    constructor(game) {
-        this.game = game;
+    constructor() {
         this.keys = {
             ArrowUp: false,
             ArrowDown: false,
@@ -14,22 +13,29 @@ export class Controls {
             a: false,
             s: false,
             d: false,
+            q: false,
+            e: false,
             ' ': false
         };
         
+        // Key presses waiting for the next simulation step
+        this.pressedKeys = [];
+        
+        // Swap the left and right keys, for players who steer the other way
+        this.invertSteering = false;
+        
         // Bind event listeners
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+        this.onKeyUp = (e) => this.handleKeyUp(e);
         this.setupEventListeners();
-        
-        // Set update interval
-        this.updateInterval = setInterval(() => this.update(), 16);
     }
     
     /**
      * Set up event listeners for keyboard controls
      */
     setupEventListeners() {
-        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
-        window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
     }
     
     /**
@@ -38,10 +44,11 @@ export class Controls {
      */
     handleKeyDown(e) {
         if (this.keys.hasOwnProperty(e.key)) {
+            // Ignore auto-repeat so holding a key is still one press
+            if (!this.keys[e.key]) {
+                this.pressedKeys.push(e.key);
+            }
             this.keys[e.key] = true;
-            
-            // Handle special key actions
-            this.handleSpecialKeyActions(e.key);
         }
     }
     
@@ -56,54 +63,43 @@ export class Controls {
     }
     
     /**
-     * Handle special key actions
-     * @param {string} key - Key that was pressed
+     * Sample input for one simulation step: the keys held now, plus whether
+     * the quick throw key was pressed since the last step
+     * @returns {Object} Input ({ left, right, up, down, throwLeft, throwRight, throwPaper })
      */
-    handleSpecialKeyActions(key) {
-        // Only process actions if game is active
-        if (!this.game.isActive) return;
+    sample() {
+        const throwPaper = this.pressedKeys.includes(' ');
         
-        // Jump when going over a hill
-        if ((key === 'ArrowUp' || key === 'w') && 
-            this.game.player.canJump && 
-            this.game.isPlayerOnHill()) {
-            this.game.player.startJump();
-            this.game.score += 20;
-            this.game.ui.update();
-        }
+        // A throw key tapped between samples still counts as held for one step
+        const throwLeft = this.keys.q || this.pressedKeys.includes('q');
+        const throwRight = this.keys.e || this.pressedKeys.includes('e');
+        this.pressedKeys.length = 0;
         
-        // Throw newspaper with space bar
-        if (key === ' ' && this.game.papers > 0) {
-            console.log('Spacebar pressed, calling throwNewspaper');
-            this.game.throwNewspaper();
-        }
+        const left = this.keys.ArrowLeft || this.keys.a;
+        const right = this.keys.ArrowRight || this.keys.d;
+        return {
+            left: this.invertSteering ? right : left,
+            right: this.invertSteering ? left : right,
+            up: this.keys.ArrowUp || this.keys.w,
+            down: this.keys.ArrowDown || this.keys.s,
+            throwLeft: throwLeft,
+            throwRight: throwRight,
+            throwPaper: throwPaper
+        };
     }
     
     /**
-     * Update player movement based on key states
+     * Forget key presses made while the game wasn't running
      */
-    update() {
-        if (!this.game.isActive) return;
-        
-        // Reset lateral velocity only
-        this.game.player.velocity.x = 0;
-        
-        // Always move forward automatically
-        this.game.player.velocity.z = this.game.player.speed;
-        
-        // Apply controls for left and right movement only (reversed as requested)
-        if (this.keys.ArrowLeft || this.keys.a) {
-            this.game.player.velocity.x = this.game.player.speed; // Right movement (reversed)
-        }
-        if (this.keys.ArrowRight || this.keys.d) {
-            this.game.player.velocity.x = -this.game.player.speed; // Left movement (reversed)
-        }
+    reset() {
+        this.pressedKeys.length = 0;
     }
     
     /**
-     * Clean up event listeners and intervals
+     * Clean up event listeners
      */
     cleanup() {
-        clearInterval(this.updateInterval);
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
     }
 }
\ No newline at end of file
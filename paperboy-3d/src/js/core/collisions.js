@@ -0,0 +1,544 @@
+/**
+ * Collision registry for Paperboy 3D game
+ *
+ * Everything that can be hit or delivered to is a typed collider (box,
+ * cylinder or sphere) in world space. The world registers colliders as
+ * blocks stream in and removes them as blocks go; the simulation looks up
+ * the ones near the player or a paper through the registry's spatial grid.
+ */
+
+import * as THREE from 'three';
+import { SpatialGrid } from './grid.js';
+
+export class Collider {
+    /**
+     * @param {Object} options - Collider settings
+     * @param {string} options.shape - 'box', 'cylinder' or 'sphere'
+     * @param {string} options.kind - What the collider is for, e.g.
+     *     'obstacle', 'mailbox', 'porch', 'wall', 'window' or 'pickup'
+     * @param {THREE.Vector3} options.position - Center of the base for boxes
+     *     and cylinders, center for spheres
+     * @param {number} [options.width] - Box size along x before rotation
+     * @param {number} [options.height] - Box or cylinder height
+     * @param {number} [options.depth] - Box size along z before rotation
+     * @param {number} [options.radius] - Cylinder or sphere radius
+     * @param {number} [options.rotation] - Rotation around y (boxes)
+     * @param {Object} [options.data] - Layout entry the collider stands for
+     */
+    constructor({ shape, kind, position, width = 0, height = 0, depth = 0, radius = 0, rotation = 0, data = null }) {
+        this.shape = shape;
+        this.kind = kind;
+        this.position = position.clone();
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+        this.radius = radius;
+        this.rotation = rotation;
+        this.data = data;
+        this.bounds = new THREE.Box3();
+        this.updateBounds();
+    }
+    
+    /**
+     * Recompute the cached world-space bounds
+     */
+    updateBounds() {
+        const position = this.position;
+        
+        switch (this.shape) {
+            case 'box': {
+                const cos = Math.abs(Math.cos(this.rotation));
+                const sin = Math.abs(Math.sin(this.rotation));
+                const halfX = cos * this.width / 2 + sin * this.depth / 2;
+                const halfZ = sin * this.width / 2 + cos * this.depth / 2;
+                this.bounds.min.set(position.x - halfX, position.y, position.z - halfZ);
+                this.bounds.max.set(position.x + halfX, position.y + this.height, position.z + halfZ);
+                break;
+            }
+            case 'cylinder':
+                this.bounds.min.set(position.x - this.radius, position.y, position.z - this.radius);
+                this.bounds.max.set(position.x + this.radius, position.y + this.height, position.z + this.radius);
+                break;
+            case 'sphere':
+                this.bounds.min.set(position.x - this.radius, position.y - this.radius, position.z - this.radius);
+                this.bounds.max.set(position.x + this.radius, position.y + this.radius, position.z + this.radius);
+                break;
+        }
+    }
+    
+    /**
+     * Whether a point is inside the collider
+     * @param {THREE.Vector3} point - Point in world space
+     * @returns {boolean} Whether the point is inside
+     */
+    containsPoint(point) {
+        if (!this.bounds.containsPoint(point)) return false;
+        
+        const local = this.toLocal(point);
+        
+        switch (this.shape) {
+            case 'box':
+                return Math.abs(local.x) <= this.width / 2 && Math.abs(local.z) <= this.depth / 2;
+            case 'cylinder':
+                return local.x * local.x + local.z * local.z <= this.radius * this.radius;
+            case 'sphere':
+                return point.distanceToSquared(this.position) <= this.radius * this.radius;
+        }
+        return false;
+    }
+    
+    /**
+     * Move the collider
+     * @param {THREE.Vector3} position - New position
+     * @param {number} [rotation] - New rotation around y
+     */
+    moveTo(position, rotation = this.rotation) {
+        this.position.copy(position);
+        this.rotation = rotation;
+        this.updateBounds();
+    }
+    
+    /**
+     * Express a world-space point relative to the collider: from its base,
+     * and for boxes along the box's own axes
+     * @param {THREE.Vector3} point - Point in world space
+     * @returns {THREE.Vector3} Point in the collider's frame
+     */
+    toLocal(point) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        
+        return new THREE.Vector3(dx * cos - dz * sin, point.y - this.position.y, dx * sin + dz * cos);
+    }
+    
+    /**
+     * Turn a direction in the collider's frame back into world space
+     * @param {THREE.Vector3} direction - Direction in the collider's frame
+     * @returns {THREE.Vector3} Direction in world space
+     */
+    toWorldDirection(direction) {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        
+        return new THREE.Vector3(
+            direction.x * cos + direction.z * sin,
+            direction.y,
+            -direction.x * sin + direction.z * cos
+        );
+    }
+    
+    /**
+     * Turn a point in the collider's frame back into world space
+     * @param {THREE.Vector3} point - Point in the collider's frame
+     * @returns {THREE.Vector3} Point in world space
+     */
+    toWorld(point) {
+        return this.toWorldDirection(point).add(this.position);
+    }
+    
+    /**
+     * Find where a point moving in a straight line first touches the collider
+     * @param {THREE.Vector3} from - Start of the path
+     * @param {THREE.Vector3} to - End of the path
+     * @returns {Object|null} Contact ({ t, point, normal, inside }) with t
+     *     the fraction of the path travelled, or null if the path misses.
+     *     Paths starting inside touch at t = 0 with inside set.
+     */
+    sweep(from, to) {
+        const path = new THREE.Box3().setFromPoints([from, to]);
+        if (!this.bounds.intersectsBox(path)) return null;
+        
+        let hit = null;
+        switch (this.shape) {
+            case 'box':
+                hit = this.sweepBox(this.toLocal(from), this.toLocal(to));
+                break;
+            case 'cylinder':
+                hit = this.sweepCylinder(this.toLocal(from), this.toLocal(to));
+                break;
+            case 'sphere':
+                hit = this.sweepSphere(from, to);
+                break;
+        }
+        if (!hit) return null;
+        
+        return {
+            t: hit.t,
+            point: from.clone().lerp(to, hit.t),
+            normal: this.shape === 'sphere' ? hit.normal : this.toWorldDirection(hit.normal).normalize(),
+            inside: hit.inside
+        };
+    }
+    
+    /**
+     * Sweep a point through the box, in the box's frame (slab test)
+     * @param {THREE.Vector3} from - Start of the path
+     * @param {THREE.Vector3} to - End of the path
+     * @returns {Object|null} Contact ({ t, normal, inside }) or null
+     */
+    sweepBox(from, to) {
+        const min = new THREE.Vector3(-this.width / 2, 0, -this.depth / 2);
+        const max = new THREE.Vector3(this.width / 2, this.height, this.depth / 2);
+        const direction = to.clone().sub(from);
+        
+        let enter = 0;
+        let exit = 1;
+        const normal = new THREE.Vector3();
+        
+        for (const axis of ['x', 'y', 'z']) {
+            if (Math.abs(direction[axis]) < 1e-9) {
+                if (from[axis] < min[axis] || from[axis] > max[axis]) return null;
+                continue;
+            }
+            
+            // Moving forwards along an axis, the path comes in through the
+            // face on the low side, whose normal points back along it
+            let near = (min[axis] - from[axis]) / direction[axis];
+            let far = (max[axis] - from[axis]) / direction[axis];
+            let sign = -1;
+            if (near > far) {
+                [near, far] = [far, near];
+                sign = 1;
+            }
+            
+            if (near > enter) {
+                enter = near;
+                normal.set(0, 0, 0);
+                normal[axis] = sign;
+            }
+            exit = Math.min(exit, far);
+            if (enter > exit) return null;
+        }
+        
+        if (normal.lengthSq() > 0) {
+            return { t: enter, normal: normal, inside: false };
+        }
+        
+        // Started inside: push out through the nearest face
+        let nearest = Infinity;
+        for (const axis of ['x', 'y', 'z']) {
+            for (const [distance, sign] of [[from[axis] - min[axis], -1], [max[axis] - from[axis], 1]]) {
+                if (distance < nearest) {
+                    nearest = distance;
+                    normal.set(0, 0, 0);
+                    normal[axis] = sign;
+                }
+            }
+        }
+        return { t: 0, normal: normal, inside: true };
+    }
+    
+    /**
+     * Sweep a point through the cylinder, in the cylinder's frame
+     * @param {THREE.Vector3} from - Start of the path
+     * @param {THREE.Vector3} to - End of the path
+     * @returns {Object|null} Contact ({ t, normal, inside }) or null
+     */
+    sweepCylinder(from, to) {
+        const radiusSq = this.radius * this.radius;
+        const direction = to.clone().sub(from);
+        const radialSq = (point) => point.x * point.x + point.z * point.z;
+        
+        if (radialSq(from) <= radiusSq && from.y >= 0 && from.y <= this.height) {
+            const outward = new THREE.Vector3(from.x, 0, from.z);
+            const normal = outward.lengthSq() > 0 ? outward.normalize() : new THREE.Vector3(0, 1, 0);
+            return { t: 0, normal: normal, inside: true };
+        }
+        
+        let best = null;
+        const consider = (t, normal) => {
+            if (t >= 0 && t <= 1 && (!best || t < best.t)) {
+                best = { t: t, normal: normal, inside: false };
+            }
+        };
+        
+        // Side
+        const a = direction.x * direction.x + direction.z * direction.z;
+        const b = 2 * (from.x * direction.x + from.z * direction.z);
+        const c = radialSq(from) - radiusSq;
+        const discriminant = b * b - 4 * a * c;
+        if (a > 1e-12 && discriminant >= 0) {
+            const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+            const y = from.y + direction.y * t;
+            if (y >= 0 && y <= this.height) {
+                const point = from.clone().addScaledVector(direction, t);
+                consider(t, new THREE.Vector3(point.x, 0, point.z).normalize());
+            }
+        }
+        
+        // Top and bottom
+        for (const [capY, sign] of [[this.height, 1], [0, -1]]) {
+            if (Math.abs(direction.y) < 1e-9) continue;
+            
+            const t = (capY - from.y) / direction.y;
+            const point = from.clone().addScaledVector(direction, t);
+            if (Math.sign(direction.y) === -sign && radialSq(point) <= radiusSq) {
+                consider(t, new THREE.Vector3(0, sign, 0));
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Sweep a point through the sphere
+     * @param {THREE.Vector3} from - Start of the path, in world space
+     * @param {THREE.Vector3} to - End of the path, in world space
+     * @returns {Object|null} Contact ({ t, normal, inside }) or null
+     */
+    sweepSphere(from, to) {
+        const direction = to.clone().sub(from);
+        const offset = from.clone().sub(this.position);
+        const c = offset.lengthSq() - this.radius * this.radius;
+        
+        if (c <= 0) {
+            const normal = offset.lengthSq() > 0 ? offset.normalize() : new THREE.Vector3(0, 1, 0);
+            return { t: 0, normal: normal, inside: true };
+        }
+        
+        const a = direction.lengthSq();
+        const b = offset.dot(direction);
+        const discriminant = b * b - a * c;
+        if (a < 1e-12 || discriminant < 0) return null;
+        
+        const t = (-b - Math.sqrt(discriminant)) / a;
+        if (t < 0 || t > 1) return null;
+        
+        const point = from.clone().addScaledVector(direction, t);
+        return { t: t, normal: point.sub(this.position).normalize(), inside: false };
+    }
+    
+    /**
+     * Closest point of a box collider to a point, in the box's frame
+     * @param {THREE.Vector3} local - Point in the box's frame
+     * @returns {THREE.Vector3} Closest point in the box's frame
+     */
+    clampToBox(local) {
+        return new THREE.Vector3(
+            THREE.MathUtils.clamp(local.x, -this.width / 2, this.width / 2),
+            THREE.MathUtils.clamp(local.y, 0, this.height),
+            THREE.MathUtils.clamp(local.z, -this.depth / 2, this.depth / 2)
+        );
+    }
+    
+    /**
+     * Check whether a box collider (such as the player) overlaps this one
+     * @param {Collider} box - Box collider, possibly rotated
+     * @returns {Object|null} Contact ({ point, normal }) with the normal
+     *     pointing from this collider toward the box, or null if apart
+     */
+    overlap(box) {
+        if (!this.bounds.intersectsBox(box.bounds)) return null;
+        
+        switch (this.shape) {
+            case 'box':
+                return this.overlapBox(box);
+            case 'cylinder': {
+                // Closest point of the box to the axis, at the box's height
+                const axisPoint = this.position.clone();
+                axisPoint.y = THREE.MathUtils.clamp(box.position.y, this.position.y, this.position.y + this.height);
+                const closest = box.toWorld(box.clampToBox(box.toLocal(axisPoint)));
+                const outward = new THREE.Vector3(closest.x - this.position.x, 0, closest.z - this.position.z);
+                if (outward.lengthSq() > this.radius * this.radius) return null;
+                
+                if (outward.lengthSq() === 0) {
+                    outward.set(box.position.x - this.position.x, 0, box.position.z - this.position.z);
+                }
+                const normal = outward.lengthSq() > 0 ? outward.normalize() : new THREE.Vector3(0, 0, -1);
+                const point = this.position.clone().addScaledVector(normal, this.radius);
+                point.y = closest.y;
+                return { point: point, normal: normal };
+            }
+            case 'sphere': {
+                const closest = box.toWorld(box.clampToBox(box.toLocal(this.position)));
+                const outward = closest.clone().sub(this.position);
+                if (outward.lengthSq() > this.radius * this.radius) return null;
+                
+                const normal = outward.lengthSq() > 0 ? outward.normalize() : new THREE.Vector3(0, 1, 0);
+                return { point: closest, normal: normal };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Oriented box against oriented box: separating axes on the ground, plus
+     * the heights overlapping
+     * @param {Collider} box - Other box collider
+     * @returns {Object|null} Contact ({ point, normal }) or null
+     */
+    overlapBox(box) {
+        if (this.bounds.max.y < box.bounds.min.y || box.bounds.max.y < this.bounds.min.y) return null;
+        
+        const axes = [
+            this.toWorldDirection(new THREE.Vector3(1, 0, 0)),
+            this.toWorldDirection(new THREE.Vector3(0, 0, 1)),
+            box.toWorldDirection(new THREE.Vector3(1, 0, 0)),
+            box.toWorldDirection(new THREE.Vector3(0, 0, 1))
+        ];
+        const between = box.position.clone().sub(this.position);
+        between.y = 0;
+        
+        let smallest = Infinity;
+        let normal = null;
+        for (const axis of axes) {
+            const distance = between.dot(axis);
+            const overlap = this.getHalfExtent(axis) + box.getHalfExtent(axis) - Math.abs(distance);
+            if (overlap <= 0) return null;
+            
+            if (overlap < smallest) {
+                smallest = overlap;
+                normal = axis.clone().multiplyScalar(distance < 0 ? -1 : 1);
+            }
+        }
+        
+        const centerY = (Math.max(this.bounds.min.y, box.bounds.min.y) + Math.min(this.bounds.max.y, box.bounds.max.y)) / 2;
+        const target = box.position.clone();
+        target.y = centerY;
+        const point = this.toWorld(this.clampToBox(this.toLocal(target)));
+        return { point: point, normal: normal };
+    }
+    
+    /**
+     * Half the box's extent along a direction on the ground
+     * @param {THREE.Vector3} axis - Unit direction
+     * @returns {number} Half extent
+     */
+    getHalfExtent(axis) {
+        const xAxis = this.toWorldDirection(new THREE.Vector3(1, 0, 0));
+        const zAxis = this.toWorldDirection(new THREE.Vector3(0, 0, 1));
+        return Math.abs(axis.dot(xAxis)) * this.width / 2 + Math.abs(axis.dot(zAxis)) * this.depth / 2;
+    }
+}
+
+export class CollisionRegistry {
+    /**
+     * @param {number} blockPitch - Grid cell length along the street
+     * @param {number} laneWidth - Grid cell width across the street
+     */
+    constructor(blockPitch, laneWidth) {
+        this.grid = new SpatialGrid(blockPitch, laneWidth);
+    }
+    
+    /**
+     * Number of registered colliders
+     * @returns {number} Collider count
+     */
+    get size() {
+        return this.grid.size;
+    }
+    
+    /**
+     * Register a collider
+     * @param {Collider} collider - Collider to add
+     */
+    add(collider) {
+        this.grid.insert(collider, toGridBounds(collider.bounds));
+    }
+    
+    /**
+     * Unregister a collider
+     * @param {Collider} collider - Collider to remove
+     */
+    remove(collider) {
+        this.grid.remove(collider);
+    }
+    
+    /**
+     * Refile a collider after moving it
+     * @param {Collider} collider - Collider that moved
+     */
+    update(collider) {
+        collider.updateBounds();
+        this.grid.insert(collider, toGridBounds(collider.bounds));
+    }
+    
+    /**
+     * Whether a collider is registered
+     * @param {Collider} collider - Collider
+     * @returns {boolean} Whether it is registered
+     */
+    has(collider) {
+        return this.grid.entryCells.has(collider);
+    }
+    
+    /**
+     * Find colliders of a kind whose bounds overlap a region
+     * @param {THREE.Box3} box - Region in world space
+     * @param {string|Array<string>} [kind] - Only colliders of this kind (or kinds)
+     * @returns {Array<Collider>} Colliders
+     */
+    query(box, kind) {
+        const kinds = kind ? [].concat(kind) : null;
+        return this.grid.query(toGridBounds(box)).filter(collider =>
+            (!kinds || kinds.includes(collider.kind)) && collider.bounds.intersectsBox(box));
+    }
+    
+    /**
+     * Find everything a point moving in a straight line touches
+     * @param {THREE.Vector3} from - Start of the path
+     * @param {THREE.Vector3} to - End of the path
+     * @param {string|Array<string>} [kind] - Only colliders of this kind (or kinds)
+     * @returns {Array<Object>} Contacts ({ collider, t, point, normal, inside }),
+     *     nearest first
+     */
+    sweep(from, to, kind) {
+        const path = new THREE.Box3().setFromPoints([from, to]);
+        const contacts = [];
+        
+        for (const collider of this.query(path, kind)) {
+            const contact = collider.sweep(from, to);
+            if (contact) {
+                contacts.push({ collider, ...contact });
+            }
+        }
+        return contacts.sort((a, b) => a.t - b.t);
+    }
+    
+    /**
+     * Find everything a box collider overlaps
+     * @param {Collider} box - Box collider, e.g. the player
+     * @param {string|Array<string>} [kind] - Only colliders of this kind (or kinds)
+     * @returns {Array<Object>} Contacts ({ collider, point, normal })
+     */
+    overlaps(box, kind) {
+        const contacts = [];
+        
+        for (const collider of this.query(box.bounds, kind)) {
+            const contact = collider.overlap(box);
+            if (contact) {
+                contacts.push({ collider, ...contact });
+            }
+        }
+        return contacts;
+    }
+    
+    /**
+     * Find colliders of a kind that contain a point
+     * @param {THREE.Vector3} point - Point in world space
+     * @param {string|Array<string>} [kind] - Only colliders of this kind (or kinds)
+     * @returns {Array<Collider>} Colliders
+     */
+    queryPoint(point, kind) {
+        const box = new THREE.Box3(point.clone(), point.clone());
+        return this.query(box, kind).filter(collider => collider.containsPoint(point));
+    }
+    
+    /**
+     * Remove every collider
+     */
+    clear() {
+        this.grid.clear();
+    }
+}
+
+/**
+ * Ground footprint of a box, as the spatial grid takes it
+ * @param {THREE.Box3} box - Box
+ * @returns {Object} Bounds ({ minX, maxX, minZ, maxZ })
+ */
+function toGridBounds(box) {
+    return { minX: box.min.x, maxX: box.max.x, minZ: box.min.z, maxZ: box.max.z };
+}
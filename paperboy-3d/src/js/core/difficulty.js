@@ -0,0 +1,51 @@
+/**
+ * Difficulty for Paperboy 3D game
+ *
+ * The street gets harder block by block: more cars, drains and hills, more
+ * hazards out, a faster bike and mailboxes that have to be hit closer. Each
+ * block gets a level from 0 to 1; the preset picks where the first block
+ * starts and how fast the level climbs, and later days of the week start
+ * further up.
+ */
+
+// Level of the first block and how much each block after it adds
+export const DIFFICULTY_PRESETS = {
+    easy: { start: 0, climb: 0.025 },
+    normal: { start: 0.1, climb: 0.04 },
+    hard: { start: 0.35, climb: 0.05 }
+};
+
+/**
+ * Scale a setting between its easiest and hardest values
+ * @param {number} easy - Value at level 0
+ * @param {number} hard - Value at level 1
+ * @param {number} level - Difficulty level from 0 to 1
+ * @returns {number} Value at the level
+ */
+export function scaleByDifficulty(easy, hard, level) {
+    return easy + (hard - easy) * level;
+}
+
+export class Difficulty {
+    /**
+     * @param {string} [preset] - Preset ('easy', 'normal' or 'hard')
+     * @param {number} [week] - How far through the week it is, from 0
+     *     (Monday) to 1 (Sunday)
+     */
+    constructor(preset = 'normal', week = 0) {
+        this.preset = DIFFICULTY_PRESETS[preset] ? preset : 'normal';
+        this.week = week;
+        this.weekClimb = 0.3; // How much higher Sunday starts than Monday
+    }
+    
+    /**
+     * Difficulty level of a block
+     * @param {number} blockIndex - Index of the block
+     * @returns {number} Level from 0 to 1
+     */
+    levelAt(blockIndex) {
+        const { start, climb } = DIFFICULTY_PRESETS[this.preset];
+        const level = start + this.week * this.weekClimb + blockIndex * climb;
+        return Math.max(0, Math.min(1, level));
+    }
+}
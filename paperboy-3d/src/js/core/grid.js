@@ -0,0 +1,124 @@
+/**
+ * Spatial grid for Paperboy 3D game
+ *
+ * Broadphase for collisions: entries are filed under every cell their
+ * bounds touch, with cells keyed by block along the street and lane across
+ * it, so a query only looks at what is near the region asked about.
+ */
+
+export class SpatialGrid {
+    /**
+     * @param {number} blockPitch - Cell length along the street (one block)
+     * @param {number} laneWidth - Cell width across the street
+     */
+    constructor(blockPitch, laneWidth) {
+        this.blockPitch = blockPitch;
+        this.laneWidth = laneWidth;
+        this.cells = new Map(); // Cell key -> entries in the cell
+        this.entryCells = new Map(); // Entry -> keys of the cells it is in
+    }
+    
+    /**
+     * Number of entries in the grid
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entryCells.size;
+    }
+    
+    /**
+     * Key of the cell at a block and lane
+     * @param {number} block - Block index
+     * @param {number} lane - Lane index
+     * @returns {string} Cell key
+     */
+    getKey(block, lane) {
+        return `${block},${lane}`;
+    }
+    
+    /**
+     * Call a function for each cell a region covers
+     * @param {Object} bounds - Region ({ minX, maxX, minZ, maxZ })
+     * @param {Function} callback - Called with each cell key
+     */
+    forEachCell(bounds, callback) {
+        const firstBlock = Math.floor(bounds.minZ / this.blockPitch);
+        const lastBlock = Math.floor(bounds.maxZ / this.blockPitch);
+        const firstLane = Math.floor(bounds.minX / this.laneWidth);
+        const lastLane = Math.floor(bounds.maxX / this.laneWidth);
+        
+        for (let block = firstBlock; block <= lastBlock; block++) {
+            for (let lane = firstLane; lane <= lastLane; lane++) {
+                callback(this.getKey(block, lane));
+            }
+        }
+    }
+    
+    /**
+     * Add an entry, filing it under every cell its bounds touch
+     * @param {Object} entry - Entry to add
+     * @param {Object} bounds - Entry bounds ({ minX, maxX, minZ, maxZ })
+     */
+    insert(entry, bounds) {
+        if (this.entryCells.has(entry)) {
+            this.remove(entry);
+        }
+        
+        const keys = [];
+        this.forEachCell(bounds, (key) => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(entry);
+            keys.push(key);
+        });
+        this.entryCells.set(entry, keys);
+    }
+    
+    /**
+     * Remove an entry
+     * @param {Object} entry - Entry to remove
+     */
+    remove(entry) {
+        const keys = this.entryCells.get(entry);
+        if (!keys) return;
+        
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            cell.delete(entry);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.entryCells.delete(entry);
+    }
+    
+    /**
+     * Find the entries filed under the cells a region covers. Entries are
+     * near the region, not necessarily inside it; callers do the exact test.
+     * @param {Object} bounds - Region ({ minX, maxX, minZ, maxZ })
+     * @returns {Array} Entries, each listed once
+     */
+    query(bounds) {
+        const found = new Set();
+        this.forEachCell(bounds, (key) => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                for (const entry of cell) {
+                    found.add(entry);
+                }
+            }
+        });
+        return [...found];
+    }
+    
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.cells.clear();
+        this.entryCells.clear();
+    }
+}
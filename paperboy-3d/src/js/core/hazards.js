@@ -0,0 +1,330 @@
+/**
+ * Roaming hazards for Paperboy 3D game
+ *
+ * Dogs that chase the player past their house, joggers on the sidewalks,
+ * skateboarders crossing the street and runaway lawnmowers. Like traffic,
+ * each is an obstacle with a collider that moves with it. A paper knocks
+ * one out for a few seconds, and while it is down it can be ridden past.
+ * Harder blocks send more of them out.
+ */
+
+import * as THREE from 'three';
+import { createRandom, mixSeed } from '../utils.js';
+import { scaleByDifficulty } from './difficulty.js';
+
+// Hazard sizes, how fast they go and how long a paper stops them for
+export const HAZARD_TYPES = {
+    dog: { width: 0.6, height: 0.8, depth: 1.1, speed: 7.5, stunTime: 4 },
+    jogger: { width: 0.7, height: 1.8, depth: 0.7, speed: 3, stunTime: 2.5 },
+    skateboarder: { width: 0.7, height: 1.8, depth: 1.1, speed: 5, stunTime: 2.5 },
+    lawnmower: { width: 1, height: 0.9, depth: 1.3, speed: 2, stunTime: 3 }
+};
+
+export class Hazards {
+    /**
+     * @param {WorldLayout} world - World layout the hazards roam
+     */
+    constructor(world) {
+        this.world = world;
+        this.hazards = [];
+        this.spawnedBlocks = new Set(); // Indices of blocks whose hazards are out
+        this.sidewalkX = world.blockWidth / 4 + 1.5; // Middle of each sidewalk
+        this.lawnX = { min: world.blockWidth / 2 - 1.5, max: world.blockWidth / 2 + 1.5 };
+        this.dogRange = 10; // Dogs give chase when the player is this close
+        this.dogLeash = 20; // and give up this far from home
+        this.skateboardPause = 1; // Seconds a skateboarder waits at the curb
+        
+        this.spawnHazards();
+    }
+    
+    /**
+     * Move every hazard for one step
+     * @param {number} deltaTime - Step length in seconds
+     * @param {PlayerState} player - Player, for the dogs to chase
+     */
+    update(deltaTime, player) {
+        this.spawnHazards();
+        this.removeDistantHazards(player.position.z);
+        
+        for (const hazard of this.hazards) {
+            hazard.previousPosition.copy(hazard.position);
+            hazard.moving = false;
+            
+            if (hazard.stunTimer > 0) {
+                hazard.stunTimer -= deltaTime;
+                continue;
+            }
+            
+            switch (hazard.type) {
+                case 'dog':
+                    this.updateDog(hazard, deltaTime, player);
+                    break;
+                case 'jogger':
+                    this.updateJogger(hazard, deltaTime);
+                    break;
+                case 'skateboarder':
+                    this.updateSkateboarder(hazard, deltaTime);
+                    break;
+                case 'lawnmower':
+                    this.updateLawnmower(hazard, deltaTime);
+                    break;
+            }
+            this.world.moveObstacle(hazard);
+        }
+    }
+    
+    /**
+     * Whether an obstacle is one of the roaming hazards
+     * @param {Object} obstacle - Obstacle
+     * @returns {boolean} Whether it is a hazard
+     */
+    isHazard(obstacle) {
+        return obstacle.type in HAZARD_TYPES;
+    }
+    
+    /**
+     * Knock a hazard out after a paper hits it
+     * @param {Object} hazard - Hazard
+     */
+    stun(hazard) {
+        hazard.stunTimer = HAZARD_TYPES[hazard.type].stunTime;
+        
+        // A dog that comes round has had enough of chasing
+        if (hazard.type === 'dog') {
+            hazard.state = 'returning';
+        }
+    }
+    
+    /**
+     * Send out the hazards of every block laid out since the last step. The
+     * first block is left quiet so the player has a clear start.
+     */
+    spawnHazards() {
+        const blockLength = this.world.blockLength;
+        
+        for (const block of this.world.blocks) {
+            if (this.spawnedBlocks.has(block.index)) continue;
+            
+            this.spawnedBlocks.add(block.index);
+            if (block.index === 0) continue;
+            
+            const random = createRandom(mixSeed(block.seed, 3));
+            const side = () => (random() < 0.5 ? -1 : 1);
+            const chance = (easy, hard) => scaleByDifficulty(easy, hard, block.difficulty);
+            
+            // Joggers run the sidewalks, and the park path
+            if (random() < chance(0.4, 0.9)) {
+                const x = block.isPark ? side() * 3 : side() * this.sidewalkX;
+                this.addHazard('jogger', new THREE.Vector3(x, 0, block.z + random() * blockLength), block, {
+                    direction: new THREE.Vector3(0, 0, side())
+                });
+            }
+            if (block.isPark) continue;
+            
+            // Dogs wait on the lawns of some houses
+            for (const house of block.houses) {
+                if (random() < chance(0.1, 0.3)) {
+                    const facing = house.isLeftSide ? 1 : -1;
+                    const home = new THREE.Vector3(house.position.x + facing * 6, 0, house.position.z);
+                    this.addHazard('dog', home, block, {
+                        home: home.clone(),
+                        state: 'waiting',
+                        chaseTime: 0,
+                        direction: new THREE.Vector3(-facing, 0, 0)
+                    });
+                }
+            }
+            
+            // Skateboarders cross from curb to curb
+            if (random() < chance(0.15, 0.6)) {
+                const z = block.z + 3 + random() * (blockLength - 6);
+                const x = side() * this.sidewalkX;
+                this.addHazard('skateboarder', new THREE.Vector3(x, 0, z), block, {
+                    direction: new THREE.Vector3(-Math.sign(x), 0, 0),
+                    pause: 0
+                });
+            }
+            
+            // Lawnmowers wander the lawns
+            if (random() < chance(0.1, 0.5)) {
+                const x = side() * (this.lawnX.min + random() * (this.lawnX.max - this.lawnX.min));
+                const z = block.z + 2 + random() * (blockLength - 4);
+                const angle = random() * Math.PI * 2;
+                this.addHazard('lawnmower', new THREE.Vector3(x, 0, z), block, {
+                    direction: new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle))
+                });
+            }
+        }
+    }
+    
+    /**
+     * Put a hazard into the world
+     * @param {string} type - Hazard type
+     * @param {THREE.Vector3} position - Where it starts
+     * @param {Object} block - Block it belongs to
+     * @param {Object} state - Behaviour state, with the direction it faces
+     * @returns {Object} Hazard
+     */
+    addHazard(type, position, block, state) {
+        const size = HAZARD_TYPES[type];
+        const hazard = {
+            type: type,
+            position: position.clone(),
+            previousPosition: position.clone(),
+            width: size.width,
+            height: size.height,
+            depth: size.depth,
+            rotation: Math.atan2(state.direction.x, state.direction.z),
+            speed: size.speed,
+            blockStart: block.z,
+            stunTimer: 0, // Time left knocked out by a paper
+            moving: false,
+            ...state
+        };
+        this.hazards.push(hazard);
+        this.world.addObstacle(hazard);
+        
+        return hazard;
+    }
+    
+    /**
+     * Take a hazard out of the world
+     * @param {Object} hazard - Hazard
+     */
+    removeHazard(hazard) {
+        const index = this.hazards.indexOf(hazard);
+        if (index !== -1) {
+            this.hazards.splice(index, 1);
+        }
+        this.world.removeObstacle(hazard);
+    }
+    
+    /**
+     * Remove hazards that have fallen behind the stretch of street being
+     * kept. Hazards ahead stay, since they are sent out with the blocks
+     * coming into view, further ahead than the view reaches.
+     * @param {number} playerZ - Player position along the street
+     */
+    removeDistantHazards(playerZ) {
+        const minZ = playerZ - this.world.cameraOffset - this.world.behindDistance;
+        
+        for (let i = this.hazards.length - 1; i >= 0; i--) {
+            const hazard = this.hazards[i];
+            if (hazard.position.z < minZ) {
+                this.removeHazard(hazard);
+            }
+        }
+    }
+    
+    /**
+     * Move a hazard along its direction, facing the way it goes
+     * @param {Object} hazard - Hazard
+     * @param {number} distance - Distance to move
+     */
+    move(hazard, distance) {
+        hazard.position.addScaledVector(hazard.direction, distance);
+        hazard.rotation = Math.atan2(hazard.direction.x, hazard.direction.z);
+        hazard.moving = distance > 0;
+    }
+    
+    /**
+     * Wait at home until the player comes past, chase them, then give up
+     * and trot home
+     * @param {Object} dog - Dog
+     * @param {number} deltaTime - Step length in seconds
+     * @param {PlayerState} player - Player
+     */
+    updateDog(dog, deltaTime, player) {
+        const toPlayer = new THREE.Vector3(player.position.x - dog.position.x, 0, player.position.z - dog.position.z);
+        
+        switch (dog.state) {
+            case 'waiting':
+                if (toPlayer.length() < this.dogRange) {
+                    dog.state = 'chasing';
+                }
+                break;
+            case 'chasing': {
+                dog.chaseTime += deltaTime;
+                const distance = toPlayer.length();
+                if (dog.chaseTime > 5 || dog.position.distanceTo(dog.home) > this.dogLeash) {
+                    dog.state = 'returning';
+                } else if (distance > 0.01) {
+                    dog.direction.copy(toPlayer).divideScalar(distance);
+                    this.move(dog, Math.min(distance, dog.speed * deltaTime));
+                }
+                break;
+            }
+            case 'returning': {
+                // One chase per dog; it stays home once it is back
+                const toHome = dog.home.clone().sub(dog.position);
+                const distance = toHome.length();
+                if (distance < 0.1) {
+                    dog.state = 'home';
+                } else {
+                    dog.direction.copy(toHome).divideScalar(distance);
+                    this.move(dog, Math.min(distance, dog.speed * 0.5 * deltaTime));
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Run up and down the block's sidewalk
+     * @param {Object} jogger - Jogger
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateJogger(jogger, deltaTime) {
+        this.move(jogger, jogger.speed * deltaTime);
+        
+        const start = jogger.blockStart;
+        const end = start + this.world.blockLength;
+        if (jogger.position.z < start || jogger.position.z > end) {
+            jogger.position.z = Math.max(start, Math.min(end, jogger.position.z));
+            jogger.direction.z = -jogger.direction.z;
+        }
+    }
+    
+    /**
+     * Ride across the street, wait at the curb, and ride back
+     * @param {Object} skateboarder - Skateboarder
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateSkateboarder(skateboarder, deltaTime) {
+        if (skateboarder.pause > 0) {
+            skateboarder.pause -= deltaTime;
+            return;
+        }
+        
+        this.move(skateboarder, skateboarder.speed * deltaTime);
+        if (Math.abs(skateboarder.position.x) >= this.sidewalkX &&
+            Math.sign(skateboarder.position.x) === Math.sign(skateboarder.direction.x)) {
+            skateboarder.position.x = Math.sign(skateboarder.position.x) * this.sidewalkX;
+            skateboarder.direction.x = -skateboarder.direction.x;
+            skateboarder.pause = this.skateboardPause;
+        }
+    }
+    
+    /**
+     * Roll across the lawn, bouncing off its edges
+     * @param {Object} lawnmower - Lawnmower
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateLawnmower(lawnmower, deltaTime) {
+        this.move(lawnmower, lawnmower.speed * deltaTime);
+        
+        const position = lawnmower.position;
+        const direction = lawnmower.direction;
+        const side = Math.sign(position.x);
+        const x = Math.abs(position.x);
+        if ((x < this.lawnX.min && direction.x * side < 0) || (x > this.lawnX.max && direction.x * side > 0)) {
+            direction.x = -direction.x;
+        }
+        
+        const start = lawnmower.blockStart + 1;
+        const end = lawnmower.blockStart + this.world.blockLength - 1;
+        if ((position.z < start && direction.z < 0) || (position.z > end && direction.z > 0)) {
+            direction.z = -direction.z;
+        }
+    }
+}
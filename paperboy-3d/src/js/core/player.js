@@ -0,0 +1,220 @@
+/**
+ * Player physics for Paperboy 3D game
+ */
+
+import * as THREE from 'three';
+
+export class PlayerState {
+    constructor() {
+        this.width = 1;
+        this.height = 2;
+        this.depth = 1.5;
+        this.position = new THREE.Vector3(0, 0, 0);
+        this.previousPosition = new THREE.Vector3(0, 0, 0); // For interpolated rendering
+        this.velocity = new THREE.Vector3(0, 0, 0); // Units per second
+        
+        // Riding along the street: the bike rolls at cruising speed unless
+        // the player pedals harder or brakes
+        this.cruiseSpeed = 9;
+        this.minSpeed = 3;
+        this.maxSpeed = 15;
+        this.speed = this.cruiseSpeed; // Current speed along the street
+        this.throttle = 6; // Speeding up, units per second squared
+        this.brake = 12; // Slowing down
+        this.coast = 2; // Drifting back to cruising speed
+        this.speedBoost = 1; // Multiplier on the speeds above, from power-ups
+        
+        // Steering across the street: pushing accelerates the bike sideways
+        // and friction slows it, so sideways speed tops out at
+        // steerAcceleration / steerFriction
+        this.steerAcceleration = 40;
+        this.steerFriction = 4.5;
+        this.maxLean = 0.35; // Radians of lean at top sideways speed
+        this.wheelRadius = 0.5;
+        this.input = { left: false, right: false, up: false, down: false };
+        this.canJump = true;
+        this.isJumping = false;
+        this.jumpSpeed = 12;
+        this.gravity = 54;
+        this.playerHeight = 1;
+        this.isInvincible = false;
+        this.invincibleTime = 0;
+        this.invincibleDuration = 2;
+        this.isShielded = false; // Invincible from a shield rather than a crash
+        this.blinkTime = 0;
+        this.isVisible = true;
+        
+        // Pose the view copies onto the bike model
+        this.heading = 0; // Rotation around y
+        this.tilt = 0; // Rotation around z from jumps
+        this.lean = 0; // Rotation around z from leaning into turns
+        this.wheelRotation = 0;
+        
+        this.reset();
+    }
+    
+    /**
+     * Take the controls held for one step
+     * @param {Object} input - Input state ({ left, right, up, down }); left
+     *     and right are as seen from the camera behind the bike
+     */
+    applyInput(input) {
+        this.input = input;
+    }
+    
+    /**
+     * Speed up, slow down and steer from the controls held
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateHandling(deltaTime) {
+        const input = this.input;
+        
+        // Along the street
+        let targetSpeed = this.cruiseSpeed;
+        let rate = this.coast;
+        if (input.up && !input.down) {
+            targetSpeed = this.maxSpeed;
+            rate = this.throttle;
+        } else if (input.down && !input.up) {
+            targetSpeed = this.minSpeed;
+            rate = this.brake;
+        }
+        targetSpeed *= this.speedBoost;
+        const change = rate * this.speedBoost * deltaTime;
+        this.speed += Math.max(-change, Math.min(change, targetSpeed - this.speed));
+        this.velocity.z = this.speed;
+        
+        // Across the street. The camera looks up the street (+z), so the
+        // screen's left is +x
+        const steer = (input.left ? 1 : 0) - (input.right ? 1 : 0);
+        this.velocity.x += steer * this.steerAcceleration * deltaTime;
+        this.velocity.x -= this.velocity.x * Math.min(1, this.steerFriction * deltaTime);
+        if (steer === 0 && Math.abs(this.velocity.x) < 0.01) {
+            this.velocity.x = 0;
+        }
+        
+        // Lean into the turn, easing toward how hard the bike is turning
+        const topSideSpeed = this.steerAcceleration / this.steerFriction;
+        const targetLean = -this.maxLean * this.velocity.x / topSideSpeed;
+        this.lean += (targetLean - this.lean) * Math.min(1, 10 * deltaTime);
+    }
+    
+    /**
+     * Advance the player by one simulation step
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        this.previousPosition.copy(this.position);
+        this.updateHandling(deltaTime);
+        
+        // Update position based on velocity
+        this.position.x += this.velocity.x * deltaTime;
+        this.position.z += this.velocity.z * deltaTime;
+        
+        // Limit player to road area, stopping dead against the edge
+        if (Math.abs(this.position.x) > 15) {
+            this.position.x = Math.sign(this.position.x) * 15;
+            this.velocity.x = 0;
+        }
+        
+        // Wheels roll with the bike, and spin on in the air
+        this.wheelRotation += this.speed * deltaTime / this.wheelRadius;
+        
+        // Handle jumping
+        if (this.isJumping) {
+            this.position.y += this.velocity.y * deltaTime;
+            this.velocity.y -= this.gravity * deltaTime;
+            
+            if (this.position.y <= this.playerHeight) {
+                this.position.y = this.playerHeight;
+                this.isJumping = false;
+                this.velocity.y = 0;
+                this.canJump = true;
+                
+                // Reset the tilt when landing
+                this.tilt = 0;
+            }
+        } else {
+            // Gradually reset the rotation if not jumping
+            if (Math.abs(this.tilt) > 0.01) {
+                this.tilt *= Math.pow(0.9, deltaTime * 60);
+            } else {
+                this.tilt = 0;
+            }
+        }
+        
+        // Face the direction of movement
+        if (this.velocity.x !== 0 || this.velocity.z !== 0) {
+            this.heading = Math.atan2(this.velocity.x, this.velocity.z);
+        }
+        
+        // Handle invincibility
+        if (this.isInvincible) {
+            this.invincibleTime += deltaTime;
+            this.blinkTime += deltaTime;
+            
+            // Blink effect after a crash; a shield shows instead
+            if (this.blinkTime > 0.1 && !this.isShielded) {
+                this.blinkTime = 0;
+                this.isVisible = !this.isVisible;
+            }
+            
+            if (this.invincibleTime > this.invincibleDuration) {
+                this.isInvincible = false;
+                this.isShielded = false;
+                this.isVisible = true;
+            }
+        }
+    }
+    
+    /**
+     * Start jump
+     */
+    startJump() {
+        if (!this.isJumping) {
+            this.isJumping = true;
+            // Higher jump velocity for more dramatic hill jumps
+            this.velocity.y = this.jumpSpeed * 1.5;
+            this.canJump = false;
+            
+            // Tilt the bike based on sideways velocity
+            // (about 0.07 radians at full sideways speed)
+            this.tilt = this.velocity.x * 0.008;
+        }
+    }
+    
+    /**
+     * Make player invincible for a short time
+     * @param {number} [duration] - Seconds of invincibility
+     * @param {boolean} [shielded] - Whether it comes from a shield, which
+     *     shows around the bike instead of making it blink
+     */
+    makeInvincible(duration = 2, shielded = false) {
+        this.isInvincible = true;
+        this.invincibleTime = 0;
+        this.invincibleDuration = duration;
+        this.isShielded = shielded;
+        this.isVisible = true;
+        this.blinkTime = 0;
+    }
+    
+    /**
+     * Reset player state
+     */
+    reset() {
+        this.position.set(0, this.playerHeight, 0);
+        this.previousPosition.copy(this.position);
+        this.velocity.set(0, 0, 0);
+        this.speed = this.cruiseSpeed;
+        this.speedBoost = 1;
+        this.lean = 0;
+        this.input = { left: false, right: false, up: false, down: false };
+        this.isJumping = false;
+        this.canJump = true;
+        this.isInvincible = false;
+        this.isShielded = false;
+        this.isVisible = true;
+        this.heading = 0;
+        this.tilt = 0;
+    }
+}
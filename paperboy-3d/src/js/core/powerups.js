@@ -0,0 +1,86 @@
+/**
+ * Power-ups for Paperboy 3D game
+ *
+ * Power-ups lie in the street and on park paths like paper bundles, and
+ * each one picked up starts a timed effect. Picking up one that is already
+ * running starts its timer over. The effects on the bike are set on the
+ * player here; the simulation asks which ones are running for the rest.
+ */
+
+// How long each power-up lasts, in seconds of game time
+export const POWER_UP_TYPES = {
+    speed: { duration: 6 }, // Rides faster
+    shield: { duration: 8 }, // Rides through anything unharmed
+    spread: { duration: 10 }, // Throws three papers for one
+    magnet: { duration: 10 }, // Papers curve toward the nearest mailbox
+    slowMotion: { duration: 5 } // Everything runs at half speed
+};
+
+export class PowerUps {
+    /**
+     * @param {PlayerState} player - Player the effects apply to
+     */
+    constructor(player) {
+        this.player = player;
+        this.timers = new Map(); // Running power-up to the time it has left
+        this.speedBoost = 1.4; // Multiplier on the bike's speeds
+        this.slowMotionScale = 0.5; // Game speed in slow motion
+    }
+    
+    /**
+     * Start a power-up, or start its timer over if it is running
+     * @param {string} type - Power-up type
+     */
+    activate(type) {
+        const duration = POWER_UP_TYPES[type].duration;
+        this.timers.set(type, duration);
+        
+        switch (type) {
+            case 'speed':
+                this.player.speedBoost = this.speedBoost;
+                break;
+            case 'shield':
+                this.player.makeInvincible(duration, true);
+                break;
+        }
+    }
+    
+    /**
+     * Run down the timers and end the power-ups whose time is up
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {Array<string>} Power-ups that ended this step
+     */
+    update(deltaTime) {
+        const ended = [];
+        for (const [type, timeLeft] of this.timers) {
+            if (timeLeft > deltaTime) {
+                this.timers.set(type, timeLeft - deltaTime);
+                continue;
+            }
+            
+            this.timers.delete(type);
+            ended.push(type);
+            if (type === 'speed') {
+                this.player.speedBoost = 1;
+            }
+        }
+        return ended;
+    }
+    
+    /**
+     * Whether a power-up is running
+     * @param {string} type - Power-up type
+     * @returns {boolean} Whether it is running
+     */
+    isActive(type) {
+        return this.timers.has(type);
+    }
+    
+    /**
+     * How fast the game runs against real time
+     * @returns {number} Time scale (1 at normal speed)
+     */
+    get timeScale() {
+        return this.isActive('slowMotion') ? this.slowMotionScale : 1;
+    }
+}
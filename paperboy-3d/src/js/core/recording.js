@@ -0,0 +1,148 @@
+/**
+ * Run recording for Paperboy 3D game
+ *
+ * A run is its seed and starting state plus the input fed to each
+ * simulation step. The simulation is deterministic, so that is enough to
+ * play the run back exactly. Input is stored as changes, each stamped with
+ * the step it applies from.
+ */
+
+import { Simulation } from './simulation.js';
+
+// Bumped whenever the file format or the rules change in a way that would
+// play old recordings back differently
+export const RECORDING_VERSION = 9;
+
+// Controls that are held rather than pressed; a recording stores the steps
+// where any of them change
+export const HELD_CONTROLS = ['left', 'right', 'up', 'down', 'throwLeft', 'throwRight'];
+
+export class Recording {
+    /**
+     * @param {Object} settings - Recording settings
+     * @param {number} settings.seed - World seed
+     * @param {Object} [settings.options] - Simulation options the run
+     *     started with (subscribers, score, lives, papers, paperWeight,
+     *     difficulty, difficultyPreset)
+     * @param {number} [settings.timeStep] - Simulation step length in seconds
+     * @param {string} [settings.day] - Name of the day the run was on
+     */
+    constructor({ seed, options = {}, timeStep = 1 / 60, day = null }) {
+        this.seed = seed;
+        this.options = options;
+        this.timeStep = timeStep;
+        this.day = day;
+        this.inputs = []; // Input changes: the held controls and throwPaper, by step
+        this.duration = 0; // Length of the run in steps
+        this.lastInput = heldControls({});
+    }
+    
+    /**
+     * Length of the run in seconds
+     * @returns {number} Length
+     */
+    get length() {
+        return this.duration * this.timeStep;
+    }
+    
+    /**
+     * Score the run started with, carried over from earlier days
+     * @returns {number} Starting score
+     */
+    get startScore() {
+        return this.options.score || 0;
+    }
+    
+    /**
+     * Record the input for the next simulation step
+     * @param {Object} input - Input sampled for the step
+     */
+    record(input) {
+        const held = heldControls(input);
+        const changed = HELD_CONTROLS.some(control => held[control] !== this.lastInput[control]);
+        
+        if (changed || input.throwPaper) {
+            this.inputs.push({
+                step: this.duration,
+                ...held,
+                throwPaper: Boolean(input.throwPaper)
+            });
+            this.lastInput = held;
+        }
+        this.duration++;
+    }
+    
+    /**
+     * Create a simulation in the state the run started from
+     * @returns {Simulation} Simulation
+     */
+    createSimulation() {
+        return new Simulation({ seed: this.seed, ...this.options });
+    }
+    
+    /**
+     * Plain data for JSON export
+     * @returns {Object} Recording data
+     */
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            seed: this.seed,
+            day: this.day,
+            timeStep: this.timeStep,
+            options: this.options,
+            duration: this.duration,
+            inputs: this.inputs
+        };
+    }
+    
+    /**
+     * Read a recording from exported JSON
+     * @param {string} text - JSON text
+     * @returns {Recording} Recording
+     */
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Recording is not valid JSON');
+        }
+        
+        if (!data || typeof data.seed !== 'number' || !Array.isArray(data.inputs) ||
+            !Number.isInteger(data.duration)) {
+            throw new Error('Not a Paperboy 3D recording');
+        }
+        if (data.version !== RECORDING_VERSION) {
+            throw new Error(`Recording version ${data.version} is not supported`);
+        }
+        
+        const recording = new Recording({
+            seed: data.seed,
+            options: data.options || {},
+            timeStep: data.timeStep,
+            day: data.day || null
+        });
+        recording.inputs = data.inputs.map(input => ({
+            step: input.step,
+            ...heldControls(input),
+            throwPaper: Boolean(input.throwPaper)
+        }));
+        recording.duration = data.duration;
+        
+        return recording;
+    }
+}
+
+/**
+ * Pick out the held controls from an input, each true or false
+ * @param {Object} input - Input
+ * @returns {Object} Held controls (see HELD_CONTROLS)
+ */
+export function heldControls(input) {
+    const held = {};
+    for (const control of HELD_CONTROLS) {
+        held[control] = Boolean(input[control]);
+    }
+    return held;
+}
@@ -0,0 +1,154 @@
+/**
+ * Replay playback for Paperboy 3D game
+ *
+ * Feeds a recording's input back through a fresh simulation. Seeking
+ * backwards replays from the start, since the simulation can only run
+ * forwards.
+ */
+
+import { heldControls } from './recording.js';
+
+export class Replay {
+    /**
+     * @param {Recording} recording - Recording to play back
+     */
+    constructor(recording) {
+        this.recording = recording;
+        this.timeStep = recording.timeStep;
+        this.speed = 1;
+        this.isPaused = false;
+        this.accumulator = 0;
+        this.simulation = null;
+        this.stepIndex = 0;
+        this.restart();
+    }
+    
+    /**
+     * Current playback time in seconds
+     * @returns {number} Time
+     */
+    get time() {
+        return this.stepIndex * this.timeStep;
+    }
+    
+    /**
+     * Length of the recording in seconds
+     * @returns {number} Length
+     */
+    get length() {
+        return this.recording.length;
+    }
+    
+    /**
+     * Points scored so far in the run, leaving out the score it started with
+     * @returns {number} Score
+     */
+    get score() {
+        return this.simulation.score - this.recording.startScore;
+    }
+    
+    /**
+     * Whether playback has reached the end of the run
+     * @returns {boolean} Whether finished
+     */
+    get isFinished() {
+        return this.stepIndex >= this.recording.duration || this.simulation.status !== 'running';
+    }
+    
+    /**
+     * Go back to the start of the run
+     */
+    restart() {
+        this.simulation = this.recording.createSimulation();
+        this.stepIndex = 0;
+        this.inputIndex = 0;
+        this.input = { ...heldControls({}), throwPaper: false };
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Input for the next step: the latest change at or before it, with a
+     * throw only on the step it was recorded for
+     * @returns {Object} Input: the held controls and throwPaper
+     */
+    nextInput() {
+        const inputs = this.recording.inputs;
+        this.input = { ...heldControls(this.input), throwPaper: false };
+        
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex].step <= this.stepIndex) {
+            const change = inputs[this.inputIndex++];
+            this.input = {
+                ...heldControls(change),
+                throwPaper: this.input.throwPaper || change.throwPaper
+            };
+        }
+        
+        return this.input;
+    }
+    
+    /**
+     * Play back one step
+     */
+    step() {
+        if (this.isFinished) return;
+        
+        this.simulation.step(this.timeStep, this.nextInput());
+        this.stepIndex++;
+    }
+    
+    /**
+     * Play back the steps covered by a frame at the current speed, slowed
+     * down like the run was in slow motion
+     * @param {number} deltaTime - Frame length in seconds
+     */
+    advance(deltaTime) {
+        if (this.isPaused || this.isFinished) return;
+        
+        this.accumulator += deltaTime * this.speed * this.simulation.timeScale;
+        while (this.accumulator >= this.timeStep && !this.isFinished) {
+            this.step();
+            this.accumulator -= this.timeStep;
+        }
+    }
+    
+    /**
+     * Jump to a time in the run
+     * @param {number} time - Time in seconds
+     */
+    seek(time) {
+        const target = Math.max(0, Math.min(this.recording.duration, Math.round(time / this.timeStep)));
+        
+        if (target < this.stepIndex) {
+            this.restart();
+        }
+        while (this.stepIndex < target && !this.isFinished) {
+            this.step();
+        }
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Resume playback, starting over if it had reached the end
+     */
+    play() {
+        if (this.isFinished) {
+            this.restart();
+        }
+        this.isPaused = false;
+    }
+    
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPaused = true;
+    }
+    
+    /**
+     * Set the playback speed
+     * @param {number} speed - Multiplier on real time
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+}
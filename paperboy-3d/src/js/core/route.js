@@ -0,0 +1,157 @@
+/**
+ * Delivery route for Paperboy 3D game
+ */
+
+import { createRandom, mixSeed } from '../utils.js';
+
+// Street names the route can be on, picked by seed
+const STREET_NAMES = [
+    'Maple Street',
+    'Oak Avenue',
+    'Elm Drive',
+    'Cedar Lane',
+    'Birch Road',
+    'Willow Way'
+];
+
+// Houses on each side of a block of houses
+export const HOUSES_PER_SIDE = 4;
+
+/**
+ * Get the house number for a house on the street. Left side houses get odd
+ * numbers and right side houses even ones, counting up along the street.
+ * @param {number} blockIndex - Index of the block the house is on
+ * @param {number} houseIndex - Position of the house within its side of the block
+ * @param {boolean} isLeftSide - Whether the house is on the left side
+ * @returns {number} House number
+ */
+export function getHouseNumber(blockIndex, houseIndex, isLeftSide) {
+    return 100 * (blockIndex + 1) + houseIndex * 2 + (isLeftSide ? 1 : 2);
+}
+
+export class Route {
+    /**
+     * @param {number} seed - World seed
+     * @param {WorldLayout} world - World layout (for the block layout)
+     * @param {number} [length] - Number of blocks the route covers
+     */
+    constructor(seed, world, length = 10) {
+        this.seed = seed;
+        this.world = world;
+        this.length = length;
+        this.subscriptionRate = 0.6;
+        this.streetName = STREET_NAMES[Math.floor(createRandom(seed)() * STREET_NAMES.length)];
+        this.subscribers = new Set();
+        
+        // Today's deliveries, by house number
+        this.delivered = new Set();
+        this.damaged = new Set();
+        
+        this.pickSubscribers();
+    }
+    
+    /**
+     * Replace the subscribers, e.g. with the ones left after cancellations
+     * @param {Array<number>} houseNumbers - Subscriber house numbers
+     */
+    setSubscribers(houseNumbers) {
+        this.subscribers = new Set(houseNumbers);
+    }
+    
+    /**
+     * Z position where the route ends
+     * @returns {number} End of the route along the street
+     */
+    getEndZ() {
+        return this.length * this.world.blockPitch;
+    }
+    
+    /**
+     * Pick the starting subscribers from the seed
+     */
+    pickSubscribers() {
+        this.subscribers.clear();
+        
+        for (const house of this.getHouses()) {
+            const random = createRandom(mixSeed(this.seed, house.number));
+            if (random() < this.subscriptionRate) {
+                this.subscribers.add(house.number);
+            }
+        }
+    }
+    
+    /**
+     * List every house on the route in street order
+     * @returns {Array} Houses as { number, blockIndex, isLeftSide }
+     */
+    getHouses() {
+        const houses = [];
+        
+        for (let blockIndex = 0; blockIndex < this.length; blockIndex++) {
+            if (this.world.isParkBlock(blockIndex)) continue;
+            
+            for (let i = 0; i < HOUSES_PER_SIDE; i++) {
+                for (const isLeftSide of [true, false]) {
+                    houses.push({
+                        number: getHouseNumber(blockIndex, i, isLeftSide),
+                        blockIndex: blockIndex,
+                        isLeftSide: isLeftSide
+                    });
+                }
+            }
+        }
+        
+        return houses;
+    }
+    
+    /**
+     * Check whether a house takes the paper
+     * @param {number} houseNumber - House number
+     * @returns {boolean} Whether the house is a subscriber
+     */
+    isSubscriber(houseNumber) {
+        return this.subscribers.has(houseNumber);
+    }
+    
+    /**
+     * Record a paper delivered to a house
+     * @param {number} houseNumber - House number
+     */
+    markDelivered(houseNumber) {
+        this.delivered.add(houseNumber);
+    }
+    
+    /**
+     * Check whether a house has had its paper today
+     * @param {number} houseNumber - House number
+     * @returns {boolean} Whether the paper was delivered
+     */
+    isDelivered(houseNumber) {
+        return this.delivered.has(houseNumber);
+    }
+    
+    /**
+     * Record a broken window at a house
+     * @param {number} houseNumber - House number
+     */
+    markDamaged(houseNumber) {
+        this.damaged.add(houseNumber);
+    }
+    
+    /**
+     * Check whether a house had a window broken today
+     * @param {number} houseNumber - House number
+     * @returns {boolean} Whether the house was damaged
+     */
+    isDamaged(houseNumber) {
+        return this.damaged.has(houseNumber);
+    }
+    
+    /**
+     * Get the subscribers' house numbers in order
+     * @returns {Array<number>} Subscriber house numbers
+     */
+    getSubscriberList() {
+        return [...this.subscribers].sort((a, b) => a - b);
+    }
+}
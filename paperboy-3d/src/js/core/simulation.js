@@ -0,0 +1,775 @@
+/**
+ * Game simulation for Paperboy 3D game
+ *
+ * Everything that decides the outcome of a run (world layout, player
+ * physics, newspapers, collisions and scoring) with no DOM or renderer, so
+ * it runs the same in the browser and in Node. The view mirrors its state
+ * and reacts to the events it queues.
+ */
+
+import * as THREE from 'three';
+import { PlayerState } from './player.js';
+import { WorldLayout } from './world.js';
+import { Route } from './route.js';
+import { Collider } from './collisions.js';
+import { Traffic } from './traffic.js';
+import { Hazards } from './hazards.js';
+import { PowerUps } from './powerups.js';
+import { Difficulty, scaleByDifficulty } from './difficulty.js';
+
+// What a thrown paper can hit, deliver to or go through
+const PAPER_TARGETS = ['window', 'wall', 'obstacle', 'mailbox', 'porch'];
+
+// Obstacles lying on the ground, which papers land on like the road
+const FLAT_OBSTACLES = ['drain', 'pond', 'hill'];
+
+// Half the width of a folded paper, for turning friction into tumble
+const PAPER_RADIUS = 0.15;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const STILL = new THREE.Vector3();
+
+export class Simulation {
+    /**
+     * @param {Object} options - Run settings
+     * @param {number} options.seed - World seed
+     * @param {Array<number>} [options.subscribers] - Subscriber house numbers
+     *     (the route's seeded pick if omitted)
+     * @param {number} [options.score] - Score carried over from earlier days
+     * @param {number} [options.lives] - Lives carried over from earlier days
+     * @param {number} [options.papers] - Papers in the bag
+     * @param {number} [options.bagCapacity] - Most papers the bag holds
+     * @param {number} [options.paperWeight] - Multiplier on paper gravity
+     * @param {number} [options.difficulty] - How far through the week the
+     *     run is, from 0 (Monday) to 1 (Sunday); later days start harder
+     * @param {string} [options.difficultyPreset] - Where the difficulty
+     *     starts and how fast it climbs ('easy', 'normal' or 'hard')
+     * @param {number} [options.maxRestingPapers] - Most papers left lying
+     *     around (on the ground, porches, mailboxes) before the oldest go
+     */
+    constructor({ seed, subscribers = null, score = 0, lives = 3, papers = 30, bagCapacity = 30,
+        paperWeight = 1, difficulty = 0, difficultyPreset = 'normal', maxRestingPapers = 24 }) {
+        this.seed = seed;
+        this.world = new WorldLayout(seed, new Difficulty(difficultyPreset, difficulty));
+        this.route = new Route(seed, this.world);
+        if (subscribers) {
+            this.route.setSubscribers(subscribers);
+        }
+        this.world.generate(this.route);
+        this.traffic = new Traffic(this.world);
+        this.hazards = new Hazards(this.world);
+        this.player = new PlayerState();
+        this.powerUps = new PowerUps(this.player);
+        
+        // The bike cruises faster on harder blocks, up to this multiplier
+        this.baseCruiseSpeed = this.player.cruiseSpeed;
+        this.maxPace = 1.35;
+        this.updatePace();
+        this.player.speed = this.player.cruiseSpeed;
+        
+        // The player's shape for collisions: the bike's footprint, full height
+        this.playerCollider = new Collider({
+            shape: 'box',
+            kind: 'player',
+            position: new THREE.Vector3(),
+            width: this.player.width,
+            height: this.player.height,
+            depth: this.player.depth
+        });
+        
+        // Game state: 'running', 'dayOver' (reached the end of the route)
+        // or 'gameOver' (out of lives or papers)
+        this.status = 'running';
+        this.score = score;
+        this.papers = papers;
+        this.bagCapacity = bagCapacity;
+        this.lives = lives;
+        this.gameTime = 0;
+        this.paperWeight = paperWeight;
+        this.paperGravity = 54;
+        
+        // How papers bounce: the share of the speed into a surface they keep
+        // coming off it, by what they hit, and how much surfaces grip them
+        this.paperBounce = { ground: 0.35, wall: 0.3, obstacle: 0.45, mailbox: 0.3 };
+        this.paperFriction = 0.25;
+        this.paperSlideSpeed = 2; // Papers landing slower than this slide instead of bouncing
+        this.paperSpin = 0.4; // Spin in flight for each unit of throw speed
+        
+        // Throws go faster and higher the longer they are charged
+        this.throwSpeed = { min: 22, max: 38 }; // Sideways speed
+        this.throwLift = { min: 8, max: 16 }; // Upward speed
+        this.maxChargeTime = 1; // Seconds to charge a full-power throw
+        this.throwCharge = null; // Throw being charged ({ side, time })
+        this.lastThrowSide = 1; // Side the last paper went to, for quick throws
+        this.spreadAngle = 0.25; // Radians between the papers of a spread throw
+        this.magnetRange = 12; // Papers curve toward mailboxes this close
+        this.magnetPull = 60; // How hard, in units per second squared
+        
+        // Game world data, shared with the world layout
+        this.obstacles = this.world.obstacles;
+        this.mailboxes = this.world.mailboxes;
+        this.porches = this.world.porches;
+        this.houses = this.world.houses;
+        this.walls = this.world.walls;
+        this.pickups = this.world.pickups;
+        this.collisions = this.world.collisions;
+        this.newspapers = [];
+        this.newspaperPool = []; // Removed papers, reused for the next throws
+        this.maxRestingPapers = maxRestingPapers;
+        this.paperLifetime = 30; // Seconds a paper lies around before it goes
+        
+        // Things that happened since the view last looked
+        this.events = [];
+    }
+    
+    /**
+     * Queue an event for the view
+     * @param {string} type - Event type
+     * @param {Object} [data] - Event details
+     */
+    emit(type, data = {}) {
+        this.events.push({ type, ...data });
+    }
+    
+    /**
+     * Take the events queued since the last call
+     * @returns {Array} Events in the order they happened
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+    
+    /**
+     * Set the bike's cruising speed for the block it is riding through
+     */
+    updatePace() {
+        const level = this.world.difficultyAt(this.player.position.z);
+        this.player.cruiseSpeed = this.baseCruiseSpeed * scaleByDifficulty(1, this.maxPace, level);
+    }
+    
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} deltaTime - Step length in seconds
+     * @param {Object} input - Input sampled for this step ({ left, right, up,
+     *     down, throwLeft, throwRight, throwPaper })
+     */
+    step(deltaTime, input) {
+        if (this.status !== 'running') return;
+        
+        this.gameTime += deltaTime;
+        for (const type of this.powerUps.update(deltaTime)) {
+            this.emit('powerUpEnded', { powerUp: type });
+        }
+        
+        this.updateThrow(deltaTime, input);
+        this.updatePace();
+        this.player.applyInput(input);
+        
+        // Move the traffic, hazards and player, then stop the player at the
+        // first thing in their way
+        this.traffic.update(deltaTime, this.player.position.z);
+        this.hazards.update(deltaTime, this.player);
+        this.player.update(deltaTime);
+        this.checkObstacleCollisions();
+        this.collectPickups();
+        
+        // Stream blocks in ahead of the player and drop the ones behind
+        this.world.update(this.player.position.z);
+        
+        // Update newspapers
+        this.updateNewspapers(deltaTime);
+        
+        // The day is over at the end of the route
+        if (this.status === 'running' && this.player.position.z >= this.route.getEndZ()) {
+            this.status = 'dayOver';
+            this.emit('dayOver');
+        }
+        
+        // End game if out of papers and none still in the air
+        if (this.status === 'running' && this.papers <= 0 && this.lives > 0 &&
+            !this.newspapers.some(newspaper => newspaper.thrown)) {
+            this.endGame();
+        }
+    }
+    
+    /**
+     * How fast the game runs against real time, slower in slow motion
+     * @returns {number} Time scale (1 at normal speed)
+     */
+    get timeScale() {
+        return this.powerUps.timeScale;
+    }
+    
+    /**
+     * End the game
+     */
+    endGame() {
+        this.status = 'gameOver';
+        this.emit('gameOver');
+    }
+    
+    /**
+     * Charge a throw while its key is held and let it go on release. A
+     * quick throw (the throw key) goes at half power to the last side
+     * thrown to.
+     * @param {number} deltaTime - Step length in seconds
+     * @param {Object} input - Input for this step
+     */
+    updateThrow(deltaTime, input) {
+        if (input.throwPaper) {
+            this.throwNewspaper(this.lastThrowSide, 0.5);
+        }
+        
+        const charge = this.throwCharge;
+        if (charge) {
+            const held = charge.side > 0 ? input.throwLeft : input.throwRight;
+            if (held) {
+                charge.time = Math.min(this.maxChargeTime, charge.time + deltaTime);
+            } else {
+                const power = this.throwPower;
+                this.throwCharge = null;
+                this.throwNewspaper(charge.side, power);
+            }
+        } else if (input.throwLeft || input.throwRight) {
+            this.throwCharge = { side: input.throwLeft ? 1 : -1, time: 0 };
+        }
+    }
+    
+    /**
+     * Power of the throw being charged
+     * @returns {number} Power from 0 (a tap) to 1 (fully charged)
+     */
+    get throwPower() {
+        return this.throwCharge ? this.throwCharge.time / this.maxChargeTime : 0;
+    }
+    
+    /**
+     * Where a throw would start and how fast, from the bike as it is now.
+     * Papers leave square to the bike, harder and higher with more power.
+     * @param {number} side - Side to throw to: 1 for left, -1 for right, as
+     *     seen from behind the bike
+     * @param {number} power - Throw power (0-1)
+     * @returns {Object} Starting position and velocity ({ position, velocity })
+     */
+    getThrowStart(side, power) {
+        const player = this.player;
+        const speed = this.throwSpeed.min + (this.throwSpeed.max - this.throwSpeed.min) * power;
+        const lift = this.throwLift.min + (this.throwLift.max - this.throwLift.min) * power;
+        
+        // Square to the bike's heading; left of the bike is +x going up the street
+        const direction = new THREE.Vector3(Math.cos(player.heading) * side, 0, -Math.sin(player.heading) * side);
+        
+        return {
+            position: new THREE.Vector3(
+                player.position.x + direction.x * 0.5,
+                player.position.y + 1,
+                player.position.z + direction.z * 0.5
+            ),
+            velocity: new THREE.Vector3(direction.x * speed, lift, direction.z * speed)
+        };
+    }
+    
+    /**
+     * Throw a newspaper to one side. With the spread power-up, two more
+     * papers fan out either side of it at no cost to the bag.
+     * @param {number} side - Side to throw to: 1 for left, -1 for right
+     * @param {number} power - Throw power (0-1)
+     * @returns {Object|null} The newspaper, or null if the bag is empty
+     */
+    throwNewspaper(side, power) {
+        const { position, velocity } = this.getThrowStart(side, power);
+        this.lastThrowSide = side;
+        const newspaper = this.createNewspaper(position, velocity);
+        
+        if (newspaper && this.powerUps.isActive('spread')) {
+            for (const angle of [-this.spreadAngle, this.spreadAngle]) {
+                this.createNewspaper(position, velocity.clone().applyAxisAngle(UP, angle), false);
+            }
+        }
+        return newspaper;
+    }
+    
+    /**
+     * Trace the path a throw would take, using the same flight physics as
+     * thrown papers, up to where it lands or first hits something
+     * @param {number} side - Side to throw to: 1 for left, -1 for right
+     * @param {number} power - Throw power (0-1)
+     * @param {number} [stepTime] - Time between points, in seconds
+     * @param {number} [maxTime] - Longest flight to trace, in seconds
+     * @returns {Array<THREE.Vector3>} Points along the path
+     */
+    predictThrow(side, power, stepTime = 1 / 60, maxTime = 3) {
+        const { position, velocity } = this.getThrowStart(side, power);
+        const previous = position.clone();
+        const points = [position.clone()];
+        
+        for (let time = 0; time < maxTime; time += stepTime) {
+            previous.copy(position);
+            this.moveNewspaper(position, velocity, stepTime);
+            
+            const contact = this.collisions.sweep(previous, position, PAPER_TARGETS)
+                .find(contact => !contact.inside && !FLAT_OBSTACLES.includes(contact.collider.data.type));
+            if (contact) {
+                points.push(contact.point);
+                break;
+            }
+            if (position.y <= 0.05) {
+                position.y = 0.05;
+                points.push(position.clone());
+                break;
+            }
+            points.push(position.clone());
+        }
+        return points;
+    }
+    
+    /**
+     * Curve a paper in flight toward the nearest mailbox in range
+     * @param {Object} newspaper - Newspaper
+     * @param {number} deltaTime - Step length in seconds
+     */
+    pullTowardMailbox(newspaper, deltaTime) {
+        const position = newspaper.position;
+        let nearest = null;
+        let nearestDistance = this.magnetRange;
+        
+        for (const mailbox of this.mailboxes) {
+            const distance = Math.hypot(mailbox.position.x - position.x, mailbox.position.z - position.z);
+            if (distance < nearestDistance) {
+                nearest = mailbox;
+                nearestDistance = distance;
+            }
+        }
+        if (!nearest || nearestDistance === 0) return;
+        
+        const pull = this.magnetPull * deltaTime / nearestDistance;
+        newspaper.velocity.x += (nearest.position.x - position.x) * pull;
+        newspaper.velocity.z += (nearest.position.z - position.z) * pull;
+    }
+    
+    /**
+     * Move a paper in flight for one step under gravity (heavier on Sunday)
+     * @param {THREE.Vector3} position - Paper position, moved in place
+     * @param {THREE.Vector3} velocity - Paper velocity, changed in place
+     * @param {number} deltaTime - Step length in seconds
+     */
+    moveNewspaper(position, velocity, deltaTime) {
+        velocity.y -= this.paperGravity * this.paperWeight * deltaTime;
+        position.addScaledVector(velocity, deltaTime);
+    }
+    
+    /**
+     * Take a paper from the bag and put it in flight
+     * @param {THREE.Vector3} position - Starting position
+     * @param {THREE.Vector3} velocity - Starting velocity in units per second
+     * @param {boolean} [fromBag] - Whether the paper comes out of the bag
+     * @returns {Object|null} The newspaper, or null if the bag is empty
+     */
+    createNewspaper(position, velocity, fromBag = true) {
+        if (fromBag) {
+            if (this.papers <= 0) return null;
+            
+            this.papers--;
+        }
+        
+        const newspaper = this.newspaperPool.pop() || {
+            position: new THREE.Vector3(),
+            previousPosition: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            rotation: new THREE.Vector3(), // Euler angles
+            previousRotation: new THREE.Vector3(),
+            spin: new THREE.Vector3() // Angular velocity in radians per second
+        };
+        newspaper.position.copy(position);
+        newspaper.previousPosition.copy(position);
+        newspaper.velocity.copy(velocity);
+        newspaper.rotation.set(0, 0, 0);
+        newspaper.previousRotation.set(0, 0, 0);
+        
+        // Thrown papers spin flat, clockwise seen from above when thrown left
+        newspaper.spin.set(0, -Math.hypot(velocity.x, velocity.z) * this.paperSpin * Math.sign(velocity.x), 0);
+        newspaper.thrown = true;
+        newspaper.delivered = false;
+        newspaper.bounced = false;
+        newspaper.onRoof = false;
+        newspaper.landedAt = null;
+        this.newspapers.push(newspaper);
+        this.emit('throw', { newspaper });
+        
+        return newspaper;
+    }
+    
+    /**
+     * Put the player's collider where the player would be at a position
+     * @param {THREE.Vector3} position - Player position
+     */
+    placePlayerCollider(position) {
+        const base = position.clone();
+        base.y -= this.player.playerHeight;
+        this.playerCollider.moveTo(base, this.player.heading);
+    }
+    
+    /**
+     * Sweep the player along their path this step and handle the first
+     * obstacle they run into. The path is checked at points closer together
+     * than the bike is wide, so nothing the bike can hit fits between them.
+     * @returns {boolean} Whether the player crashed
+     */
+    checkObstacleCollisions() {
+        const player = this.player;
+        if (player.isInvincible) return false;
+        
+        const from = player.previousPosition;
+        const to = player.position;
+        const spacing = Math.min(player.width, player.depth);
+        const samples = Math.max(1, Math.ceil(from.distanceTo(to) / spacing));
+        const position = new THREE.Vector3();
+        
+        for (let i = 1; i <= samples; i++) {
+            position.lerpVectors(from, to, i / samples);
+            this.placePlayerCollider(position);
+            
+            for (const contact of this.collisions.overlaps(this.playerCollider, 'obstacle')) {
+                const obstacle = contact.collider.data;
+                const hit = { obstacle, point: contact.point, normal: contact.normal };
+                
+                // Hazards knocked out by a paper can be ridden past
+                if (obstacle.stunTimer > 0) continue;
+                
+                // Hills launch the player instead of stopping them
+                if (obstacle.type === 'hill') {
+                    if (!player.isJumping && player.canJump) {
+                        player.startJump();
+                        // Award points for jumping hills
+                        this.score += 20;
+                        this.emit('jump', hit);
+                    }
+                    continue;
+                }
+                
+                // Crashed: stop where the path was last clear
+                player.position.lerpVectors(from, to, (i - 1) / samples);
+                this.score -= 5;
+                this.lives--;
+                this.emit('crash', hit);
+                
+                // Make player invincible for a short time
+                player.makeInvincible();
+                
+                // Check game over
+                if (this.lives <= 0) {
+                    this.endGame();
+                }
+                
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Pick up whatever the player rides over. A bundle tops the bag up by
+     * as many papers as it holds, and is left where it is if the bag is
+     * already full; a power-up starts straight away.
+     */
+    collectPickups() {
+        this.placePlayerCollider(this.player.position);
+        
+        for (const contact of this.collisions.overlaps(this.playerCollider, 'pickup')) {
+            const pickup = contact.collider.data;
+            if (pickup.collected) continue;
+            
+            switch (pickup.type) {
+                case 'bundle': {
+                    const papers = Math.min(pickup.papers, this.bagCapacity - this.papers);
+                    if (papers <= 0) continue;
+                    
+                    this.papers += papers;
+                    pickup.collected = true;
+                    this.emit('pickup', { pickup, papers });
+                    break;
+                }
+                case 'powerUp':
+                    this.powerUps.activate(pickup.powerUp);
+                    pickup.collected = true;
+                    this.emit('pickup', { pickup });
+                    break;
+            }
+        }
+    }
+    
+    /**
+     * Score a paper delivered to a house. Only the first paper to a subscriber
+     * counts; papers left at non-subscribers count against you.
+     * @param {Object} house - House the paper landed at
+     * @param {number} points - Points for a good delivery
+     */
+    scoreDelivery(house, points) {
+        if (house.isSubscriber) {
+            if (!this.route.isDelivered(house.number)) {
+                this.route.markDelivered(house.number);
+                this.score += points;
+            }
+        } else {
+            this.score -= points / 2;
+        }
+        this.emit('delivery', { house, points });
+    }
+    
+    /**
+     * Score a broken window: vandalism pays at non-subscribers and costs you
+     * at subscribers, who remember it
+     * @param {Object} house - House whose window was broken
+     */
+    scoreBrokenWindow(house) {
+        if (house.isSubscriber) {
+            this.route.markDamaged(house.number);
+            this.score -= 25;
+        } else {
+            this.score += 15;
+        }
+    }
+    
+    /**
+     * Work through what a paper's path touched this step, nearest first,
+     * until something stops, deflects or takes the paper
+     * @param {Object} newspaper - Newspaper
+     * @param {Array<Object>} contacts - Contacts from the collision sweep
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {boolean} Whether the paper is gone (through a window)
+     */
+    handlePaperContacts(newspaper, contacts, deltaTime) {
+        for (const contact of contacts) {
+            const collider = contact.collider;
+            
+            switch (collider.kind) {
+                case 'window': {
+                    // Only papers coming from the street side go through
+                    const { house, houseWindow } = collider.data;
+                    if (contact.inside || contact.normal.x * houseWindow.normalX < 0.5) break;
+                    
+                    if (!houseWindow.broken) {
+                        houseWindow.broken = true;
+                        this.scoreBrokenWindow(house);
+                        this.emit('windowBroken', { house, houseWindow, point: contact.point });
+                    }
+                    return true;
+                }
+                case 'mailbox':
+                    // Only papers thrown straight in count; ones coming off
+                    // a bounce glance off the sides of the box
+                    if (newspaper.bounced) {
+                        if (contact.inside || contact.normal.y > 0.5) break;
+                        this.deflectNewspaper(newspaper, contact, deltaTime);
+                        return false;
+                    }
+                    
+                    newspaper.delivered = true;
+                    this.settleNewspaper(newspaper);
+                    newspaper.position.copy(contact.point);
+                    newspaper.position.y = 1.2;
+                    this.scoreDelivery(collider.data.house, 20);
+                    return false;
+                case 'porch':
+                    newspaper.delivered = true;
+                    this.settleNewspaper(newspaper);
+                    newspaper.position.copy(contact.point);
+                    newspaper.position.y = 0.2;
+                    this.scoreDelivery(collider.data.house, 10);
+                    return false;
+                case 'wall':
+                case 'obstacle': {
+                    // Papers already inside something (e.g. thrown from
+                    // against a car) carry on out of it
+                    if (contact.inside || FLAT_OBSTACLES.includes(collider.data.type)) break;
+                    
+                    // Papers landing on a roof are stuck there for good
+                    if (collider.kind === 'wall' && contact.normal.y > 0.5) {
+                        newspaper.position.copy(contact.point).addScaledVector(contact.normal, 0.01);
+                        newspaper.onRoof = true;
+                        this.settleNewspaper(newspaper);
+                        this.emit('paperOnRoof', { newspaper, house: collider.data.house, point: contact.point });
+                        return false;
+                    }
+                    
+                    this.deflectNewspaper(newspaper, contact, deltaTime);
+                    this.emit('paperHit', {
+                        newspaper,
+                        collider,
+                        point: contact.point,
+                        normal: contact.normal
+                    });
+                    
+                    if (this.hazards.isHazard(collider.data)) {
+                        this.hazards.stun(collider.data);
+                        this.emit('hazardHit', { hazard: collider.data, point: contact.point });
+                    }
+                    return false;
+                }
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Move a paper out to the surface it hit and bounce it off. Moving
+     * obstacles bounce papers off relative to themselves, so cars and dogs
+     * knock papers along with them, and papers come to rest on top of the
+     * ones that stand still.
+     * @param {Object} newspaper - Newspaper
+     * @param {Object} contact - Contact from the collision sweep
+     * @param {number} deltaTime - Step length in seconds
+     */
+    deflectNewspaper(newspaper, contact, deltaTime) {
+        const collider = contact.collider;
+        const obstacle = collider.data;
+        newspaper.position.copy(contact.point).addScaledVector(contact.normal, 0.01);
+        
+        const moving = collider.kind === 'obstacle' && obstacle.previousPosition;
+        const surfaceVelocity = new THREE.Vector3();
+        if (moving) {
+            surfaceVelocity.subVectors(obstacle.position, obstacle.previousPosition).divideScalar(deltaTime);
+        }
+        this.bounceNewspaper(newspaper, contact.normal, this.paperBounce[collider.kind], surfaceVelocity);
+        
+        if (!moving && contact.normal.y > 0.5 && newspaper.velocity.lengthSq() < 1e-4) {
+            this.settleNewspaper(newspaper);
+        }
+    }
+    
+    /**
+     * Bounce a paper off a surface. The speed into the surface comes back
+     * scaled by the restitution, and friction at the contact takes off
+     * sliding speed, slows the paper's spin and turns it into tumble. Soft
+     * landings on top of something slide rather than bounce.
+     * @param {Object} newspaper - Newspaper
+     * @param {THREE.Vector3} normal - Surface normal
+     * @param {number} restitution - Share of the speed into the surface kept (0-1)
+     * @param {THREE.Vector3} [surfaceVelocity] - Velocity of the surface
+     */
+    bounceNewspaper(newspaper, normal, restitution, surfaceVelocity = STILL) {
+        const velocity = newspaper.velocity.sub(surfaceVelocity);
+        const into = -velocity.dot(normal);
+        
+        if (into > 0) {
+            const landing = normal.y > 0.5;
+            if (landing && into * restitution < this.paperSlideSpeed) {
+                restitution = 0;
+            }
+            const impulse = into * (1 + restitution);
+            velocity.addScaledVector(normal, impulse);
+            
+            const tangent = velocity.clone().addScaledVector(normal, -velocity.dot(normal));
+            const slide = tangent.length();
+            const grip = Math.min(slide, this.paperFriction * impulse);
+            if (slide > 0) {
+                velocity.addScaledVector(tangent, -grip / slide);
+                newspaper.spin.y *= 1 - grip / slide;
+                
+                // Tumble about the axis across the slide, more on a harder bounce
+                const axis = new THREE.Vector3().crossVectors(normal, tangent).divideScalar(slide);
+                newspaper.spin.addScaledVector(axis, restitution * grip / PAPER_RADIUS);
+            }
+            
+            // Sliding papers lie flat
+            if (landing && restitution === 0) {
+                const rotation = newspaper.rotation;
+                rotation.x = Math.round(rotation.x / Math.PI) * Math.PI;
+                rotation.z = Math.round(rotation.z / Math.PI) * Math.PI;
+                newspaper.spin.x = 0;
+                newspaper.spin.z = 0;
+            }
+            newspaper.bounced = true;
+        }
+        velocity.add(surfaceVelocity);
+    }
+    
+    /**
+     * Bring a paper to rest where it is
+     * @param {Object} newspaper - Newspaper
+     */
+    settleNewspaper(newspaper) {
+        newspaper.thrown = false;
+        newspaper.velocity.set(0, 0, 0);
+        newspaper.spin.set(0, 0, 0);
+        newspaper.landedAt = this.gameTime;
+    }
+    
+    /**
+     * Remove a newspaper from play, keeping it for reuse
+     * @param {number} index - Index in the newspapers array
+     */
+    removeNewspaper(index) {
+        const [newspaper] = this.newspapers.splice(index, 1);
+        this.newspaperPool.push(newspaper);
+        this.emit('paperRemoved', { newspaper });
+    }
+    
+    /**
+     * Clear away papers lying around: ones that have been there too long,
+     * then the oldest while there are more than the cap
+     */
+    clearRestingPapers() {
+        let resting = 0;
+        for (let i = this.newspapers.length - 1; i >= 0; i--) {
+            const newspaper = this.newspapers[i];
+            if (newspaper.thrown) continue;
+            
+            if (this.gameTime - newspaper.landedAt > this.paperLifetime) {
+                this.removeNewspaper(i);
+            } else {
+                resting++;
+            }
+        }
+        
+        // Papers are kept in throw order, so the oldest come first
+        for (let i = 0; i < this.newspapers.length && resting > this.maxRestingPapers;) {
+            if (this.newspapers[i].thrown) {
+                i++;
+            } else {
+                this.removeNewspaper(i);
+                resting--;
+            }
+        }
+    }
+    
+    /**
+     * Advance newspapers by one simulation step
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateNewspapers(deltaTime) {
+        for (let i = this.newspapers.length - 1; i >= 0; i--) {
+            const newspaper = this.newspapers[i];
+            newspaper.previousPosition.copy(newspaper.position);
+            newspaper.previousRotation.copy(newspaper.rotation);
+            
+            if (newspaper.thrown && !newspaper.delivered) {
+                if (this.powerUps.isActive('magnet') && !newspaper.bounced) {
+                    this.pullTowardMailbox(newspaper, deltaTime);
+                }
+                this.moveNewspaper(newspaper.position, newspaper.velocity, deltaTime);
+                newspaper.rotation.addScaledVector(newspaper.spin, deltaTime);
+                
+                // Handle the first thing the paper's path runs into
+                const contacts = this.collisions.sweep(newspaper.previousPosition, newspaper.position, PAPER_TARGETS);
+                if (this.handlePaperContacts(newspaper, contacts, deltaTime)) {
+                    this.removeNewspaper(i);
+                    continue;
+                }
+                
+                // Bounce and skid along the ground until the paper stops
+                if (newspaper.thrown && newspaper.position.y <= 0.05) {
+                    newspaper.position.y = 0.05;
+                    this.bounceNewspaper(newspaper, UP, this.paperBounce.ground);
+                    if (newspaper.velocity.lengthSq() < 1e-4) {
+                        this.settleNewspaper(newspaper);
+                    }
+                }
+            }
+        }
+        
+        this.clearRestingPapers();
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * Traffic for Paperboy 3D game
+ *
+ * Vehicles driving in lanes up and down the main street and across the
+ * cross-streets. Each one is an obstacle of type 'car' with a collider that
+ * moves with it, so crashing into traffic and papers bouncing off it work
+ * like any other car. Vehicles brake for the one ahead in their lane and
+ * stop at the stop signs on their side of an intersection.
+ *
+ * Lanes follow the parked cars the street started with: on the main street
+ * traffic heads up the street (+z) on the +x side and down it on the -x
+ * side, and on the cross-streets +x traffic keeps to the -z side.
+ */
+
+import * as THREE from 'three';
+import { createRandom, mixSeed } from '../utils.js';
+
+// Vehicle sizes and how fast they like to drive, in units per second
+export const VEHICLE_TYPES = {
+    car: { width: 2, height: 1.7, depth: 4, minSpeed: 5, maxSpeed: 9, weight: 5 },
+    van: { width: 2.2, height: 2.4, depth: 5, minSpeed: 4, maxSpeed: 7, weight: 2 },
+    pickup: { width: 2.1, height: 1.9, depth: 5, minSpeed: 5, maxSpeed: 8, weight: 2 },
+    truck: { width: 2.4, height: 3.2, depth: 7, minSpeed: 3, maxSpeed: 6, weight: 1 }
+};
+
+export const VEHICLE_COLORS = [0xCC2222, 0x2255CC, 0xEEEEEE, 0x222222, 0x33AA55, 0xDDAA22];
+
+export class Traffic {
+    /**
+     * @param {WorldLayout} world - World layout the traffic drives through
+     */
+    constructor(world) {
+        this.world = world;
+        this.vehicles = [];
+        this.spawnedBlocks = new Set(); // Indices of blocks whose traffic is out
+        this.laneOffset = world.streetWidth / 4; // Lane center from the street center
+        this.acceleration = 4;
+        this.braking = 12;
+        this.followGap = 2; // Space kept to the vehicle ahead
+        this.stopTime = 1.5; // Seconds spent at a stop sign
+        this.signReach = 8; // How far to the side a stop sign counts for a lane
+        this.stopLookAhead = 20; // Stop signs further ahead don't slow a vehicle yet
+        this.searchBox = new THREE.Box3(); // Reused for looking up nearby signs
+        this.lookAheadPoint = new THREE.Vector3();
+        
+        this.spawnTraffic();
+    }
+    
+    /**
+     * Drive every vehicle for one step
+     * @param {number} deltaTime - Step length in seconds
+     * @param {number} playerZ - Player position along the street
+     */
+    update(deltaTime, playerZ) {
+        this.spawnTraffic();
+        this.removeDistantVehicles(playerZ);
+        
+        for (const vehicle of this.vehicles) {
+            this.updateVehicle(vehicle, deltaTime);
+        }
+        for (const vehicle of this.vehicles) {
+            this.world.moveObstacle(vehicle);
+        }
+    }
+    
+    /**
+     * Send out the traffic of every block laid out since the last step
+     */
+    spawnTraffic() {
+        for (const block of this.world.blocks) {
+            if (this.spawnedBlocks.has(block.index)) continue;
+            
+            this.spawnedBlocks.add(block.index);
+            const random = createRandom(mixSeed(block.seed, 2));
+            
+            // The block's cars drive off from where they were parked
+            for (const spot of block.vehicles) {
+                const heading = spot.x > 0 ? 1 : -1;
+                this.addVehicle(
+                    random,
+                    new THREE.Vector3(heading * this.laneOffset, 0, spot.z),
+                    new THREE.Vector3(0, 0, heading)
+                );
+            }
+            
+            // Now and then a vehicle in each lane of the cross-street
+            if (block.index > 0) {
+                const streetZ = block.z - this.world.streetWidth / 2;
+                const halfLength = this.world.blockWidth * 1.5;
+                for (const heading of [1, -1]) {
+                    if (random() < 0.6) {
+                        this.addVehicle(
+                            random,
+                            new THREE.Vector3((random() - 0.5) * 2 * halfLength, 0, streetZ - heading * this.laneOffset),
+                            new THREE.Vector3(heading, 0, 0),
+                            { streetZ, halfLength }
+                        );
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Put a vehicle on the road
+     * @param {Function} random - Random generator for the vehicle's looks and speed
+     * @param {THREE.Vector3} position - Where it starts
+     * @param {THREE.Vector3} direction - Direction it drives in, along x or z
+     * @param {Object} [crossStreet] - Cross-street it loops along ({ streetZ, halfLength })
+     * @returns {Object} Vehicle
+     */
+    addVehicle(random, position, direction, crossStreet = null) {
+        const vehicleType = pickVehicleType(random);
+        const type = VEHICLE_TYPES[vehicleType];
+        const cruiseSpeed = type.minSpeed + random() * (type.maxSpeed - type.minSpeed);
+        
+        const vehicle = {
+            type: 'car',
+            vehicleType: vehicleType,
+            color: VEHICLE_COLORS[Math.floor(random() * VEHICLE_COLORS.length)],
+            position: position.clone(),
+            previousPosition: position.clone(),
+            width: type.width,
+            height: type.height,
+            depth: type.depth,
+            rotation: Math.atan2(direction.x, direction.z),
+            direction: direction.clone(),
+            speed: cruiseSpeed,
+            cruiseSpeed: cruiseSpeed,
+            crossStreet: crossStreet,
+            stopTimer: 0, // Time left waiting at a stop sign
+            clearedTo: -Infinity, // Stop signs before here have been stopped at
+            wheelRotation: 0
+        };
+        this.vehicles.push(vehicle);
+        this.world.addObstacle(vehicle);
+        
+        return vehicle;
+    }
+    
+    /**
+     * Take a vehicle off the road
+     * @param {Object} vehicle - Vehicle
+     */
+    removeVehicle(vehicle) {
+        const index = this.vehicles.indexOf(vehicle);
+        if (index !== -1) {
+            this.vehicles.splice(index, 1);
+        }
+        this.world.removeObstacle(vehicle);
+    }
+    
+    /**
+     * Remove vehicles that have fallen behind the stretch of street being
+     * kept. Vehicles ahead stay, since the blocks coming into view send
+     * theirs out further ahead than the view reaches.
+     * @param {number} playerZ - Player position along the street
+     */
+    removeDistantVehicles(playerZ) {
+        const world = this.world;
+        const minZ = playerZ - world.cameraOffset - world.behindDistance;
+        
+        for (let i = this.vehicles.length - 1; i >= 0; i--) {
+            const vehicle = this.vehicles[i];
+            if (vehicle.position.z < minZ) {
+                this.removeVehicle(vehicle);
+            }
+        }
+    }
+    
+    /**
+     * Distance along a vehicle's direction of travel
+     * @param {Object} vehicle - Vehicle
+     * @param {THREE.Vector3} point - Point
+     * @returns {number} Distance along the direction from the world origin
+     */
+    along(vehicle, point) {
+        return point.x * vehicle.direction.x + point.z * vehicle.direction.z;
+    }
+    
+    /**
+     * Speed up, slow down or stop a vehicle and move it
+     * @param {Object} vehicle - Vehicle
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateVehicle(vehicle, deltaTime) {
+        vehicle.previousPosition.copy(vehicle.position);
+        
+        let targetSpeed = vehicle.cruiseSpeed;
+        const front = this.along(vehicle, vehicle.position) + vehicle.depth / 2;
+        
+        // Hold still at a stop sign, then carry on through the intersection
+        if (vehicle.stopTimer > 0) {
+            vehicle.stopTimer -= deltaTime;
+            targetSpeed = 0;
+        } else {
+            const stop = this.findStop(vehicle, front);
+            if (stop) {
+                const distance = stop.line - front;
+                if (distance < 0.5 && vehicle.speed < 0.5) {
+                    vehicle.stopTimer = this.stopTime;
+                    vehicle.clearedTo = stop.center;
+                    vehicle.speed = 0;
+                    targetSpeed = 0;
+                } else {
+                    targetSpeed = Math.min(targetSpeed, this.speedToStopIn(distance));
+                }
+            }
+        }
+        
+        // Keep back from whatever is ahead in the lane
+        const leader = this.findLeader(vehicle);
+        if (leader) {
+            const gap = this.along(vehicle, leader.position) - leader.depth / 2 - front - this.followGap;
+            targetSpeed = Math.min(targetSpeed, this.speedToStopIn(gap));
+        }
+        
+        // Accelerate gently, brake hard
+        if (vehicle.speed < targetSpeed) {
+            vehicle.speed = Math.min(targetSpeed, vehicle.speed + this.acceleration * deltaTime);
+        } else {
+            vehicle.speed = Math.max(targetSpeed, vehicle.speed - this.braking * deltaTime);
+        }
+        
+        vehicle.position.addScaledVector(vehicle.direction, vehicle.speed * deltaTime);
+        vehicle.wheelRotation += vehicle.speed * deltaTime / 0.4; // Wheel radius 0.4
+        
+        // Cross-street traffic comes round again from the other end
+        const crossStreet = vehicle.crossStreet;
+        if (crossStreet && Math.abs(vehicle.position.x) > crossStreet.halfLength) {
+            vehicle.position.x = -Math.sign(vehicle.position.x) * crossStreet.halfLength;
+            vehicle.previousPosition.copy(vehicle.position);
+            vehicle.clearedTo = -Infinity;
+        }
+    }
+    
+    /**
+     * Speed from which a vehicle can brake to a stop within a distance
+     * @param {number} distance - Distance to stop in
+     * @returns {number} Speed
+     */
+    speedToStopIn(distance) {
+        return Math.sqrt(2 * this.braking * Math.max(0, distance));
+    }
+    
+    /**
+     * Find the next intersection a vehicle has to stop at: one with a stop
+     * sign on the vehicle's side of the road, on the near corner, that the
+     * vehicle hasn't already stopped at
+     * @param {Object} vehicle - Vehicle
+     * @param {number} front - Distance along its direction to its front
+     * @returns {Object|null} Distances along its direction to the stop line
+     *     and the middle of the intersection ({ line, center })
+     */
+    findStop(vehicle, front) {
+        const direction = vehicle.direction;
+        const halfStreet = this.world.streetWidth / 2;
+        let nearest = null;
+        
+        // Only the signs just ahead of the vehicle, looked up in the grid
+        const box = this.searchBox.makeEmpty().expandByPoint(vehicle.position);
+        box.expandByPoint(this.lookAheadPoint.copy(vehicle.position).addScaledVector(direction, this.stopLookAhead));
+        box.expandByScalar(this.signReach);
+        
+        for (const collider of this.world.collisions.query(box, 'obstacle')) {
+            const obstacle = collider.data;
+            if (obstacle.type !== 'sign') continue;
+            
+            // The intersection's middle is where its cross-street meets x = 0
+            const center = direction.z * obstacle.streetZ;
+            const line = center - halfStreet;
+            const signAlong = this.along(vehicle, obstacle.position);
+            if (signAlong > center || line < front - 0.5 || center <= vehicle.clearedTo) continue;
+            
+            // Distance to the right of the lane: +x of +z traffic, -z of +x traffic
+            const dx = obstacle.position.x - vehicle.position.x;
+            const dz = obstacle.position.z - vehicle.position.z;
+            const side = dx * direction.z - dz * direction.x;
+            if (side <= 0 || side > this.signReach) continue;
+            
+            if (nearest === null || line < nearest.line) {
+                nearest = { line, center };
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Find the nearest vehicle ahead in the same lane
+     * @param {Object} vehicle - Vehicle
+     * @returns {Object|null} Vehicle ahead
+     */
+    findLeader(vehicle) {
+        const position = this.along(vehicle, vehicle.position);
+        let leader = null;
+        let leaderDistance = Infinity;
+        
+        for (const other of this.vehicles) {
+            if (other === vehicle || !other.direction.equals(vehicle.direction)) continue;
+            
+            const dx = other.position.x - vehicle.position.x;
+            const dz = other.position.z - vehicle.position.z;
+            const sideways = Math.abs(dx * vehicle.direction.z - dz * vehicle.direction.x);
+            const distance = this.along(vehicle, other.position) - position;
+            if (sideways < 1 && distance > 0 && distance < leaderDistance) {
+                leader = other;
+                leaderDistance = distance;
+            }
+        }
+        return leader;
+    }
+}
+
+/**
+ * Pick a vehicle type, cars being the most common
+ * @param {Function} random - Random generator
+ * @returns {string} Vehicle type
+ */
+function pickVehicleType(random) {
+    const types = Object.keys(VEHICLE_TYPES);
+    const total = types.reduce((sum, type) => sum + VEHICLE_TYPES[type].weight, 0);
+    let pick = random() * total;
+    for (const type of types) {
+        pick -= VEHICLE_TYPES[type].weight;
+        if (pick < 0) return type;
+    }
+    return types[types.length - 1];
+}
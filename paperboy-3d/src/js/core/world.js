@@ -0,0 +1,655 @@
+/**
+ * World layout for Paperboy 3D game
+ *
+ * Decides where every house, mailbox, porch and obstacle goes, block by
+ * block, without building any meshes. The view in ../world/ draws from it.
+ * Blocks further along are laid out busier (see difficulty.js).
+ */
+
+import * as THREE from 'three';
+import { createRandom, mixSeed, getRandomInt } from '../utils.js';
+import { HOUSES_PER_SIDE, getHouseNumber } from './route.js';
+import { Collider, CollisionRegistry } from './collisions.js';
+import { POWER_UP_TYPES } from './powerups.js';
+import { Difficulty, scaleByDifficulty } from './difficulty.js';
+
+// House footprint: the body is HOUSE_WIDTH along the street and HOUSE_DEPTH
+// deep, with a porch of PORCH_DEPTH in front of it
+export const HOUSE_WIDTH = 6;
+export const HOUSE_DEPTH = 5;
+export const HOUSE_HEIGHT = 3.5; // Walls plus roof
+export const PORCH_DEPTH = 3;
+
+// Front windows, either side of the door (in house-local coordinates)
+export const WINDOW_OFFSET = 1.9;
+export const WINDOW_HEIGHT = 1.3;
+export const WINDOW_SIZE = { width: 1.1, height: 0.8 };
+
+export class WorldLayout {
+    /**
+     * @param {number} seed - World seed
+     * @param {Difficulty} [difficulty] - How hard each block is
+     */
+    constructor(seed, difficulty = new Difficulty()) {
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.route = null;
+        this.blocks = [];
+        this.obstacles = [];
+        this.houses = [];
+        this.mailboxes = [];
+        this.porches = [];
+        this.walls = [];
+        this.pickups = [];
+        this.blockLength = 30;
+        this.blockWidth = 20;
+        this.streetWidth = 10;
+        this.laneWidth = 5;
+        
+        // Colliders for everything on the street, and the one standing in
+        // for each obstacle so obstacles can be added and removed singly
+        this.collisions = new CollisionRegistry(this.blockPitch, this.laneWidth);
+        this.obstacleColliders = new Map();
+        
+        // Streaming window, measured from the player along the street
+        this.viewDistance = 320; // Keep blocks generated this far ahead
+        this.behindDistance = 40; // Remove blocks once this far behind the camera
+        this.cameraOffset = 15; // Camera trails the player by this much
+    }
+    
+    /**
+     * Distance from the start of one block to the start of the next
+     * @returns {number} Block pitch
+     */
+    get blockPitch() {
+        return this.blockLength + this.streetWidth;
+    }
+    
+    /**
+     * Lay out the blocks around the start of the street
+     * @param {Route} route - Delivery route deciding which houses subscribe
+     */
+    generate(route) {
+        this.route = route;
+        this.update(0);
+    }
+    
+    /**
+     * Stream blocks around the player: lay out the ones coming into view and
+     * drop the ones that have fallen behind the camera
+     * @param {number} playerZ - Player position along the street
+     */
+    update(playerZ) {
+        const cameraZ = playerZ - this.cameraOffset;
+        const firstIndex = Math.max(0, Math.floor((cameraZ - this.behindDistance) / this.blockPitch));
+        const lastIndex = Math.ceil((playerZ + this.viewDistance) / this.blockPitch);
+        
+        // Drop blocks outside the window
+        for (let i = this.blocks.length - 1; i >= 0; i--) {
+            const block = this.blocks[i];
+            if (block.index < firstIndex || block.index > lastIndex) {
+                this.removeBlock(block);
+                this.blocks.splice(i, 1);
+            }
+        }
+        
+        // Lay out any missing blocks, keeping blocks sorted by index
+        let added = false;
+        for (let i = firstIndex; i <= lastIndex; i++) {
+            if (!this.blocks.some(block => block.index === i)) {
+                this.blocks.push(this.createBlock(i));
+                added = true;
+            }
+        }
+        if (added) {
+            this.blocks.sort((a, b) => a.index - b.index);
+        }
+    }
+    
+    /**
+     * Difficulty level of the block at a point along the street
+     * @param {number} z - Position along the street
+     * @returns {number} Level from 0 to 1
+     */
+    difficultyAt(z) {
+        return this.difficulty.levelAt(Math.max(0, Math.floor(z / this.blockPitch)));
+    }
+    
+    /**
+     * Whether the block at an index is a park (every third block)
+     * @param {number} blockIndex - Index of the block
+     * @returns {boolean} Whether the block is a park
+     */
+    isParkBlock(blockIndex) {
+        return blockIndex > 0 && blockIndex % 3 === 0;
+    }
+    
+    /**
+     * Lay out a block of houses or a park
+     * @param {number} blockIndex - Index of the block
+     * @returns {Object} Block layout
+     */
+    createBlock(blockIndex) {
+        // Each block draws from its own stream so it comes out the same
+        // no matter when it is (re)generated
+        const seed = mixSeed(this.seed, blockIndex);
+        const random = createRandom(seed);
+        
+        const block = {
+            index: blockIndex,
+            z: blockIndex * this.blockPitch,
+            seed: seed,
+            isPark: this.isParkBlock(blockIndex),
+            difficulty: this.difficulty.levelAt(blockIndex), // Level from 0 to 1
+            obstacles: [],
+            mailboxes: [],
+            porches: [],
+            houses: [],
+            walls: [],
+            vehicles: [], // Where the block's traffic starts out
+            pickups: [],
+            colliders: []
+        };
+        
+        if (block.isPark) {
+            layoutPark(block, this, random);
+        } else {
+            layoutHousesBlock(block, this, random);
+        }
+        
+        // Add cross-street at the end of each block
+        if (blockIndex > 0) {
+            layoutCrossStreet(block, this, random);
+        }
+        layoutPickups(block, this);
+        
+        this.obstacles.push(...block.obstacles);
+        this.mailboxes.push(...block.mailboxes);
+        this.porches.push(...block.porches);
+        this.houses.push(...block.houses);
+        this.walls.push(...block.walls);
+        this.pickups.push(...block.pickups);
+        
+        addColliders(block, this.obstacleColliders);
+        for (const collider of block.colliders) {
+            this.collisions.add(collider);
+        }
+        
+        return block;
+    }
+    
+    /**
+     * Remove a block's entries from the shared arrays
+     * @param {Object} block - Block layout created by createBlock
+     */
+    removeBlock(block) {
+        // The shared arrays are held by the simulation, so edit them in place
+        removeEntries(this.obstacles, block.obstacles);
+        removeEntries(this.mailboxes, block.mailboxes);
+        removeEntries(this.porches, block.porches);
+        removeEntries(this.houses, block.houses);
+        removeEntries(this.walls, block.walls);
+        removeEntries(this.pickups, block.pickups);
+        
+        for (const collider of block.colliders) {
+            this.collisions.remove(collider);
+        }
+        for (const obstacle of block.obstacles) {
+            this.obstacleColliders.delete(obstacle);
+        }
+    }
+    
+    /**
+     * Add an obstacle that isn't part of a block's layout
+     * @param {Object} obstacle - Obstacle
+     */
+    addObstacle(obstacle) {
+        const collider = createObstacleCollider(obstacle);
+        this.obstacles.push(obstacle);
+        this.obstacleColliders.set(obstacle, collider);
+        this.collisions.add(collider);
+    }
+    
+    /**
+     * Move an obstacle's collider to where the obstacle now is
+     * @param {Object} obstacle - Obstacle added with addObstacle
+     */
+    moveObstacle(obstacle) {
+        const collider = this.obstacleColliders.get(obstacle);
+        if (collider) {
+            collider.moveTo(obstacle.position, obstacle.rotation || 0);
+            this.collisions.update(collider);
+        }
+    }
+    
+    /**
+     * Remove an obstacle added with addObstacle, or one from a block's layout
+     * @param {Object} obstacle - Obstacle
+     */
+    removeObstacle(obstacle) {
+        const collider = this.obstacleColliders.get(obstacle);
+        removeEntries(this.obstacles, [obstacle]);
+        if (collider) {
+            this.collisions.remove(collider);
+            this.obstacleColliders.delete(obstacle);
+        }
+    }
+}
+
+/**
+ * Remove a set of entries from an array without replacing the array
+ * @param {Array} array - Array to edit
+ * @param {Array} entries - Entries to remove
+ */
+function removeEntries(array, entries) {
+    if (entries.length === 0) return;
+    
+    const removed = new Set(entries);
+    let writeIndex = 0;
+    for (const entry of array) {
+        if (!removed.has(entry)) {
+            array[writeIndex++] = entry;
+        }
+    }
+    array.length = writeIndex;
+}
+
+/**
+ * Create the colliders for everything laid out in a block
+ * @param {Object} block - Block layout
+ * @param {Map} obstacleColliders - Map to record each obstacle's collider in
+ */
+function addColliders(block, obstacleColliders) {
+    for (const obstacle of block.obstacles) {
+        const collider = createObstacleCollider(obstacle);
+        obstacleColliders.set(obstacle, collider);
+        block.colliders.push(collider);
+    }
+    
+    // Mailboxes take papers anywhere in reach of the box, not just the box
+    // itself, and the reach narrows on harder blocks
+    const reach = scaleByDifficulty(2, 1.2, block.difficulty);
+    for (const mailbox of block.mailboxes) {
+        block.colliders.push(new Collider({
+            shape: 'box',
+            kind: 'mailbox',
+            position: new THREE.Vector3(mailbox.position.x, 0.2, mailbox.position.z),
+            width: reach,
+            height: 2,
+            depth: reach,
+            data: mailbox
+        }));
+    }
+    
+    // Papers count as on the porch up to half a unit off the ground, and
+    // anywhere within a porch's size of its center
+    for (const porch of block.porches) {
+        block.colliders.push(new Collider({
+            shape: 'box',
+            kind: 'porch',
+            position: new THREE.Vector3(porch.position.x, -0.5, porch.position.z),
+            width: porch.width * 2,
+            height: 1,
+            depth: porch.length * 2,
+            data: porch
+        }));
+    }
+    
+    for (const pickup of block.pickups) {
+        block.colliders.push(new Collider({
+            shape: 'cylinder',
+            kind: 'pickup',
+            position: pickup.position,
+            radius: 0.8,
+            height: 1.5,
+            data: pickup
+        }));
+    }
+    
+    for (const wall of block.walls) {
+        block.colliders.push(new Collider({
+            shape: 'box',
+            kind: 'wall',
+            position: new THREE.Vector3(wall.position.x, wall.position.y - wall.height / 2, wall.position.z),
+            width: wall.width,
+            height: wall.height,
+            depth: wall.depth,
+            data: wall
+        }));
+    }
+    
+    for (const house of block.houses) {
+        for (const houseWindow of house.windows) {
+            block.colliders.push(new Collider({
+                shape: 'box',
+                kind: 'window',
+                position: new THREE.Vector3(
+                    houseWindow.position.x,
+                    houseWindow.position.y - houseWindow.height / 2,
+                    houseWindow.position.z
+                ),
+                width: 0.1,
+                height: houseWindow.height,
+                depth: houseWindow.width,
+                data: { house, houseWindow }
+            }));
+        }
+    }
+}
+
+/**
+ * Create the collider for an obstacle, shaped like what is drawn for it
+ * @param {Object} obstacle - Obstacle layout
+ * @returns {Collider} Collider
+ */
+function createObstacleCollider(obstacle) {
+    const position = new THREE.Vector3(obstacle.position.x, 0, obstacle.position.z);
+    
+    switch (obstacle.type) {
+        case 'hill':
+            // Half sphere sitting on the ground
+            return new Collider({
+                shape: 'sphere',
+                kind: 'obstacle',
+                position: position,
+                radius: obstacle.width / 2,
+                data: obstacle
+            });
+        case 'tree':
+        case 'pond':
+        case 'sign':
+            return new Collider({
+                shape: 'cylinder',
+                kind: 'obstacle',
+                position: position,
+                radius: obstacle.width / 2,
+                height: obstacle.height,
+                data: obstacle
+            });
+        default:
+            return new Collider({
+                shape: 'box',
+                kind: 'obstacle',
+                position: position,
+                width: obstacle.width,
+                height: obstacle.height,
+                depth: obstacle.depth,
+                rotation: obstacle.rotation || 0,
+                data: obstacle
+            });
+    }
+}
+
+/**
+ * Lay out a block with houses
+ * @param {Object} block - Block layout to fill in
+ * @param {WorldLayout} world - World layout
+ * @param {Function} random - Seeded random generator
+ */
+function layoutHousesBlock(block, world, random) {
+    const blockWidth = world.blockWidth;
+    const blockLength = world.blockLength;
+    
+    // Houses sit in evenly spaced lots (8 long, including the gap to the
+    // next house) on either side of the street
+    const lotLength = 8;
+    const houseSpacing = (blockLength - (lotLength * HOUSES_PER_SIDE)) / 5;
+    const leftHouseX = -(blockWidth / 2) - 6;
+    const rightHouseX = (blockWidth / 2) + 6;
+    const zOffset = 4;
+    
+    for (let i = 0; i < HOUSES_PER_SIDE; i++) {
+        const houseZ = block.z + (houseSpacing + zOffset) + i * (lotLength + houseSpacing);
+        
+        for (const isLeftSide of [true, false]) {
+            const number = getHouseNumber(block.index, i, isLeftSide);
+            layoutHouse(
+                block,
+                isLeftSide ? leftHouseX : rightHouseX,
+                houseZ,
+                isLeftSide,
+                number,
+                world.route.isSubscriber(number),
+                random
+            );
+        }
+    }
+    
+    // Spots for one to four cars, more on harder blocks, which join the
+    // traffic (see traffic.js) in the lane on their side of the street
+    const cars = Math.round(scaleByDifficulty(1, 4, block.difficulty));
+    for (let i = 0; i < cars; i++) {
+        const carX = (random() - 0.5) * (blockWidth - 4);
+        const carZ = random() * blockLength;
+        block.vehicles.push({ x: carX, z: block.z + carZ });
+    }
+    
+    // Add street drains, spread along the block
+    const drains = Math.round(scaleByDifficulty(2, 5, block.difficulty));
+    for (let i = 0; i < drains; i++) {
+        const drainX = (random() - 0.5) * blockWidth;
+        const drainZ = i * (blockLength / drains) + random() * (blockLength / (drains * 2));
+        block.obstacles.push({
+            position: new THREE.Vector3(drainX, 0, block.z + drainZ),
+            width: 1,
+            height: 0.1,
+            depth: 1,
+            type: 'drain'
+        });
+    }
+}
+
+/**
+ * Lay out a house with its mailbox, porch, walls and windows. The house
+ * faces the street, so its front is along the x axis.
+ * @param {Object} block - Block layout to add the house to
+ * @param {number} x - X position of the house center
+ * @param {number} z - Z position of the house center
+ * @param {boolean} isLeftSide - Whether house is on left side
+ * @param {number} number - House number
+ * @param {boolean} isSubscriber - Whether the house takes the paper
+ * @param {Function} random - Seeded random generator
+ */
+function layoutHouse(block, x, z, isLeftSide, number, isSubscriber, random) {
+    // Direction from the house toward the street
+    const facing = isLeftSide ? 1 : -1;
+    
+    // Front wall, 1 unit in front of the house center
+    const frontX = x + facing * (HOUSE_DEPTH / 2 - 1.5);
+    
+    const house = {
+        number: number,
+        isSubscriber: isSubscriber,
+        position: new THREE.Vector3(x, 0, z),
+        isLeftSide: isLeftSide,
+        style: getRandomInt(0, 2, random), // Matches the mailbox style
+        windows: []
+    };
+    
+    for (let i = -1; i <= 1; i += 2) {
+        house.windows.push({
+            position: new THREE.Vector3(frontX + facing * 0.05, WINDOW_HEIGHT, z - facing * i * WINDOW_OFFSET),
+            width: WINDOW_SIZE.width,
+            height: WINDOW_SIZE.height,
+            normalX: facing,
+            broken: false
+        });
+    }
+    block.houses.push(house);
+    
+    // House body, which stops papers
+    block.walls.push({
+        position: new THREE.Vector3(frontX - facing * HOUSE_DEPTH / 2, HOUSE_HEIGHT / 2, z),
+        width: HOUSE_DEPTH,
+        height: HOUSE_HEIGHT,
+        depth: HOUSE_WIDTH,
+        house: house
+    });
+    
+    // Porch in front of the house
+    block.porches.push({
+        position: new THREE.Vector3(frontX + facing * PORCH_DEPTH / 2, 0.2, z),
+        width: PORCH_DEPTH,
+        length: HOUSE_WIDTH,
+        house: house
+    });
+    
+    // Mailbox at the front corner of the porch
+    block.mailboxes.push({
+        position: new THREE.Vector3(x + facing * HOUSE_WIDTH / 2, 0, z + facing * HOUSE_DEPTH / 2),
+        width: 1,
+        length: 0.5,
+        style: house.style,
+        house: house
+    });
+}
+
+/**
+ * Lay out a park block
+ * @param {Object} block - Block layout to fill in
+ * @param {WorldLayout} world - World layout
+ * @param {Function} random - Seeded random generator
+ */
+function layoutPark(block, world, random) {
+    const blockWidth = world.blockWidth;
+    const blockLength = world.blockLength;
+    const streetWidth = world.streetWidth;
+    
+    // Create hills - alternating sides, more of them on harder blocks
+    const hills = Math.round(scaleByDifficulty(2, 4, block.difficulty));
+    for (let i = 0; i < hills; i++) {
+        const hillZ = blockLength * (i + 0.75) / hills;
+        const offsetX = (i % 2 === 0) ? 2 : -2;
+        
+        // Random hill size variation
+        const sizeVariation = 0.25 + random() * 0.3;
+        block.obstacles.push({
+            position: new THREE.Vector3(offsetX, 0, block.z + hillZ),
+            width: 10 * sizeVariation,
+            height: 2 * sizeVariation,
+            depth: 10 * sizeVariation,
+            type: 'hill'
+        });
+    }
+    
+    // Add some trees, keeping them off the path
+    for (let i = 0; i < 12; i++) {
+        const treeX = (random() - 0.5) * (blockWidth + streetWidth * 2 - 4);
+        const treeZ = random() * blockLength;
+        
+        if (Math.abs(treeX) > 5) {
+            const style = getRandomInt(0, 2, random);
+            block.obstacles.push({
+                position: new THREE.Vector3(treeX, 0, block.z + treeZ),
+                width: 1,
+                height: style === 1 ? 4.5 : 4,
+                depth: 1,
+                type: 'tree',
+                style: style
+            });
+        }
+    }
+    
+    // Add park benches
+    for (let i = 0; i < 3; i++) {
+        const benchSide = i % 2 === 0 ? 1 : -1;
+        const benchX = benchSide * (blockWidth / 2 - 2);
+        const benchZ = blockLength / 4 + i * (blockLength / 3);
+        block.obstacles.push({
+            position: new THREE.Vector3(benchX, 0, block.z + benchZ),
+            width: 2,
+            height: 1,
+            depth: 0.7,
+            type: 'bench',
+            facing: benchSide
+        });
+    }
+    
+    // Add a small pond
+    if (random() > 0.5) {
+        const pondX = (random() - 0.5) * (blockWidth - 10);
+        const pondZ = blockLength / 2 + (random() - 0.5) * (blockLength / 2 - 5);
+        const pondSize = 3 + random() * 2;
+        block.obstacles.push({
+            position: new THREE.Vector3(pondX, 0, block.z + pondZ),
+            width: pondSize,
+            height: 0.1,
+            depth: pondSize,
+            type: 'pond'
+        });
+    }
+}
+
+/**
+ * Lay out the things to pick up along a block: now and then a bundle of
+ * papers on one of the sidewalks, and one on every park's path, and now
+ * and then a power-up in the street or on the path. They draw from their
+ * own stream so they don't move anything else in the block. The first
+ * block has none; the player sets off with a full bag.
+ * @param {Object} block - Block layout to fill in
+ * @param {WorldLayout} world - World layout
+ */
+function layoutPickups(block, world) {
+    if (block.index === 0) return;
+    
+    const random = createRandom(mixSeed(block.seed, 4));
+    const z = block.z + 2 + random() * (world.blockLength - 4);
+    
+    if (block.isPark) {
+        addBundle(block, (random() - 0.5) * 8, z);
+    } else if (random() < 0.5) {
+        const side = random() < 0.5 ? -1 : 1;
+        addBundle(block, side * (world.blockWidth / 4 + 1.5), z);
+    }
+    
+    if (random() < 0.3) {
+        const types = Object.keys(POWER_UP_TYPES);
+        block.pickups.push({
+            type: 'powerUp',
+            powerUp: types[Math.floor(random() * types.length)],
+            position: new THREE.Vector3((random() - 0.5) * 8, 0, block.z + 2 + random() * (world.blockLength - 4)),
+            collected: false
+        });
+    }
+}
+
+/**
+ * Put a bundle of papers in a block
+ * @param {Object} block - Block layout
+ * @param {number} x - X position
+ * @param {number} z - Z position
+ */
+function addBundle(block, x, z) {
+    block.pickups.push({
+        type: 'bundle',
+        position: new THREE.Vector3(x, 0, z),
+        papers: 10, // Most it refills, up to the bag's capacity
+        collected: false
+    });
+}
+
+/**
+ * Lay out the cross-street at the start of a block
+ * @param {Object} block - Block layout to fill in
+ * @param {WorldLayout} world - World layout
+ * @param {Function} random - Seeded random generator
+ */
+function layoutCrossStreet(block, world, random) {
+    const streetZ = block.z - world.streetWidth / 2;
+    
+    // Stop signs on some corners of the intersection
+    for (let i = -1; i <= 1; i += 2) {
+        for (let j = -1; j <= 1; j += 2) {
+            if (random() > 0.5) {
+                block.obstacles.push({
+                    position: new THREE.Vector3(world.blockWidth * 0.5 * i, 0, streetZ + 4 * j),
+                    width: 0.3,
+                    height: 2,
+                    depth: 0.3,
+                    type: 'sign',
+                    streetZ: streetZ // Middle of the intersection it stands at
+                });
+            }
+        }
+    }
+}
@@ -1,17 +1,39 @@
 /**
  * Main game logic for Paperboy 3D
+ *
+ * Glue between the headless simulation and the Three.js view: runs the
+ * simulation on a fixed timestep, mirrors its state into the scene and
+ * turns its events into UI updates.
  */
 
 import * as THREE from 'three';
 import { Player } from './player.js';
 import { Controls } from './controls.js';
-import { UI } from './ui.js';
-import { WorldGenerator } from './world/blocks.js';
-import { createNewspaper } from './world/obstacles.js';
-import { checkCollision } from './utils.js';
+import { UI, POWER_UP_NAMES } from './ui.js';
+import { WorldView } from './world/blocks.js';
+import { Simulation } from './core/simulation.js';
+import { Recording } from './core/recording.js';
+import { Replay } from './core/replay.js';
+import { DIFFICULTY_PRESETS } from './core/difficulty.js';
+import { Campaign } from './campaign.js';
+import { loadGhost, submitGhost, importGhost } from './ghosts.js';
+import { NewspaperRenderer } from './world/newspapers.js';
+import { TrafficRenderer } from './world/traffic.js';
+import { HazardRenderer } from './world/hazards.js';
+import { TrajectoryPreview } from './world/trajectory.js';
+import { LightManager } from './world/lights.js';
+import { Settings, QUALITY_LEVELS, STEERING_MODES } from './settings.js';
+import { breakWindow } from './world/houses.js';
+import { collectPickup } from './world/pickups.js';
+import { getPropStats, disposeProps } from './world/props.js';
+import { downloadJSON, readTextFile, hasUrlFlag, createSeed } from './utils.js';
 
 export class Game {
-    constructor() {
+    /**
+     * @param {number} [seed] - World seed; the saved week's seed or a random
+     *     one is used if omitted
+     */
+    constructor(seed) {
         // Game variables
         this.scene = null;
         this.camera = null;
@@ -19,22 +41,83 @@ export class Game {
         this.player = null;
         this.controls = null;
         this.ui = null;
-        this.worldGenerator = null;
+        this.worldView = null;
+        this.simulation = null;
+        this.recording = null; // Input of the current or last run
+        this.replay = null; // Replay being watched, if any
+        this.liveSimulation = null; // Run to go back to after a replay
+        this.ghost = null; // Best run on this seed, raced alongside the player
+        this.ghostPlayer = null;
         this.clock = new THREE.Clock();
         this.deltaTime = 0;
         
+        // Fixed-timestep simulation: the game advances in steps of exactly
+        // timeStep seconds whatever the display's refresh rate
+        this.timeStep = 1 / 60;
+        this.maxFrameTime = 0.25; // Longest frame the simulation catches up on
+        this.accumulator = 0;
+        
+        // Resume the saved week unless a different seed was asked for
+        this.campaign = Campaign.load(seed);
+        this.seed = this.campaign.seed;
+        
         // Game state
         this.isActive = false;
-        this.score = 0;
-        this.papers = 100;
-        this.lives = 3;
         
-        // Game world data
-        this.obstacles = [];
-        this.mailboxes = [];
-        this.porches = [];
-        this.newspapers = [];
-        this.gameTime = 0;
+        // Papers left lying around before the oldest are cleared away
+        this.maxRestingPapers = 24;
+        this.newspaperRenderer = null;
+        this.trafficRenderer = null;
+        this.hazardRenderer = null;
+        this.trajectoryPreview = null;
+        
+        // Draw calls and friends in the HUD, for checking render cost
+        this.showRenderStats = hasUrlFlag('stats');
+        
+        this.settings = Settings.load();
+        this.lightManager = null;
+    }
+    
+    /**
+     * Score so far this week
+     * @returns {number} Score
+     */
+    get score() {
+        return this.simulation.score;
+    }
+    
+    /**
+     * Papers left in the bag
+     * @returns {number} Papers
+     */
+    get papers() {
+        return this.simulation.papers;
+    }
+    
+    /**
+     * Lives left
+     * @returns {number} Lives
+     */
+    get lives() {
+        return this.simulation.lives;
+    }
+    
+    /**
+     * Today's delivery route
+     * @returns {Route} Route
+     */
+    get route() {
+        return this.simulation.route;
+    }
+    
+    /**
+     * Points the player is ahead of the ghost rider so far this run
+     * @returns {number|null} Score difference, or null with no ghost to race
+     */
+    get ghostDelta() {
+        if (!this.ghost || this.replay) return null;
+        
+        return (this.score - this.recording.startScore) - this.ghost.score;
     }
     
     /**
@@ -44,18 +127,19 @@ export class Game {
         // Create scene
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
-
+        this.scene.fog = new THREE.Fog(0x87CEEB, 180, 300); // Hide blocks streaming in
+        
         // Create camera
         this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.camera.position.set(0, 20, -15);
         this.camera.lookAt(0, 0, 10);
-
+        
         // Create renderer
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.shadowMap.enabled = true;
         document.getElementById('game-container').appendChild(this.renderer.domElement);
-
+        
         // Add lighting
         this.setupLighting();
         
@@ -63,18 +147,26 @@ export class Game {
         this.player = new Player(this.scene);
         this.player.create();
         
-        // Generate world
-        this.worldGenerator = new WorldGenerator(this.scene);
-        const worldData = this.worldGenerator.generateWorld();
-        this.obstacles = worldData.obstacles;
-        this.mailboxes = worldData.mailboxes;
-        this.porches = worldData.porches;
+        // Ghost rider, a see-through copy of the player's bike
+        this.ghostPlayer = new Player(this.scene);
+        this.ghostPlayer.create();
+        this.ghostPlayer.makeGhost();
+        this.ghostPlayer.object.visible = false;
         
-        // Set up user interface
+        // Set up the world view, user interface and controls
+        console.log('World seed:', this.seed);
+        this.worldView = new WorldView(this.scene);
+        this.worldView.detailScale = this.settings.qualityLevel.detailDistance;
+        this.newspaperRenderer = new NewspaperRenderer(this.scene, this.maxRestingPapers);
+        this.trafficRenderer = new TrafficRenderer(this.scene);
+        this.hazardRenderer = new HazardRenderer(this.scene);
+        this.trajectoryPreview = new TrajectoryPreview(this.scene);
+        this.lightManager = new LightManager(this.scene, this.settings.qualityLevel.streetLights);
         this.ui = new UI(this);
+        this.controls = new Controls();
+        this.controls.invertSteering = this.settings.steering === 'inverted';
         
-        // Set up controls
-        this.controls = new Controls(this);
+        this.prepareDay();
     }
     
     /**
@@ -84,7 +176,7 @@ export class Game {
         // Add ambient light
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
         this.scene.add(ambientLight);
-
+        
         // Add directional light (sun)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(50, 100, 20);
@@ -98,6 +190,46 @@ export class Game {
         this.scene.add(directionalLight);
     }
     
+    /**
+     * Change the render quality and remember it for next time
+     * @param {string} quality - Quality level ('low', 'medium' or 'high')
+     */
+    setQuality(quality) {
+        if (!QUALITY_LEVELS[quality]) return;
+        
+        this.settings.quality = quality;
+        this.settings.save();
+        this.lightManager.setCount(this.settings.qualityLevel.streetLights);
+        this.worldView.detailScale = this.settings.qualityLevel.detailDistance;
+    }
+    
+    /**
+     * Change which way the left and right keys steer and remember it
+     * @param {string} steering - Steering mode ('normal' or 'inverted')
+     */
+    setSteering(steering) {
+        if (!STEERING_MODES.includes(steering)) return;
+        
+        this.settings.steering = steering;
+        this.settings.save();
+        this.controls.invertSteering = steering === 'inverted';
+    }
+    
+    /**
+     * Change how hard the street starts out and remember it. Before the
+     * start the day is set up again so the street on show matches.
+     * @param {string} difficulty - Difficulty preset ('easy', 'normal' or 'hard')
+     */
+    setDifficulty(difficulty) {
+        if (!DIFFICULTY_PRESETS[difficulty]) return;
+        
+        this.settings.difficulty = difficulty;
+        this.settings.save();
+        if (!this.isActive) {
+            this.prepareDay();
+        }
+    }
+    
     /**
      * Start the game
      */
@@ -105,40 +237,165 @@ export class Game {
         console.log('Game started!');
         this.isActive = true;
         this.ui.hideStartScreen();
-        this.score = 0;
-        this.papers = 100;
-        this.lives = 3;
         this.ui.update();
+        this.controls.reset();
+        this.accumulator = 0;
         this.clock.start();
+    }
+    
+    /**
+     * Restart the game from Monday, rebuilding the world from scratch
+     * @param {boolean} [keepSeed] - Ride the same street again rather than
+     *     a new one
+     */
+    restartGame(keepSeed = true) {
+        this.rebuildWorld(keepSeed);
+        this.ui.hideGameOverScreen();
+        this.startGame();
+    }
+    
+    /**
+     * Start a new week with the world rebuilt from scratch
+     * @param {boolean} keepSeed - Keep the same street rather than a new one
+     */
+    rebuildWorld(keepSeed) {
+        if (!keepSeed) {
+            this.seed = createSeed();
+            console.log('World seed:', this.seed);
+        }
+        this.campaign = new Campaign(this.seed);
         
-        // Add a debug listener for spacebar
-        document.addEventListener('keydown', (event) => {
-            if (event.key === ' ' && this.isActive) {
-                console.log('Spacebar pressed in active game');
-            }
-        });
+        // Free every block and the shared props too, so nothing from the
+        // last run stays on the GPU
+        this.worldView.cleanup();
+        this.trafficRenderer.dispose();
+        this.hazardRenderer.dispose();
+        disposeProps();
+        
+        this.prepareDay();
     }
     
     /**
-     * Restart the game
+     * Rebuild the world a few times, drawing a frame after each, and check
+     * the renderer's memory counters come back to the same numbers every
+     * time. Run it by opening the game with ?leakcheck.
+     * @param {number} [restarts] - Number of rebuilds
+     * @returns {Object[]} Counters after each rebuild
      */
-    restartGame() {
-        this.player.reset();
-        this.isActive = true;
-        this.score = 0;
-        this.papers = 100;
-        this.lives = 3;
-        this.gameTime = 0;
-        
-        // Clear newspapers
-        for (const newspaper of this.newspapers) {
-            this.scene.remove(newspaper.object);
+    checkRestartLeaks(restarts = 5) {
+        const samples = [];
+        for (let i = 0; i < restarts; i++) {
+            this.rebuildWorld(true);
+            this.renderer.render(this.scene, this.camera);
+            samples.push({
+                geometries: this.renderer.info.memory.geometries,
+                textures: this.renderer.info.memory.textures,
+                sharedGeometries: getPropStats().geometries,
+                sharedMaterials: getPropStats().materials
+            });
         }
-        this.newspapers = [];
+        console.table(samples);
+        
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const stable = last.geometries === first.geometries && last.textures === first.textures;
+        this.ui.showMessage(stable
+            ? `Leak check: ${restarts} restarts, ${last.geometries} geometries and ${last.textures} textures each time`
+            : `Leak check: geometries ${first.geometries} -> ${last.geometries}, textures ${first.textures} -> ${last.textures}`);
+        return samples;
+    }
+    
+    /**
+     * Set up the street for the campaign's current day: a fresh simulation
+     * for today's subscribers with the player back at the start
+     */
+    prepareDay() {
+        const options = {
+            subscribers: this.campaign.subscribers,
+            score: this.campaign.score,
+            lives: this.campaign.lives,
+            paperWeight: this.campaign.paperWeight,
+            difficulty: this.campaign.difficulty,
+            difficultyPreset: this.settings.difficulty,
+            maxRestingPapers: this.maxRestingPapers
+        };
+        const simulation = new Simulation({ seed: this.seed, ...options });
+        
+        // A new week starts with the route's seeded pick of subscribers
+        if (!this.campaign.subscribers) {
+            this.campaign.subscribers = simulation.route.getSubscriberList();
+            options.subscribers = this.campaign.subscribers;
+        }
+        this.campaign.save();
+        
+        this.recording = new Recording({
+            seed: this.seed,
+            options: options,
+            timeStep: this.timeStep,
+            day: this.campaign.dayName
+        });
+        this.loadGhost();
+        
+        this.showSimulation(simulation);
+        this.ui.showRouteSheet(simulation.route, this.campaign);
+    }
+    
+    /**
+     * Make a simulation the one on screen, rebuilding the scene around it
+     * @param {Simulation} simulation - Simulation to show
+     */
+    showSimulation(simulation) {
+        this.simulation = simulation;
+        
+        // The scene is rebuilt from the simulation's state as it is now
+        simulation.drainEvents();
+        
+        // Subscriber markings are built into the houses, so rebuild the street
+        this.worldView.cleanup();
+        this.worldView.sync(simulation.world);
+        this.player.render(simulation.player, 1);
+        this.player.showBagFill(simulation.papers / simulation.bagCapacity);
+        this.newspaperRenderer.render(simulation.newspapers, 1);
+        this.trafficRenderer.render(simulation.traffic.vehicles, 1, simulation.player.position.z);
+        this.hazardRenderer.render(simulation.hazards.hazards, 1, simulation.player.position.z, simulation.gameTime);
         
         this.ui.update();
-        this.ui.hideGameOverScreen();
-        this.clock.start();
+    }
+    
+    /**
+     * End the day at the end of the route and show how it went
+     */
+    endDay() {
+        this.isActive = false;
+        this.saveBestRun();
+        
+        const summary = this.campaign.finishDay(this.simulation.route, this.score - this.campaign.score);
+        this.campaign.score = this.score;
+        this.campaign.lives = this.lives;
+        
+        if (this.campaign.isComplete) {
+            this.campaign.clear();
+        } else {
+            this.campaign.save();
+        }
+        
+        this.ui.showDaySummary(summary, this.campaign);
+    }
+    
+    /**
+     * Move on from the day summary: the next day's route sheet, or a new week
+     * once Sunday is done
+     */
+    startNextDay() {
+        this.ui.hideDaySummary();
+        
+        if (this.campaign.isComplete) {
+            this.restartGame();
+            return;
+        }
+        
+        this.prepareDay();
+        this.ui.showStartScreen();
     }
     
     /**
@@ -146,6 +403,10 @@ export class Game {
      */
     endGame() {
         this.isActive = false;
+        this.saveBestRun();
+        
+        // Losing every life ends the week
+        this.campaign.clear();
         this.ui.showGameOverScreen();
     }
     
@@ -159,234 +420,243 @@ export class Game {
     }
     
     /**
-     * Throw newspaper in the appropriate direction
+     * Save the last run's recording as a file
      */
-    throwNewspaper() {
-        console.log('Game.throwNewspaper called');
-        
-        // Calculate direction - either left or right based on player rotation
-        const throwDirection = new THREE.Vector3();
-        const playerDirection = new THREE.Vector3(0, 0, 1)
-            .applyQuaternion(this.player.object.quaternion);
-        
-        // Cross product to get perpendicular direction (left or right)
-        // We'll use the current player direction to determine which side to throw
-        const throwSide = Math.sin(this.player.object.rotation.y) > 0 ? -1 : 1; // Left or right
-        
-        throwDirection.x = playerDirection.z * throwSide;
-        throwDirection.z = -playerDirection.x * throwSide;
-
-        console.log('Throwing direction:', throwDirection);
-        
-        this.createNewspaper(
-            this.player.position.x + throwDirection.x * 0.5,
-            this.player.position.y + 1,
-            this.player.position.z + throwDirection.z * 0.5,
-            throwDirection.x * 0.5,
-            throwDirection.z * 0.5
-        );
+    exportRecording() {
+        const day = (this.recording.day || 'run').toLowerCase();
+        downloadJSON(`paperboy3d-${this.recording.seed}-${day}.json`, this.recording);
     }
     
     /**
-     * Create a newspaper
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {number} z - Z position
-     * @param {number} velocityX - X velocity
-     * @param {number} velocityZ - Z velocity
+     * Load a recording from a file and watch it
+     * @param {File} file - Recording file picked by the user
      */
-    createNewspaper(x, y, z, velocityX, velocityZ) {
-        if (this.papers <= 0) return;
-        
-        console.log('Creating newspaper at', x, y, z);
-        
-        this.papers--;
-        this.ui.update();
-        
-        const newspaper = createNewspaper(this.scene, x, y, z, velocityX, velocityZ);
-        this.newspapers.push(newspaper);
+    async importRecording(file) {
+        try {
+            const recording = Recording.fromJSON(await readTextFile(file));
+            this.startReplay(recording);
+        } catch (error) {
+            console.error('Could not load recording:', error);
+            this.ui.showMessage(`Could not load replay: ${error.message}`);
+        }
     }
     
     /**
-     * Check if player is on a hill (deprecated, now handled by checkObstacleCollisions)
-     * @returns {boolean} Whether player is on a hill
+     * Watch a recorded run. The run in progress is put aside and comes back
+     * when the replay is closed.
+     * @param {Recording} [recording] - Recording to watch (the last run if omitted)
      */
-    isPlayerOnHill() {
-        // This is kept for backwards compatibility but is no longer needed
-        // as hill detection is now handled in checkObstacleCollisions
-        return false;
+    startReplay(recording = this.recording) {
+        if (!this.replay) {
+            this.liveSimulation = this.simulation;
+        }
+        this.isActive = false;
+        this.replay = new Replay(recording);
+        this.showSimulation(this.replay.simulation);
+        this.ui.showReplayBar(this.replay);
+        this.clock.start();
     }
     
     /**
-     * Check collisions between player and obstacles
-     * @returns {boolean} Whether a collision occurred
+     * Jump to a time in the replay. Seeking forward plays the run on, and the
+     * next frame streams the blocks and applies its events as in playback.
+     * Seeking back starts the run over on a new street, which the next frame
+     * rebuilds, so while the slider is dragged that waits for it to be let go.
+     * @param {number} time - Time in seconds
+     * @param {boolean} [dragging] - Whether the slider is still being dragged
      */
-    checkObstacleCollisions() {
-        if (this.player.isInvincible) return false;
+    seekReplay(time, dragging = false) {
+        if (dragging && time < this.replay.time) return;
         
-        for (const obstacle of this.obstacles) {
-            const dx = Math.abs(this.player.position.x - obstacle.position.x);
-            const dz = Math.abs(this.player.position.z - obstacle.position.z);
-            const collisionWidthFactor = 0.7; // Adjusts collision width for better gameplay
-            
-            // For hills, use a wider collision area and trigger automatic jump
-            if (obstacle.type === 'hill') {
-                if (dx < (this.player.width / 2 + obstacle.width / 2) * 0.8 &&
-                    dz < (this.player.depth / 2 + obstacle.depth / 2) * 0.8) {
-                    
-                    // Only start jump if not already jumping and can jump
-                    if (!this.player.isJumping && this.player.canJump) {
-                        console.log("Auto-jumping hill!");
-                        this.player.startJump();
-                        // Award points for jumping hills
-                        this.score += 20;
-                        this.ui.update();
-                    }
-                    
-                    // Don't count hills as regular collision obstacles
-                    continue;
-                }
+        this.replay.seek(time);
+    }
+    
+    /**
+     * Close the replay and go back to the run it was opened from
+     */
+    stopReplay() {
+        this.replay = null;
+        this.showSimulation(this.liveSimulation);
+        this.liveSimulation = null;
+        this.ui.hideReplayBar();
+    }
+    
+    /**
+     * Set up the saved ghost for this seed to race from the start
+     */
+    loadGhost() {
+        const saved = loadGhost(this.seed);
+        this.ghost = saved ? new Replay(saved.recording) : null;
+        this.ui.showGhost(saved);
+    }
+    
+    /**
+     * Keep the run that just ended as the ghost if it is the best on this seed
+     */
+    saveBestRun() {
+        if (submitGhost(this.recording, this.score - this.recording.startScore)) {
+            this.ui.showMessage('New best run! It will be your ghost on this street.');
+        }
+    }
+    
+    /**
+     * Load a ghost from a file, for racing a friend's best run
+     * @param {File} file - Recording file picked by the user
+     */
+    async importGhost(file) {
+        try {
+            const ghost = importGhost(await readTextFile(file));
+            if (ghost.recording.seed === this.seed) {
+                this.loadGhost();
+                this.ui.update();
             } else {
-                // Standard collision detection for other obstacles
-                if (dx < (this.player.width / 2 + obstacle.width / 2) * collisionWidthFactor &&
-                    dz < (this.player.depth / 2 + obstacle.depth / 2) * collisionWidthFactor) {
-                    
-                    // Collision detected
-                    this.score -= 5;
-                    this.lives--;
-                    this.ui.update();
-                    
-                    // Make player invincible for a short time
-                    this.player.makeInvincible();
-                    
-                    // Check game over
-                    if (this.lives <= 0) {
-                        this.endGame();
-                    }
-                    
-                    return true;
-                }
+                this.ui.showMessage(`Ghost saved for seed ${ghost.recording.seed}; open ?seed=${ghost.recording.seed} to race it`);
             }
+        } catch (error) {
+            console.error('Could not load ghost:', error);
+            this.ui.showMessage(`Could not load ghost: ${error.message}`);
         }
-        return false;
     }
     
     /**
-     * Update newspapers with improved collision detection
+     * Save the ghost for this seed as a file
      */
-    updateNewspapers() {
-        // Skip if no newspapers
-        if (this.newspapers.length === 0) return;
-        
-        console.log(`Updating ${this.newspapers.length} newspapers`);
+    exportGhost() {
+        const saved = loadGhost(this.seed);
+        if (!saved) {
+            this.ui.showMessage('No ghost on this street yet');
+            return;
+        }
+        downloadJSON(`paperboy3d-ghost-${this.seed}.json`, saved.recording);
+    }
+    
+    /**
+     * React to what happened in the simulation since the last call
+     */
+    handleEvents() {
+        const events = this.simulation.drainEvents();
         
-        for (let i = this.newspapers.length - 1; i >= 0; i--) {
-            const newspaper = this.newspapers[i];
+        for (const event of events) {
+            // Replays only show what happened; the campaign moves on from live runs
+            if (this.replay && event.type !== 'windowBroken' && event.type !== 'pickup') continue;
             
-            if (newspaper.thrown && !newspaper.delivered) {
-                // Store previous position for collision detection
-                const prevPos = newspaper.position.clone();
-                
-                // Apply gravity and update position
-                newspaper.velocity.y -= 0.015;
-                newspaper.position.add(newspaper.velocity);
-                
-                // Check wall collisions
-                const walls = this.scene.children.filter(obj => 
-                    obj.userData && obj.userData.type === 'wall');
-                for (const wall of walls) {
-                    const bbox = new THREE.Box3().setFromObject(wall);
-                    if (bbox.containsPoint(newspaper.position)) {
-                        newspaper.position.copy(prevPos);
-                        newspaper.thrown = false;
-                        break;
-                    }
-                }
-                
-                // Check mailbox deliveries with more generous bounds
-                for (const mailbox of this.mailboxes) {
-                    const dx = Math.abs(newspaper.position.x - mailbox.position.x);
-                    const dz = Math.abs(newspaper.position.z - mailbox.position.z);
-                    const dy = Math.abs(newspaper.position.y - 1.2);
+            switch (event.type) {
+                case 'windowBroken':
+                    breakWindow(event.houseWindow);
+                    break;
+                case 'pickup':
+                    collectPickup(event.pickup);
+                    if (this.replay) break;
                     
-                    if (dx < 0.75 && dz < 0.75 && dy < 1.0) {
-                        newspaper.delivered = true;
-                        newspaper.thrown = false;
-                        newspaper.velocity.set(0, 0, 0);
-                        newspaper.position.y = 1.2;
-                        this.score += 20;
-                        this.ui.update();
-                        break;
+                    if (event.pickup.type === 'bundle') {
+                        this.ui.showMessage(`+${event.papers} papers`);
+                    } else {
+                        this.ui.showMessage(`${POWER_UP_NAMES[event.pickup.powerUp]}!`);
                     }
-                }
-                
-                // Check porch deliveries with more generous bounds
-                for (const porch of this.porches) {
-                    const dx = Math.abs(newspaper.position.x - porch.position.x);
-                    const dz = Math.abs(newspaper.position.z - porch.position.z);
-                    
-                    if (dx < porch.width && dz < porch.length && 
-                        newspaper.position.y < 0.5) {
-                        newspaper.delivered = true;
-                        newspaper.thrown = false;
-                        newspaper.velocity.set(0, 0, 0);
-                        newspaper.position.y = 0.2;
-                        this.score += 10;
-                        this.ui.update();
-                        break;
-                    }
-                }
-                
-                // Ground collision
-                if (newspaper.position.y <= 0.05) {
-                    newspaper.position.y = 0.05;
-                    newspaper.thrown = false;
-                    newspaper.velocity.set(0, 0, 0);
-                }
-                
-                // Update the visual object position
-                newspaper.object.position.copy(newspaper.position);
+                    break;
+                case 'dayOver':
+                    this.endDay();
+                    break;
+                case 'gameOver':
+                    this.endGame();
+                    break;
             }
-            
-            // Remove old undelivered papers
-            if (!newspaper.thrown && !newspaper.delivered && this.gameTime > 30) {
-                this.scene.remove(newspaper.object);
-                this.newspapers.splice(i, 1);
+        }
+        
+        if (events.length > 0) {
+            this.ui.update();
+        }
+    }
+    
+    /**
+     * Advance the game by one fixed simulation step
+     * @param {number} deltaTime - Step length in seconds
+     */
+    step(deltaTime) {
+        const input = this.controls.sample();
+        this.recording.record(input);
+        this.simulation.step(deltaTime, input);
+        
+        // The ghost rides in step with the player; only its score matters here
+        if (this.ghost) {
+            this.ghost.step();
+            if (this.ghost.simulation.drainEvents().length > 0) {
+                this.ui.update();
             }
         }
+        this.handleEvents();
     }
     
     /**
-     * Animation loop
+     * Animation loop: run as many fixed steps as the elapsed time covers,
+     * then render with positions interpolated between the last two steps
      */
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        this.deltaTime = this.clock.getDelta();
+        // Clamp long frames (e.g. after switching tabs) so the simulation
+        // doesn't try to catch up on several seconds at once
+        this.deltaTime = Math.min(this.clock.getDelta(), this.maxFrameTime);
         
         if (this.isActive) {
-            this.gameTime += this.deltaTime;
-            
-            // Update player position if no collision
-            if (!this.checkObstacleCollisions()) {
-                this.player.update(this.deltaTime);
+            // Slow motion runs fewer steps for the same real time
+            this.accumulator += this.deltaTime * this.simulation.timeScale;
+            while (this.isActive && this.accumulator >= this.timeStep) {
+                this.step(this.timeStep);
+                this.accumulator -= this.timeStep;
             }
+        }
+        
+        let alpha = this.accumulator / this.timeStep;
+        if (this.replay) {
+            this.replay.advance(this.deltaTime);
             
-            // Update camera position to follow player
-            this.camera.position.x = this.player.position.x * 0.5;
-            this.camera.position.z = this.player.position.z - 15;
-            this.camera.lookAt(this.player.position.x, this.player.position.y, this.player.position.z + 10);
-            
-            // Update newspapers
-            this.updateNewspapers();
-            
-            // End game if out of papers and no newspapers left
-            if (this.papers <= 0 && this.newspapers.length === 0 && this.lives > 0) {
-                this.endGame();
+            // Playing on from the end starts the run over
+            if (this.replay.simulation !== this.simulation) {
+                this.showSimulation(this.replay.simulation);
             }
+            this.handleEvents();
+            this.ui.updateReplayBar(this.replay);
+            alpha = this.replay.accumulator / this.replay.timeStep;
+        }
+        
+        // Stream block models in and out with the layout
+        this.worldView.sync(this.simulation.world);
+        
+        this.player.render(this.simulation.player, alpha);
+        this.player.showBagFill(this.simulation.papers / this.simulation.bagCapacity);
+        this.newspaperRenderer.render(this.simulation.newspapers, alpha);
+        this.trafficRenderer.render(this.simulation.traffic.vehicles, alpha, this.camera.position.z);
+        this.hazardRenderer.render(this.simulation.hazards.hazards, alpha, this.camera.position.z,
+            this.simulation.gameTime);
+        
+        // Show where the throw being charged will go
+        const charge = this.simulation.throwCharge;
+        if (charge) {
+            this.trajectoryPreview.show(this.simulation.predictThrow(charge.side, this.simulation.throwPower));
+        } else {
+            this.trajectoryPreview.hide();
+        }
+        
+        if (this.ghost && !this.replay) {
+            this.ghostPlayer.render(this.ghost.simulation.player, alpha);
+        } else {
+            this.ghostPlayer.object.visible = false;
         }
         
+        // Update camera position to follow the rendered player
+        const playerPosition = this.player.object.position;
+        this.lightManager.update(this.worldView.lamps, playerPosition);
+        this.camera.position.x = playerPosition.x * 0.5;
+        this.camera.position.z = playerPosition.z - 15;
+        this.camera.lookAt(playerPosition.x, playerPosition.y, playerPosition.z + 10);
+        this.worldView.updateDetail(this.camera.position.z);
+        
+        this.ui.showPowerUps(this.simulation.powerUps);
         this.renderer.render(this.scene, this.camera);
+        if (this.showRenderStats) {
+            this.ui.showRenderStats(this.renderer.info);
+        }
     }
     
     /**
@@ -394,6 +664,11 @@ export class Game {
      */
     cleanup() {
         this.controls.cleanup();
+        this.newspaperRenderer.dispose();
+        this.trafficRenderer.dispose();
+        this.hazardRenderer.dispose();
+        this.trajectoryPreview.dispose();
+        this.lightManager.dispose();
         
         // Remove all scene objects
         while(this.scene.children.length > 0) { 
@@ -0,0 +1,81 @@
+/**
+ * Ghost riders for Paperboy 3D game
+ *
+ * The best run on each seed is kept in local storage as a recording and
+ * raced as a ghost rider on later runs of the same street.
+ */
+
+import { Recording } from './core/recording.js';
+import { Replay } from './core/replay.js';
+
+// Ghosts are kept one per seed under this prefix
+const STORAGE_PREFIX = 'paperboy3d.ghost.';
+
+/**
+ * Load the ghost saved for a seed
+ * @param {number} seed - World seed
+ * @returns {Object|null} Ghost ({ score, recording }), or null if there is none
+ */
+export function loadGhost(seed) {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + seed));
+        if (saved) {
+            return {
+                score: saved.score,
+                recording: Recording.fromJSON(JSON.stringify(saved.recording))
+            };
+        }
+    } catch (error) {
+        console.error('Could not load ghost', error);
+    }
+    
+    return null;
+}
+
+/**
+ * Save a run as the ghost for its seed
+ * @param {Recording} recording - Recorded run
+ * @param {number} score - Points scored in the run
+ */
+export function saveGhost(recording, score) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + recording.seed, JSON.stringify({
+            score: score,
+            recording: recording
+        }));
+    } catch (error) {
+        console.error('Could not save ghost', error);
+    }
+}
+
+/**
+ * Keep a finished run as the ghost if it beats the one saved for its seed
+ * @param {Recording} recording - Recorded run
+ * @param {number} score - Points scored in the run
+ * @returns {boolean} Whether the run is the new ghost
+ */
+export function submitGhost(recording, score) {
+    if (recording.duration === 0) return false;
+    
+    const best = loadGhost(recording.seed);
+    if (best && best.score >= score) return false;
+    
+    saveGhost(recording, score);
+    return true;
+}
+
+/**
+ * Import a ghost from an exported recording, replacing the one saved for
+ * its seed. The score is worked out by playing the run, not read from the file.
+ * @param {string} text - Recording JSON
+ * @returns {Object} Ghost ({ score, recording })
+ */
+export function importGhost(text) {
+    const recording = Recording.fromJSON(text);
+    const replay = new Replay(recording);
+    replay.seek(recording.length);
+    
+    const ghost = { score: replay.score, recording: recording };
+    saveGhost(recording, ghost.score);
+    return ghost;
+}
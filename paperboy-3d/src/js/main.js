@@ -4,17 +4,23 @@
 
 import * as THREE from 'three';
 import { Game } from './game.js';
+import { getSeedFromUrl, hasUrlFlag } from './utils.js';
 
 // Initialize the game when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing Paperboy 3D game...');
     
-    // Create the game instance
-    const game = new Game();
+    // Create the game instance, using the "?seed=" URL parameter if given
+    const game = new Game(getSeedFromUrl());
     
     // Initialize the game
     game.init();
     
+    // Check that restarting leaves nothing behind on the GPU
+    if (hasUrlFlag('leakcheck')) {
+        game.checkRestartLeaks();
+    }
+    
     // Handle window resize
     window.addEventListener('resize', () => {
         game.onWindowResize();
@@ -1,5 +1,5 @@
 /**
- * Player character for Paperboy 3D game
+ * Player character model for Paperboy 3D game
  */
 
 import * as THREE from 'three';
@@ -9,20 +9,9 @@ export class Player {
     constructor(scene) {
         this.scene = scene;
         this.object = null;
-        this.width = 1;
-        this.height = 2;
-        this.depth = 1.5;
-        this.position = new THREE.Vector3(0, 0, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.speed = 0.15;
-        this.canJump = true;
-        this.isJumping = false;
-        this.jumpSpeed = 0.2;
-        this.playerHeight = 1;
-        this.isInvincible = false;
-        this.invincibleTime = 0;
-        this.blinkTime = 0;
-        this.isVisible = true;
+        this.wheels = [];
+        this.newspaperBag = null;
+        this.shield = null;
     }
     
     /**
@@ -39,21 +28,33 @@ export class Player {
         );
         bikeFrame.position.y = 0.5;
         this.object.add(bikeFrame);
-
-        // Wheels - rotated to be vertical
+        
+        // Wheels - rotated to be vertical, with spokes so they can be seen
+        // turning
         const wheelGeometry = new THREE.TorusGeometry(0.5, 0.1, 16, 16);
         const wheelMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+        const spokeGeometry = new THREE.BoxGeometry(0.04, 0.9, 0.04);
+        const hubGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.15, 8);
+        const spokeMaterial = new THREE.MeshLambertMaterial({ color: 0xBBBBBB });
         
-        const frontWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-        frontWheel.position.set(0, 0.5, -0.6);
-        frontWheel.rotation.y = Math.PI / 2;
-        this.object.add(frontWheel);
+        for (const z of [-0.6, 0.6]) {
+            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+            wheel.position.set(0, 0.5, z);
+            wheel.rotation.y = Math.PI / 2;
+            
+            for (let i = 0; i < 3; i++) {
+                const spoke = new THREE.Mesh(spokeGeometry, spokeMaterial);
+                spoke.rotation.z = i * Math.PI / 3;
+                wheel.add(spoke);
+            }
+            const hub = new THREE.Mesh(hubGeometry, spokeMaterial);
+            hub.rotation.x = Math.PI / 2;
+            wheel.add(hub);
+            
+            this.object.add(wheel);
+            this.wheels.push(wheel);
+        }
         
-        const backWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-        backWheel.position.set(0, 0.5, 0.6);
-        backWheel.rotation.y = Math.PI / 2;
-        this.object.add(backWheel);
-
         // Rider
         const riderBody = new THREE.Mesh(
             new THREE.BoxGeometry(0.4, 0.8, 0.4),
@@ -61,22 +62,32 @@ export class Player {
         );
         riderBody.position.set(0, 1.2, 0);
         this.object.add(riderBody);
-
+        
         const riderHead = new THREE.Mesh(
             new THREE.SphereGeometry(0.25, 16, 16),
             new THREE.MeshLambertMaterial({ color: 0xFFCCAA })
         );
         riderHead.position.set(0, 1.7, 0);
         this.object.add(riderHead);
-
-        // Newspaper bag
-        const newspaperBag = new THREE.Mesh(
+        
+        // Newspaper bag, with the papers in it poking out of the top
+        const newspaperBag = new THREE.Group();
+        newspaperBag.position.set(0, 1, 0.5);
+        const bag = new THREE.Mesh(
             new THREE.BoxGeometry(0.4, 0.4, 0.6),
             new THREE.MeshLambertMaterial({ color: 0xBB5500 })
         );
-        newspaperBag.position.set(0, 1.2, 0.5);
+        bag.position.y = 0.2;
+        newspaperBag.add(bag);
+        const papers = new THREE.Mesh(
+            new THREE.BoxGeometry(0.3, 0.5, 0.5),
+            new THREE.MeshLambertMaterial({ color: 0xF2F2E6 })
+        );
+        newspaperBag.add(papers);
+        newspaperBag.userData.papers = papers;
         this.object.add(newspaperBag);
-
+        this.newspaperBag = newspaperBag;
+        
         // Add helmet
         const helmet = new THREE.Mesh(
             new THREE.SphereGeometry(0.3, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2),
@@ -85,10 +96,6 @@ export class Player {
         helmet.position.set(0, 1.8, 0);
         helmet.rotation.x = 0.2;
         this.object.add(helmet);
-
-        // Set position
-        this.position.set(0, this.playerHeight, 0);
-        this.object.position.copy(this.position);
         
         // Add shadows
         this.object.traverse((child) => {
@@ -98,116 +105,64 @@ export class Player {
             }
         });
         
+        // Bubble shown while a shield power-up is running
+        this.shield = new THREE.Mesh(
+            new THREE.SphereGeometry(1.4, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0x33CCFF, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        this.shield.position.y = 1;
+        this.shield.visible = false;
+        this.object.add(this.shield);
+        
         // Add to scene
         this.scene.add(this.object);
     }
     
     /**
-     * Update player state
-     * @param {number} deltaTime - Time since last update in seconds
+     * Turn the model into a see-through ghost rider
+     * @param {number} [opacity] - How solid the ghost looks (0-1)
      */
-    update(deltaTime) {
-        // Update position based on velocity
-        this.position.x += this.velocity.x;
-        this.position.z += this.velocity.z;
-        
-        // Limit player to road area
-        this.position.x = Math.max(-15, Math.min(15, this.position.x));
-        
-        // Handle jumping
-        if (this.isJumping) {
-            this.position.y += this.velocity.y;
-            this.velocity.y -= 0.015; // Gravity
-            
-            // Add some rotation to the bike wheels during jump for animation
-            this.object.children.forEach(child => {
-                if (child.geometry && child.geometry.type === 'TorusGeometry') {
-                    child.rotation.x += 0.2; // Rotate wheels
-                }
-            });
-            
-            if (this.position.y <= this.playerHeight) {
-                this.position.y = this.playerHeight;
-                this.isJumping = false;
-                this.velocity.y = 0;
-                this.canJump = true;
-                
-                // Reset the tilt when landing
-                this.object.rotation.z = 0;
-            }
-        } else {
-            // Gradually reset the rotation if not jumping
-            if (Math.abs(this.object.rotation.z) > 0.01) {
-                this.object.rotation.z *= 0.9;
-            } else {
-                this.object.rotation.z = 0;
-            }
-        }
-        
-        // Update player object position
-        this.object.position.copy(this.position);
-        
-        // Update player rotation based on movement direction
-        if (this.velocity.x !== 0 || this.velocity.z !== 0) {
-            const angle = Math.atan2(this.velocity.x, this.velocity.z);
-            this.object.rotation.y = angle;
-        }
-        
-        // Handle invincibility
-        if (this.isInvincible) {
-            this.invincibleTime += deltaTime;
-            this.blinkTime += deltaTime;
-            
-            // Blink effect
-            if (this.blinkTime > 0.1) {
-                this.blinkTime = 0;
-                this.isVisible = !this.isVisible;
-                this.object.visible = this.isVisible;
-            }
-            
-            // End invincibility after 2 seconds
-            if (this.invincibleTime > 2) {
-                this.isInvincible = false;
-                this.object.visible = true;
+    makeGhost(opacity = 0.35) {
+        this.object.traverse((child) => {
+            if (child.isMesh) {
+                child.material = child.material.clone();
+                child.material.transparent = true;
+                child.material.opacity = opacity;
+                child.material.depthWrite = false;
+                child.castShadow = false;
+                child.receiveShadow = false;
             }
-        }
-    }
-    
-    /**
-     * Start jump
-     */
-    startJump() {
-        if (!this.isJumping) {
-            this.isJumping = true;
-            // Higher jump velocity for more dramatic hill jumps
-            this.velocity.y = this.jumpSpeed * 1.5;
-            this.canJump = false;
-            
-            // Play jump animation - add some bike tilt based on velocity
-            const tiltAngle = this.velocity.x * 0.5;
-            this.object.rotation.z = tiltAngle;
-        }
+        });
     }
     
     /**
-     * Make player invincible for a short time
+     * Show how full the newspaper bag is: the stack of papers in it goes
+     * down as it empties, and the bag sags once they are gone
+     * @param {number} fill - Share of the bag's capacity in it (0-1)
      */
-    makeInvincible() {
-        this.isInvincible = true;
-        this.invincibleTime = 0;
-        this.blinkTime = 0;
+    showBagFill(fill) {
+        const { papers } = this.newspaperBag.userData;
+        papers.visible = fill > 0;
+        papers.scale.y = Math.max(fill, 0.01);
+        papers.position.y = 0.02 + fill * 0.25;
+        this.newspaperBag.scale.set(1, fill > 0 ? 1 : 0.6, fill > 0 ? 1 : 0.8);
     }
     
     /**
-     * Reset player state
+     * Copy the simulated player onto the model, placing it between the last
+     * two simulation steps
+     * @param {PlayerState} state - Simulated player
+     * @param {number} alpha - How far the current frame is into the next step (0-1)
      */
-    reset() {
-        this.position.set(0, this.playerHeight, 0);
-        this.velocity.set(0, 0, 0);
-        this.isJumping = false;
-        this.canJump = true;
-        this.isInvincible = false;
-        this.object.position.copy(this.position);
-        this.object.visible = true;
+    render(state, alpha) {
+        this.object.position.lerpVectors(state.previousPosition, state.position, alpha);
+        this.object.rotation.y = state.heading;
+        this.object.rotation.z = state.tilt + state.lean;
+        this.object.visible = state.isVisible;
+        this.shield.visible = state.isShielded;
+        
+        for (const wheel of this.wheels) {
+            wheel.rotation.x = state.wheelRotation;
+        }
     }
-}
\ No newline at end of file
+}
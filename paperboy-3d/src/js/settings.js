@@ -0,0 +1,74 @@
+/**
+ * Player settings for Paperboy 3D game
+ */
+
+import { DIFFICULTY_PRESETS } from './core/difficulty.js';
+
+// Where the settings are kept between page loads
+const STORAGE_KEY = 'paperboy3d.settings';
+
+// Render quality presets: real street lights, and how far out blocks are
+// drawn at each level of detail relative to medium
+export const QUALITY_LEVELS = {
+    low: { streetLights: 2, detailDistance: 0.6 },
+    medium: { streetLights: 4, detailDistance: 1 },
+    high: { streetLights: 8, detailDistance: 1.4 }
+};
+
+// Which way the bike goes for the left and right keys: 'normal' steers
+// toward that side of the screen, 'inverted' the other way
+export const STEERING_MODES = ['normal', 'inverted'];
+
+export class Settings {
+    constructor() {
+        this.quality = 'medium';
+        this.steering = 'normal';
+        this.difficulty = 'normal';
+    }
+    
+    /**
+     * Load the saved settings, or the defaults
+     * @returns {Settings} Settings
+     */
+    static load() {
+        const settings = new Settings();
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (saved && QUALITY_LEVELS[saved.quality]) {
+                settings.quality = saved.quality;
+            }
+            if (saved && STEERING_MODES.includes(saved.steering)) {
+                settings.steering = saved.steering;
+            }
+            if (saved && DIFFICULTY_PRESETS[saved.difficulty]) {
+                settings.difficulty = saved.difficulty;
+            }
+        } catch (error) {
+            console.error('Could not load settings', error);
+        }
+        return settings;
+    }
+    
+    /**
+     * Save the settings so they survive a page reload
+     */
+    save() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                quality: this.quality,
+                steering: this.steering,
+                difficulty: this.difficulty
+            }));
+        } catch (error) {
+            console.error('Could not save settings', error);
+        }
+    }
+    
+    /**
+     * Preset for the chosen render quality
+     * @returns {Object} Quality preset
+     */
+    get qualityLevel() {
+        return QUALITY_LEVELS[this.quality];
+    }
+}
@@ -4,6 +4,18 @@
 
 import { getElementById } from './utils.js';
 
+// The papers counter flashes at this many papers or fewer
+const LOW_PAPERS = 5;
+
+// What the HUD calls each power-up
+export const POWER_UP_NAMES = {
+    speed: 'SPEED BOOST',
+    shield: 'SHIELD',
+    spread: 'SPREAD THROW',
+    magnet: 'MAGNET',
+    slowMotion: 'SLOW MOTION'
+};
+
 export class UI {
     constructor(game) {
         this.game = game;
@@ -12,15 +24,125 @@ export class UI {
         this.scoreElement = getElementById('score');
         this.papersElement = getElementById('papers');
         this.livesElement = getElementById('lives');
+        this.dayElement = getElementById('day');
         this.startScreen = getElementById('start-screen');
         this.startButton = getElementById('start-button');
+        this.routeStreetElement = getElementById('route-street');
+        this.routeListElement = getElementById('route-list');
         this.gameOverScreen = getElementById('game-over');
         this.finalScoreElement = getElementById('final-score');
+        this.seedElement = getElementById('seed');
         this.restartButton = getElementById('restart-button');
+        this.newStreetButton = getElementById('new-street-button');
+        this.daySummaryScreen = getElementById('day-summary');
+        this.summaryTitleElement = getElementById('summary-title');
+        this.summaryDetailsElement = getElementById('summary-details');
+        this.nextDayButton = getElementById('next-day-button');
+        this.replayBar = getElementById('replay-bar');
+        this.replayTitleElement = getElementById('replay-title');
+        this.replayPlayButton = getElementById('replay-play-button');
+        this.replaySeek = getElementById('replay-seek');
+        this.replaySeeking = false; // Slider held, so playback leaves it be
+        this.replayTimeElement = getElementById('replay-time');
+        this.replaySpeed = getElementById('replay-speed');
+        this.replayCloseButton = getElementById('replay-close-button');
+        this.messageElement = getElementById('message');
+        this.messageTimeout = null;
+        this.ghostInfoElement = getElementById('ghost-info');
+        this.ghostDeltaElement = getElementById('ghost-delta');
+        this.ghostBestElement = getElementById('ghost-best');
+        this.ghostFileInput = getElementById('ghost-file');
+        this.replayFileInput = getElementById('replay-file');
+        this.renderStatsElement = getElementById('render-stats');
+        this.powerUpsElement = getElementById('power-ups');
+        this.powerUpsText = '';
+        this.qualitySelect = getElementById('quality-select');
+        this.steeringSelect = getElementById('steering-select');
+        this.difficultySelect = getElementById('difficulty-select');
+        
+        // Overlays hidden while a replay plays, to show again when it closes
+        this.overlays = [this.startScreen, this.daySummaryScreen, this.gameOverScreen];
+        this.hiddenOverlays = [];
         
         // Attach event listeners
         this.startButton.addEventListener('click', () => this.game.startGame());
         this.restartButton.addEventListener('click', () => this.game.restartGame());
+        this.newStreetButton.addEventListener('click', () => this.game.restartGame(false));
+        this.nextDayButton.addEventListener('click', () => this.game.startNextDay());
+        this.qualitySelect.value = this.game.settings.quality;
+        this.qualitySelect.addEventListener('change', () => this.game.setQuality(this.qualitySelect.value));
+        this.steeringSelect.value = this.game.settings.steering;
+        this.steeringSelect.addEventListener('change', () => this.game.setSteering(this.steeringSelect.value));
+        this.difficultySelect.value = this.game.settings.difficulty;
+        this.difficultySelect.addEventListener('change', () => this.game.setDifficulty(this.difficultySelect.value));
+        this.setupReplayControls();
+    }
+    
+    /**
+     * Hook up the replay buttons on the menus and the replay bar
+     */
+    setupReplayControls() {
+        for (const button of document.querySelectorAll('[data-replay-action]')) {
+            button.addEventListener('click', () => {
+                switch (button.dataset.replayAction) {
+                    case 'watch':
+                        this.game.startReplay();
+                        break;
+                    case 'export':
+                        this.game.exportRecording();
+                        break;
+                    case 'import':
+                        this.replayFileInput.click();
+                        break;
+                }
+            });
+        }
+        
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            this.replayFileInput.value = '';
+            if (file) {
+                this.game.importRecording(file);
+            }
+        });
+        
+        this.replayPlayButton.addEventListener('click', () => {
+            const replay = this.game.replay;
+            if (replay.isPaused || replay.isFinished) {
+                replay.play();
+            } else {
+                replay.pause();
+            }
+        });
+        this.replaySeek.addEventListener('input', () => {
+            this.replaySeeking = true;
+            this.game.seekReplay(Number(this.replaySeek.value), true);
+        });
+        this.replaySeek.addEventListener('change', () => {
+            this.replaySeeking = false;
+            this.game.seekReplay(Number(this.replaySeek.value));
+        });
+        this.replaySpeed.addEventListener('change', () => {
+            this.game.replay.setSpeed(Number(this.replaySpeed.value));
+        });
+        this.replayCloseButton.addEventListener('click', () => this.game.stopReplay());
+        
+        for (const button of document.querySelectorAll('[data-ghost-action]')) {
+            button.addEventListener('click', () => {
+                if (button.dataset.ghostAction === 'import') {
+                    this.ghostFileInput.click();
+                } else {
+                    this.game.exportGhost();
+                }
+            });
+        }
+        this.ghostFileInput.addEventListener('change', () => {
+            const file = this.ghostFileInput.files[0];
+            this.ghostFileInput.value = '';
+            if (file) {
+                this.game.importGhost(file);
+            }
+        });
     }
     
     /**
@@ -29,7 +151,46 @@ export class UI {
     update() {
         this.scoreElement.textContent = this.game.score;
         this.papersElement.textContent = this.game.papers;
+        this.papersElement.classList.toggle('low', this.game.papers <= LOW_PAPERS);
         this.livesElement.textContent = this.game.lives;
+        
+        // Points ahead of (or behind) the ghost rider
+        const ghostDelta = this.game.ghostDelta;
+        this.ghostInfoElement.style.display = ghostDelta === null ? 'none' : 'block';
+        if (ghostDelta !== null) {
+            this.ghostDeltaElement.textContent = ghostDelta > 0 ? `+${ghostDelta}` : ghostDelta;
+        }
+        this.dayElement.textContent = this.game.campaign.dayName.toUpperCase();
+    }
+    
+    /**
+     * List the running power-ups with the seconds they have left. Called
+     * every frame, so the list is only rebuilt when it changes.
+     * @param {PowerUps} powerUps - Power-ups in the simulation on screen
+     */
+    showPowerUps(powerUps) {
+        const timers = [...powerUps.timers].map(([type, timeLeft]) => [type, Math.ceil(timeLeft)]);
+        const text = timers.map(([type, seconds]) => `${type} ${seconds}`).join(' ');
+        if (text === this.powerUpsText) return;
+        
+        this.powerUpsText = text;
+        this.powerUpsElement.replaceChildren(...timers.map(([type, seconds]) => {
+            const timer = document.createElement('div');
+            timer.className = `power-up-${type}`;
+            timer.textContent = `${POWER_UP_NAMES[type]}: ${seconds}`;
+            return timer;
+        }));
+    }
+    
+    /**
+     * Show the renderer's counters for the last frame
+     * @param {Object} info - Renderer info (THREE.WebGLRenderer.info)
+     */
+    showRenderStats(info) {
+        this.renderStatsElement.style.display = 'block';
+        this.renderStatsElement.textContent =
+            `DRAW CALLS: ${info.render.calls} TRIANGLES: ${info.render.triangles} ` +
+            `GEOMETRIES: ${info.memory.geometries} TEXTURES: ${info.memory.textures}`;
     }
     
     /**
@@ -40,6 +201,35 @@ export class UI {
         this.gameOverScreen.style.display = 'none';
     }
     
+    /**
+     * Fill in the route sheet on the start screen
+     * @param {Route} route - Today's delivery route
+     * @param {Campaign} campaign - Campaign the route is part of
+     */
+    showRouteSheet(route, campaign) {
+        const subscribers = route.getSubscriberList();
+        const sunday = campaign.isSunday ? ' (heavy Sunday papers!)' : '';
+        
+        this.routeStreetElement.textContent =
+            `${campaign.dayName}${sunday}: ${route.streetName} - ${subscribers.length} subscribers`;
+        this.routeListElement.innerHTML = '';
+        for (const number of subscribers) {
+            const item = document.createElement('li');
+            item.textContent = number;
+            this.routeListElement.appendChild(item);
+        }
+    }
+    
+    /**
+     * Show the ghost rider the next run races on the start screen
+     * @param {Object|null} ghost - Saved ghost ({ score, recording }), or null
+     */
+    showGhost(ghost) {
+        this.ghostBestElement.textContent = ghost
+            ? `RACING GHOST: BEST RUN ${ghost.score} PTS (${(ghost.recording.day || 'any day').toUpperCase()})`
+            : 'NO GHOST ON THIS STREET YET';
+    }
+    
     /**
      * Hide start screen
      */
@@ -53,6 +243,7 @@ export class UI {
     showGameOverScreen() {
         this.gameOverScreen.style.display = 'flex';
         this.finalScoreElement.textContent = this.game.score;
+        this.seedElement.textContent = this.game.seed;
     }
     
     /**
@@ -61,4 +252,112 @@ export class UI {
     hideGameOverScreen() {
         this.gameOverScreen.style.display = 'none';
     }
-}
\ No newline at end of file
+    
+    /**
+     * Show the end-of-day summary
+     * @param {Object} summary - Summary from Campaign.finishDay
+     * @param {Campaign} campaign - Campaign after the day was closed out
+     */
+    showDaySummary(summary, campaign) {
+        const listOrNone = (numbers) => numbers.length > 0 ? numbers.join(', ') : 'none';
+        const lines = [
+            `Score today: ${summary.score}`,
+            `Delivered: ${summary.delivered} / ${summary.subscribers}`,
+            `Missed: ${listOrNone(summary.missed)}`,
+            `Broken windows: ${listOrNone(summary.damaged)}`,
+            `Cancelled: ${listOrNone(summary.cancelled)}`
+        ];
+        if (summary.perfect) {
+            lines.push(`Perfect day! New subscribers: ${listOrNone(summary.wonBack)}`);
+        }
+        if (campaign.isComplete) {
+            lines.push(`Week complete! Final score: ${campaign.score}`);
+        }
+        
+        this.summaryTitleElement.textContent = `${summary.day.toUpperCase()} DONE`;
+        this.summaryDetailsElement.innerHTML = '';
+        for (const line of lines) {
+            const item = document.createElement('div');
+            item.textContent = line;
+            this.summaryDetailsElement.appendChild(item);
+        }
+        this.nextDayButton.textContent = campaign.isComplete ? 'NEW WEEK' : 'NEXT DAY';
+        this.daySummaryScreen.style.display = 'flex';
+    }
+    
+    /**
+     * Hide the end-of-day summary
+     */
+    hideDaySummary() {
+        this.daySummaryScreen.style.display = 'none';
+    }
+    
+    /**
+     * Show the replay bar in place of the menus
+     * @param {Replay} replay - Replay being watched
+     */
+    showReplayBar(replay) {
+        // Opening another replay from the bar keeps the menus hidden
+        if (this.replayBar.style.display !== 'flex') {
+            this.hiddenOverlays = this.overlays.filter(overlay =>
+                getComputedStyle(overlay).display !== 'none');
+        }
+        for (const overlay of this.hiddenOverlays) {
+            overlay.style.display = 'none';
+        }
+        
+        const day = replay.recording.day ? `${replay.recording.day.toUpperCase()} ` : '';
+        this.replayTitleElement.textContent = `${day}REPLAY - SEED ${replay.recording.seed}`;
+        this.replaySeek.max = replay.length;
+        this.replaySpeed.value = String(replay.speed);
+        this.replayBar.style.display = 'flex';
+        this.updateReplayBar(replay);
+    }
+    
+    /**
+     * Update the replay bar with the playback position
+     * @param {Replay} replay - Replay being watched
+     */
+    updateReplayBar(replay) {
+        const playing = !replay.isPaused && !replay.isFinished;
+        this.replayPlayButton.textContent = playing ? 'PAUSE' : 'PLAY';
+        if (!this.replaySeeking) {
+            this.replaySeek.value = replay.time;
+        }
+        this.replayTimeElement.textContent = `${formatTime(replay.time)} / ${formatTime(replay.length)}`;
+    }
+    
+    /**
+     * Hide the replay bar and bring back the menus it replaced
+     */
+    hideReplayBar() {
+        this.replayBar.style.display = 'none';
+        for (const overlay of this.hiddenOverlays) {
+            overlay.style.display = 'flex';
+        }
+        this.hiddenOverlays = [];
+    }
+    
+    /**
+     * Show a short message over the game for a few seconds
+     * @param {string} message - Message to show
+     */
+    showMessage(message) {
+        this.messageElement.textContent = message;
+        this.messageElement.style.display = 'block';
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            this.messageElement.style.display = 'none';
+        }, 4000);
+    }
+}
+
+/**
+ * Format seconds as minutes and seconds
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Time like "1:05"
+ */
+function formatTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
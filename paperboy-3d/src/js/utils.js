@@ -18,27 +18,87 @@ export const COLORS = {
     DRAIN: 0x444444
 };
 
-// Get random number between min and max
-export function getRandomNumber(min, max) {
-    return min + Math.random() * (max - min);
+// Create a seeded pseudo-random generator (mulberry32) with the same
+// contract as Math.random: each call returns a float in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Derive an independent seed from a base seed and a salt (e.g. a block index),
+// so each part of the world gets the same numbers whatever order it is built in
+export function mixSeed(seed, salt) {
+    let hash = Math.imul((seed >>> 0) ^ Math.imul(salt + 1, 0x9E3779B9), 0x85EBCA6B);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xC2B2AE35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// Dispose of every geometry and material under an object. Ones from the
+// prop library are shared with other blocks and left alone; instanced
+// meshes also free their per-instance buffers
+export function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.isInstancedMesh) {
+            child.dispose();
+        }
+        if (child.geometry && !child.geometry.userData.shared) {
+            child.geometry.dispose();
+        }
+        if (child.material) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            for (const material of materials) {
+                if (!material.userData.shared) {
+                    material.dispose();
+                }
+            }
+        }
+    });
+}
+
+// Turn a seed string into a 32-bit unsigned seed. Plain integers are kept
+// as-is so "?seed=1234" reads naturally; anything else is hashed (FNV-1a)
+export function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Create a fresh random seed for runs started without one
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Get the seed from the "?seed=" URL parameter, or null if there is none
+export function getSeedFromUrl() {
+    const value = new URLSearchParams(window.location.search).get('seed');
+    return value !== null && value.trim() !== '' ? parseSeed(value) : null;
+}
+
+// Whether a bare flag such as "?stats" is in the page URL
+export function hasUrlFlag(name) {
+    return new URLSearchParams(window.location.search).has(name);
 }
 
 // Get random integer between min and max
-export function getRandomInt(min, max) {
+export function getRandomInt(min, max, random = Math.random) {
     min = Math.ceil(min);
     max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-// Check if two objects are colliding (simple AABB collision)
-export function checkCollision(obj1, obj2) {
-    const dx = Math.abs(obj1.position.x - obj2.position.x);
-    const dz = Math.abs(obj1.position.z - obj2.position.z);
-    
-    return (
-        dx < (obj1.width / 2 + obj2.width / 2) * 0.7 &&
-        dz < (obj1.depth / 2 + obj2.depth / 2) * 0.7
-    );
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
 // Get DOM element by ID with error handling
@@ -48,4 +108,25 @@ export function getElementById(id) {
         console.error(`Element with ID "${id}" not found`);
     }
     return element;
-}
\ No newline at end of file
+}
+
+// Offer data to the user as a downloaded JSON file
+export function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Read a file the user picked as text
+export function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
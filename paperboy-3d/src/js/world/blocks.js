@@ -1,81 +1,166 @@
 /**
  * Block generation for Paperboy 3D game
+ *
+ * Builds the meshes for each block in the world layout and keeps the scene
+ * in step with it as blocks stream in and out. Each block is built at three
+ * levels of detail, picked by its distance from the camera:
+ *
+ * - full: the block's models plus small details (flowers, rocks, stones)
+ * - simplified: the models without the small details
+ * - impostor: a few flat-coloured shapes standing in for the whole block
+ *
+ * Blocks behind the camera or past the last level are hidden altogether.
  */
 
 import * as THREE from 'three';
 import { createHousesBlock } from './houses.js';
 import { createPark } from './parks.js';
 import { createCrossStreet } from './streets.js';
+import { createImpostor } from './impostors.js';
+import { createRandom, mixSeed, disposeObject } from '../utils.js';
 
-export class WorldGenerator {
+export class WorldView {
     constructor(scene) {
         this.scene = scene;
-        this.gameBlocks = [];
-        this.obstacles = [];
-        this.houses = [];
-        this.mailboxes = [];
-        this.porches = [];
-        this.blockLength = 30;
-        this.blockWidth = 20;
-        this.streetWidth = 10;
-        this.totalBlocks = 20;
+        this.blockGroups = new Map(); // Block layout -> block group
+        this.blockLamps = new Map(); // Block layout -> street lamps
+        this.lamps = []; // Street lamps of every block, in world space
+        
+        // Block layout -> { model, details, impostor, start, end, level }
+        this.blockDetails = new Map();
+        
+        // Furthest a block is drawn at each level of detail, measured ahead
+        // of the camera and scaled by the quality setting
+        this.detailDistances = { full: 60, simplified: 150, impostor: 300 };
+        this.detailScale = 1;
+        this.cullBehind = 5; // Hide blocks once this far behind the camera
     }
     
     /**
-     * Generate the complete game world
+     * Build groups for blocks new to the layout and remove the ones it dropped
+     * @param {WorldLayout} world - World layout to mirror
      */
-    generateWorld() {
-        for (let i = 0; i < this.totalBlocks; i++) {
-            const isPark = i > 0 && i % 3 === 0;
-            this.createBlock(i, isPark);
+    sync(world) {
+        const current = new Set(world.blocks);
+        for (const block of this.blockGroups.keys()) {
+            if (!current.has(block)) {
+                this.removeBlock(block);
+            }
         }
         
-        return {
-            obstacles: this.obstacles,
-            mailboxes: this.mailboxes,
-            porches: this.porches
-        };
+        for (const block of world.blocks) {
+            if (!this.blockGroups.has(block)) {
+                this.createBlock(block, world);
+            }
+        }
     }
     
     /**
      * Create a block of houses or a park
-     * @param {number} blockIndex - Index of the block
-     * @param {boolean} isPark - Whether this block should be a park
+     * @param {Object} block - Block layout
+     * @param {WorldLayout} world - World layout the block belongs to
      */
-    createBlock(blockIndex, isPark) {
-        const blockZ = blockIndex * (this.blockLength + this.streetWidth);
-        const block = new THREE.Group();
-        block.position.z = blockZ;
+    createBlock(block, world) {
+        const group = new THREE.Group();
+        group.position.z = block.z;
+        const model = new THREE.Group();
+        const details = new THREE.Group();
+        const impostor = new THREE.Group();
+        impostor.visible = false;
+        group.add(model, details, impostor);
         
-        if (isPark) {
-            createPark(block, this, this.obstacles);
+        // Decoration (grass patches, flowers, stones) has its own stream so
+        // it doesn't disturb the layout but still comes out the same each time
+        const random = createRandom(mixSeed(block.seed, 1));
+        
+        if (block.isPark) {
+            createPark(model, details, block, world, random);
         } else {
-            createHousesBlock(block, this, this.obstacles, this.mailboxes, this.porches);
+            createHousesBlock(model, details, block, world, random);
         }
+        createImpostor(impostor, block, world);
         
         // Add cross-street at the end of each block
-        if (blockIndex > 0) {
-            createCrossStreet(block, -this.streetWidth/2, this.blockWidth, this.obstacles);
+        if (block.index > 0) {
+            const lamps = createCrossStreet(model, -world.streetWidth/2, world.blockWidth, block);
+            for (const lamp of lamps) {
+                lamp.position.z += block.z;
+            }
+            this.blockLamps.set(block, lamps);
+            this.lamps.push(...lamps);
+        }
+        
+        this.scene.add(group);
+        this.blockGroups.set(block, group);
+        this.blockDetails.set(block, {
+            model,
+            details,
+            impostor,
+            start: block.z - world.streetWidth, // Cross-street included
+            end: block.z + world.blockLength,
+            level: 'full'
+        });
+    }
+    
+    /**
+     * Level of detail to draw a block at
+     * @param {Object} blockDetail - Block's detail record
+     * @param {number} cameraZ - Camera position along the street
+     * @returns {string} 'full', 'simplified', 'impostor' or 'culled'
+     */
+    getDetailLevel(blockDetail, cameraZ) {
+        if (blockDetail.end < cameraZ - this.cullBehind) {
+            return 'culled';
+        }
+        
+        const distance = Math.max(0, blockDetail.start - cameraZ) / this.detailScale;
+        if (distance <= this.detailDistances.full) return 'full';
+        if (distance <= this.detailDistances.simplified) return 'simplified';
+        if (distance <= this.detailDistances.impostor) return 'impostor';
+        return 'culled';
+    }
+    
+    /**
+     * Pick each block's level of detail from its distance to the camera
+     * @param {number} cameraZ - Camera position along the street
+     */
+    updateDetail(cameraZ) {
+        for (const [block, blockDetail] of this.blockDetails) {
+            const level = this.getDetailLevel(blockDetail, cameraZ);
+            if (level === blockDetail.level) continue;
+            
+            blockDetail.level = level;
+            this.blockGroups.get(block).visible = level !== 'culled';
+            blockDetail.model.visible = level === 'full' || level === 'simplified';
+            blockDetail.details.visible = level === 'full';
+            blockDetail.impostor.visible = level === 'impostor';
         }
+    }
+    
+    /**
+     * Remove a block from the scene
+     * @param {Object} block - Block layout
+     */
+    removeBlock(block) {
+        const group = this.blockGroups.get(block);
+        this.scene.remove(group);
+        disposeObject(group);
+        this.blockGroups.delete(block);
+        this.blockDetails.delete(block);
         
-        this.scene.add(block);
-        this.gameBlocks.push(block);
+        const lamps = this.blockLamps.get(block);
+        if (lamps) {
+            this.lamps = this.lamps.filter((lamp) => !lamps.includes(lamp));
+            this.blockLamps.delete(block);
+        }
     }
     
     /**
      * Clean up the world when restarting
      */
     cleanup() {
-        // Remove all blocks from the scene
-        for (const block of this.gameBlocks) {
-            this.scene.remove(block);
+        for (const block of [...this.blockGroups.keys()]) {
+            this.removeBlock(block);
         }
-        
-        // Clear arrays
-        this.gameBlocks = [];
-        this.obstacles = [];
-        this.houses = [];
-        this.mailboxes = [];
-        this.porches = [];
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,199 @@
+/**
+ * Roaming hazard models for Paperboy 3D game
+ *
+ * Keeps a model for every dog, jogger, skateboarder and lawnmower in the
+ * simulation, built from the shared props. Legs swing while they move, and
+ * a hazard knocked out by a paper falls over with stars circling it.
+ */
+
+import * as THREE from 'three';
+import { getGeometry, getMaterial } from './props.js';
+
+const SKIN = 0xE0B088;
+
+export class HazardRenderer {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw the hazards in
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.models = new Map(); // Hazard to its model
+        this.drawDistance = 150; // Hazards further from the camera are hidden
+    }
+    
+    /**
+     * Bring the models in line with the hazards and place them between the
+     * last two simulation steps
+     * @param {Array<Object>} hazards - Hazards in the simulation
+     * @param {number} alpha - How far the current frame is into the next step (0-1)
+     * @param {number} cameraZ - Camera position along the street
+     * @param {number} time - Simulation time in seconds, for animation
+     */
+    render(hazards, alpha, cameraZ, time) {
+        const current = new Set(hazards);
+        for (const [hazard, model] of this.models) {
+            if (!current.has(hazard)) {
+                this.scene.remove(model);
+                this.models.delete(hazard);
+            }
+        }
+        
+        for (const hazard of hazards) {
+            let model = this.models.get(hazard);
+            if (!model) {
+                model = createHazardModel(hazard);
+                this.scene.add(model);
+                this.models.set(hazard, model);
+            }
+            
+            model.position.lerpVectors(hazard.previousPosition, hazard.position, alpha);
+            model.rotation.y = hazard.rotation;
+            model.visible = Math.abs(model.position.z - cameraZ) < this.drawDistance;
+            if (model.visible) {
+                poseModel(model, hazard, time);
+            }
+        }
+    }
+    
+    /**
+     * Remove every model from the scene. Their geometry and materials are
+     * shared props, freed with the rest of them.
+     */
+    dispose() {
+        for (const model of this.models.values()) {
+            this.scene.remove(model);
+        }
+        this.models.clear();
+    }
+}
+
+/**
+ * Swing the legs of a moving hazard, and knock over a stunned one
+ * @param {THREE.Group} model - Hazard model
+ * @param {Object} hazard - Hazard
+ * @param {number} time - Simulation time in seconds
+ */
+function poseModel(model, hazard, time) {
+    const { body, legs, stars } = model.userData;
+    const stunned = hazard.stunTimer > 0;
+    
+    const swing = hazard.moving ? Math.sin(time * 12) * 0.6 : 0;
+    legs.forEach((leg, i) => {
+        leg.rotation.x = i % 2 === 0 ? swing : -swing;
+    });
+    
+    // Dogs roll onto their side, people fall on their back
+    if (hazard.type === 'dog') {
+        body.rotation.z = stunned ? Math.PI / 2 : 0;
+    } else if (hazard.type !== 'lawnmower') {
+        body.rotation.x = stunned ? -Math.PI / 2 : 0;
+    }
+    
+    stars.visible = stunned;
+    stars.rotation.y = time * 4;
+}
+
+/**
+ * Build the model for a hazard, facing +z. Everything that falls over when
+ * it is stunned goes in a body group pivoting at the ground.
+ * @param {Object} hazard - Hazard
+ * @returns {THREE.Group} Model
+ */
+function createHazardModel(hazard) {
+    const model = new THREE.Group();
+    const body = new THREE.Group();
+    const legs = [];
+    model.add(body);
+    
+    switch (hazard.type) {
+        case 'dog': {
+            const fur = getMaterial({ color: 0x8B5A2B });
+            addBox(body, [0.4, 0.35, 0.8], fur, [0, 0.5, 0]);
+            addBox(body, [0.35, 0.35, 0.4], fur, [0, 0.75, 0.5]);
+            addBox(body, [0.1, 0.1, 0.35], fur, [0, 0.65, -0.5], [0.6, 0, 0]);
+            for (const [x, z] of [[-0.15, 0.3], [0.15, 0.3], [-0.15, -0.3], [0.15, -0.3]]) {
+                legs.push(addLeg(body, [0.1, 0.35, 0.1], fur, [x, 0.35, z]));
+            }
+            break;
+        }
+        case 'lawnmower': {
+            const paint = getMaterial({ color: 0xCC2222 });
+            const metal = getMaterial({ color: 0x333333 });
+            addBox(body, [0.9, 0.3, 1], paint, [0, 0.3, 0.1]);
+            addBox(body, [0.35, 0.25, 0.35], metal, [0, 0.55, 0.2]);
+            addBox(body, [0.05, 0.05, 0.8], metal, [-0.35, 0.65, -0.6], [0.7, 0, 0]);
+            addBox(body, [0.05, 0.05, 0.8], metal, [0.35, 0.65, -0.6], [0.7, 0, 0]);
+            addBox(body, [0.75, 0.05, 0.05], metal, [0, 0.9, -0.9]);
+            break;
+        }
+        default: {
+            // Jogger or skateboarder: legs, shirt and head
+            const shirt = getMaterial({ color: hazard.type === 'jogger' ? 0x2288DD : 0xDD7722 });
+            const trousers = getMaterial({ color: 0x333355 });
+            const skin = getMaterial({ color: SKIN });
+            const feet = hazard.type === 'skateboarder' ? 0.15 : 0;
+            for (const x of [-0.15, 0.15]) {
+                legs.push(addLeg(body, [0.18, 0.8, 0.18], trousers, [x, feet + 0.8, 0]));
+            }
+            addBox(body, [0.5, 0.6, 0.3], shirt, [0, feet + 1.1, 0]);
+            const head = new THREE.Mesh(getGeometry('SphereGeometry', 0.18, 8, 6), skin);
+            head.position.set(0, feet + 1.6, 0);
+            body.add(head);
+            
+            if (hazard.type === 'skateboarder') {
+                // Standing on the board, not pumping their legs
+                legs.length = 0;
+                addBox(model, [0.35, 0.06, 1], getMaterial({ color: 0x553311 }), [0, 0.1, 0]);
+            }
+            break;
+        }
+    }
+    
+    // Stars circling a stunned hazard's head
+    const stars = new THREE.Group();
+    const starMaterial = getMaterial({ color: 0xFFEE33 }, 'MeshBasicMaterial');
+    for (let i = 0; i < 3; i++) {
+        const angle = (i / 3) * Math.PI * 2;
+        addBox(stars, [0.12, 0.12, 0.12], starMaterial, [Math.cos(angle) * 0.4, 0, Math.sin(angle) * 0.4]);
+    }
+    stars.position.y = hazard.type === 'dog' || hazard.type === 'lawnmower' ? 1 : 0.6;
+    stars.visible = false;
+    model.add(stars);
+    
+    model.userData = { body, legs, stars };
+    return model;
+}
+
+/**
+ * Add a box of shared geometry to a model
+ * @param {THREE.Object3D} parent - Object to add the box to
+ * @param {number[]} size - Width, height and depth
+ * @param {THREE.Material} material - Material
+ * @param {number[]} position - Position of the box's center
+ * @param {number[]} [rotation] - Rotation
+ * @returns {THREE.Mesh} Box
+ */
+function addBox(parent, size, material, position, rotation = [0, 0, 0]) {
+    const mesh = new THREE.Mesh(getGeometry('BoxGeometry', ...size), material);
+    mesh.position.set(...position);
+    mesh.rotation.set(...rotation);
+    mesh.castShadow = true;
+    parent.add(mesh);
+    return mesh;
+}
+
+/**
+ * Add a leg hanging from a hip, so it swings from the top
+ * @param {THREE.Object3D} parent - Object to add the leg to
+ * @param {number[]} size - Width, length and depth
+ * @param {THREE.Material} material - Material
+ * @param {number[]} hip - Position of the top of the leg
+ * @returns {THREE.Group} Leg pivot
+ */
+function addLeg(parent, size, material, hip) {
+    const pivot = new THREE.Group();
+    pivot.position.set(...hip);
+    addBox(pivot, size, material, [0, -size[1] / 2, 0]);
+    parent.add(pivot);
+    return pivot;
+}
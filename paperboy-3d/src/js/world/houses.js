@@ -3,25 +3,36 @@
  */
 
 import * as THREE from 'three';
-import { COLORS, getRandomInt } from '../utils.js';
+import { COLORS } from '../utils.js';
 import { createMailbox } from './obstacles.js';
+import { getGeometry, getMaterial, PropBatch } from './props.js';
+import { createPickup } from './pickups.js';
+import { HOUSE_WIDTH, HOUSE_DEPTH, WINDOW_OFFSET, WINDOW_HEIGHT } from '../core/world.js';
+
+// House colors by style, matching the mailbox colors: classic red, black
+// and blue
+export const HOUSE_COLORS = [0xCC0000, 0x222222, 0x0033AA];
+
+// Window meshes by window layout, so breaking a window can find its glass
+const windowPanes = new WeakMap();
 
 /**
  * Create a block with houses
  * @param {THREE.Group} blockGroup - Block group to add houses to
+ * @param {THREE.Group} detailGroup - Group for the small props only drawn
+ *     close up
+ * @param {Object} block - Block layout to build
  * @param {Object} worldData - World data
- * @param {Array} obstacles - Array to add obstacle data to
- * @param {Array} mailboxes - Array to add mailbox data to
- * @param {Array} porches - Array to add porch data to
+ * @param {Function} random - Random generator for decoration
  */
-export function createHousesBlock(blockGroup, worldData, obstacles, mailboxes, porches) {
+export function createHousesBlock(blockGroup, detailGroup, block, worldData, random) {
     const blockWidth = worldData.blockWidth;
     const blockLength = worldData.blockLength;
     
     // Create single large grass base plane
     const grassBase = new THREE.Mesh(
-        new THREE.PlaneGeometry(blockWidth * 2, blockLength),
-        new THREE.MeshLambertMaterial({ color: COLORS.GRASS })
+        getGeometry('PlaneGeometry', blockWidth * 2, blockLength),
+        getMaterial({ color: COLORS.GRASS })
     );
     grassBase.rotation.x = -Math.PI / 2;
     grassBase.position.set(0, -0.02, blockLength / 2);
@@ -30,8 +41,8 @@ export function createHousesBlock(blockGroup, worldData, obstacles, mailboxes, p
     
     // Create street on top of grass
     const street = new THREE.Mesh(
-        new THREE.PlaneGeometry(blockWidth/2, blockLength),
-        new THREE.MeshLambertMaterial({ color: COLORS.STREET })
+        getGeometry('PlaneGeometry', blockWidth/2, blockLength),
+        getMaterial({ color: COLORS.STREET })
     );
     street.rotation.x = -Math.PI / 2;
     street.position.set(0, 0, blockLength / 2);
@@ -40,8 +51,8 @@ export function createHousesBlock(blockGroup, worldData, obstacles, mailboxes, p
     
     // Create sidewalks on top of grass
     const leftSidewalk = new THREE.Mesh(
-        new THREE.PlaneGeometry(3, blockLength),
-        new THREE.MeshLambertMaterial({ color: COLORS.SIDEWALK })
+        getGeometry('PlaneGeometry', 3, blockLength),
+        getMaterial({ color: COLORS.SIDEWALK })
     );
     leftSidewalk.rotation.x = -Math.PI / 2;
     leftSidewalk.position.set(-(blockWidth / 4) - 1.5, 0.01, blockLength / 2);
@@ -49,311 +60,222 @@ export function createHousesBlock(blockGroup, worldData, obstacles, mailboxes, p
     blockGroup.add(leftSidewalk);
     
     const rightSidewalk = new THREE.Mesh(
-        new THREE.PlaneGeometry(3, blockLength),
-        new THREE.MeshLambertMaterial({ color: COLORS.SIDEWALK })
+        getGeometry('PlaneGeometry', 3, blockLength),
+        getMaterial({ color: COLORS.SIDEWALK })
     );
     rightSidewalk.rotation.x = -Math.PI / 2;
     rightSidewalk.position.set((blockWidth / 4) + 1.5, 0.01, blockLength / 2);
     rightSidewalk.receiveShadow = true;
     blockGroup.add(rightSidewalk);
     
-    // Create houses (4 on each side)
-    const houseWidth = 6;
-    const houseLength = 8;
-    const houseSpacing = (blockLength - (houseLength * 4)) / 5;
+    // Houses and mailboxes are drawn a part at a time for the whole
+    // block, and so are driveways and drains on the ground. Small details
+    // go in a batch of their own that is only drawn close up
+    const solids = new PropBatch();
+    const flats = new PropBatch();
+    const details = new PropBatch();
     
-    // Fixed x-positions for houses to align precisely with the blue guidelines
-    // Further reduced from ±8 to ±6 to match blue guidelines in screenshot
-    const leftHouseX = -(blockWidth / 2) - 6; // Original was -12, moved inward by 6
-    const rightHouseX = (blockWidth / 2) + 6; // Original was +12, moved inward by 6
-    
-    // Shift the entire sequence of houses by moving the starting z-position
-    // Adjusted zOffset from 3 to 4 for better alignment with blue guidelines
-    const zOffset = 4;
+    // Create houses
+    for (const house of block.houses) {
+        createHouse(blockGroup, solids, flats, house, block);
+    }
     
-    for (let i = 0; i < 4; i++) {
-        const houseZ = (houseSpacing + zOffset) + i * (houseLength + houseSpacing);
-        
-        // Left side house
-        createHouse(
-            blockGroup, 
-            leftHouseX,
-            houseZ,
-            houseWidth,
-            houseLength,
-            true,
-            mailboxes,
-            porches
+    // Add mailboxes
+    for (const mailbox of block.mailboxes) {
+        createMailbox(
+            solids,
+            details,
+            mailbox.position.x,
+            mailbox.position.z - block.z,
+            mailbox.style,
+            random
         );
+    }
+    
+    // Add drains
+    for (const obstacle of block.obstacles) {
+        const x = obstacle.position.x;
+        const z = obstacle.position.z - block.z;
         
-        // Right side house
-        createHouse(
-            blockGroup, 
-            rightHouseX,
-            houseZ,
-            houseWidth,
-            houseLength,
-            false,
-            mailboxes,
-            porches
-        );
+        if (obstacle.type === 'drain') {
+            addDrain(flats, x, z);
+        }
     }
     
-    // Add obstacles
-    addObstacles(blockGroup, blockWidth, blockLength, obstacles);
+    for (const pickup of block.pickups) {
+        createPickup(blockGroup, pickup, block);
+    }
+    
+    solids.build(blockGroup, { castShadow: true, receiveShadow: true });
+    flats.build(blockGroup, { receiveShadow: true });
+    details.build(detailGroup);
 }
 
 /**
  * Create a house
- * @param {THREE.Group} blockGroup - Block group to add house to
- * @param {number} x - X position
- * @param {number} z - Z position
- * @param {number} width - House width
- * @param {number} length - House length
- * @param {boolean} isLeftSide - Whether house is on left side
- * @param {Array} mailboxes - Array to add mailbox data to
- * @param {Array} porches - Array to add porch data to
+ * @param {THREE.Group} blockGroup - Block group to add the windows to
+ * @param {PropBatch} solids - Batch to add the house to
+ * @param {PropBatch} flats - Batch to add the driveway to
+ * @param {Object} house - House layout
+ * @param {Object} block - Block layout the house is on
  */
-function createHouse(blockGroup, x, z, width, length, isLeftSide, mailboxes, porches) {
-    const houseGroup = new THREE.Group();
+function createHouse(blockGroup, solids, flats, house, block) {
+    const x = house.position.x;
+    const z = house.position.z - block.z;
+    const isLeftSide = house.isLeftSide;
     
     // Base house dimensions
-    const baseWidth = width;
-    const baseLength = length - 3;
-
-    // Choose house color to match mailbox colors
-    const houseStyle = getRandomInt(0, 2);
-    let houseColor;
-    switch(houseStyle) {
-        case 0: // Classic red
-            houseColor = 0xCC0000;
-            break;
-        case 1: // Black
-            houseColor = 0x222222;
-            break;
-        case 2: // Blue
-            houseColor = 0x0033AA;
-            break;
-    }
+    const baseWidth = HOUSE_WIDTH;
+    const baseLength = HOUSE_DEPTH;
+    
+    // House color matches the mailbox color
+    const houseColor = HOUSE_COLORS[house.style];
+    
+    // Position and rotate house; its parts are placed relative to this
+    const houseGroup = new THREE.Group();
+    houseGroup.position.set(x, 0, z);
+    houseGroup.rotation.y = isLeftSide ? Math.PI/2 : -Math.PI/2;
+    houseGroup.updateMatrix();
+    const frame = houseGroup.matrix;
     
     // House base with selected color
-    const base = new THREE.Mesh(
-        new THREE.BoxGeometry(baseWidth, 2, baseLength),
-        new THREE.MeshLambertMaterial({ color: houseColor })
+    solids.add(
+        getGeometry('BoxGeometry', baseWidth, 2, baseLength),
+        getMaterial({ color: houseColor }),
+        [0, 1, -1.5], null, 1, frame
     );
-    base.position.set(0, 1, -1.5);
-    base.castShadow = true;
     
     // Roof - keeping black
-    const roof = new THREE.Mesh(
-        new THREE.ConeGeometry(baseWidth * 0.7, 1.5, 4),
-        new THREE.MeshLambertMaterial({ color: COLORS.HOUSE_ROOF }) // Keep black
+    solids.add(
+        getGeometry('ConeGeometry', baseWidth * 0.7, 1.5, 4),
+        getMaterial({ color: COLORS.HOUSE_ROOF }), // Keep black
+        [0, 2.75, -1.5], [0, Math.PI / 4, 0], 1, frame
     );
-    roof.position.set(0, 2.75, -1.5);
-    roof.rotation.y = Math.PI / 4;
-    roof.castShadow = true;
     
     // Front porch
-    const porch = new THREE.Mesh(
-        new THREE.BoxGeometry(baseWidth, 0.2, 3),
-        new THREE.MeshLambertMaterial({ color: COLORS.PORCH })
+    const porchMaterial = getMaterial({ color: COLORS.PORCH });
+    solids.add(
+        getGeometry('BoxGeometry', baseWidth, 0.2, 3),
+        porchMaterial,
+        [0, 0.1, baseLength/2], null, 1, frame
     );
-    porch.position.set(0, 0.1, baseLength/2);
-    porch.receiveShadow = true;
-    porch.userData.type = 'porch';
     
     // Porch steps
-    const steps = new THREE.Mesh(
-        new THREE.BoxGeometry(2, 0.4, 1),
-        new THREE.MeshLambertMaterial({ color: COLORS.PORCH })
+    solids.add(
+        getGeometry('BoxGeometry', 2, 0.4, 1),
+        porchMaterial,
+        [0, 0.2, baseLength/2 + 1.5], null, 1, frame
     );
-    steps.position.set(0, 0.2, baseLength/2 + 1.5);
-    steps.receiveShadow = true;
     
-    // Add all parts to house group
-    houseGroup.add(base);
-    houseGroup.add(roof);
-    houseGroup.add(porch);
-    houseGroup.add(steps);
+    // Front door - subscribers get a bright door so they stand out
+    solids.add(
+        getGeometry('PlaneGeometry', 1, 1.6),
+        getMaterial({ color: house.isSubscriber ? 0xFFFFFF : 0x5A3A1A }),
+        [0, 1, baseLength/2 - 1.49], null, 1, frame
+    );
     
-    // Position and rotate house
-    houseGroup.position.set(x, 0, z);
-    houseGroup.rotation.y = isLeftSide ? Math.PI/2 : -Math.PI/2;
+    // Porch light - lit for subscribers, dark for everyone else
+    solids.add(
+        getGeometry('BoxGeometry', 0.25, 0.35, 0.2),
+        getMaterial(house.isSubscriber
+            ? { color: 0xFFEE88, emissive: 0xFFCC33 }
+            : { color: 0x444444 }),
+        [0.9, 1.8, baseLength/2 - 1.4], null, 1, frame
+    );
+    
+    // Front windows either side of the door. The panes stay separate
+    // meshes in the house group so they can be broken one at a time
     blockGroup.add(houseGroup);
-
+    house.windows.forEach((houseWindow, i) => {
+        createWindow(houseGroup, solids, (i * 2 - 1) * WINDOW_OFFSET, WINDOW_HEIGHT, baseLength/2 - 1.5, houseWindow);
+    });
+    
     // Add driveway strip from between houses to sidewalk
     const driveWidth = 4;  // Width of gap between houses
     const driveLength = 15;  // Length to reach sidewalk
     
-    const driveway = new THREE.Mesh(
-        new THREE.PlaneGeometry(driveWidth, driveLength),
-        new THREE.MeshLambertMaterial({ color: 0x999999 })
-    );
-    driveway.rotation.x = -Math.PI / 2;  // Keep flat like sidewalk
-    
-    // Position from between houses to sidewalk
+    // Position from between houses to sidewalk, flat like the sidewalk
     const driveZ = z + (isLeftSide ? driveLength/2 : -driveLength/2);
-    driveway.position.set(x, 0.01, driveZ);
-    driveway.receiveShadow = true;
-    blockGroup.add(driveway);
-    
-    // Add mailbox at side of porch with matching color
-    const mailboxX = isLeftSide ? x + baseWidth/2 : x - baseWidth/2;
-    const mailboxZ = z + (isLeftSide ? baseLength/2 : -baseLength/2);
-    createMailbox(blockGroup, mailboxX, mailboxZ, houseStyle, mailboxes); // Pass the style to match house color
-    
-    // Add collision meshes for house and porch
-    const wallCollision = new THREE.Mesh(
-        new THREE.BoxGeometry(baseWidth, 3, 0.5),
-        new THREE.MeshBasicMaterial({ visible: false })
-    );
-    wallCollision.position.set(
-        x + (isLeftSide ? baseLength/2 : -baseLength/2),
-        1.5,
-        z
-    );
-    wallCollision.rotation.y = isLeftSide ? Math.PI/2 : -Math.PI/2;
-    wallCollision.userData.type = 'wall';
-    blockGroup.add(wallCollision);
-    
-    // Register porch for delivery
-    const porchPos = new THREE.Vector3(
-        x,
-        0.2,
-        isLeftSide ? z + baseLength/2 + 1 : z - baseLength/2 - 1
+    flats.add(
+        getGeometry('PlaneGeometry', driveWidth, driveLength),
+        getMaterial({ color: 0x999999 }),
+        [x, 0.01, driveZ],
+        [-Math.PI / 2, 0, 0]
     );
-    porches.push({
-        position: porchPos.clone().add(blockGroup.position),
-        width: baseWidth,
-        length: 3
-    });
 }
 
 /**
- * Add obstacles to a block
- * @param {THREE.Group} blockGroup - Block group to add obstacles to
- * @param {number} blockWidth - Width of the block
- * @param {number} blockLength - Length of the block
- * @param {Array} obstacles - Array to add obstacle data to
+ * Create a breakable window on the front of a house
+ * @param {THREE.Group} houseGroup - House group to add the window to
+ * @param {PropBatch} solids - Batch to add the window frame to
+ * @param {number} x - X position on the house front
+ * @param {number} y - Y position on the house front
+ * @param {number} frontZ - Z position of the house front
+ * @param {Object} houseWindow - Window layout
  */
-function addObstacles(blockGroup, blockWidth, blockLength, obstacles) {
-    // Add cars
-    for (let i = 0; i < 2; i++) {
-        const carX = (Math.random() - 0.5) * (blockWidth - 4);
-        const carZ = Math.random() * blockLength;
-        createCar(blockGroup, carX, carZ, obstacles);
-    }
+function createWindow(houseGroup, solids, x, y, frontZ, houseWindow) {
+    const width = houseWindow.width;
+    const height = houseWindow.height;
+    
+    // White frame sitting just proud of the wall
+    solids.add(
+        getGeometry('BoxGeometry', width + 0.2, height + 0.2, 0.05),
+        getMaterial({ color: 0xFFFFFF }),
+        [x, y, frontZ + 0.02], null, 1, houseGroup.matrix
+    );
     
-    // Add street drains
-    for (let i = 0; i < 3; i++) {
-        const drainX = (Math.random() - 0.5) * blockWidth;
-        const drainZ = i * (blockLength / 3) + Math.random() * (blockLength / 6);
-        createDrain(blockGroup, drainX, drainZ, obstacles);
+    // Glass pane, with a material of its own since breaking it changes
+    // the colour
+    const pane = new THREE.Mesh(
+        getGeometry('PlaneGeometry', width, height),
+        new THREE.MeshLambertMaterial({ color: 0x88CCFF, emissive: 0x112233 })
+    );
+    pane.position.set(x, y, frontZ + 0.05);
+    houseGroup.add(pane);
+    windowPanes.set(houseWindow, pane);
+    
+    // Windows broken before the block was rebuilt stay broken
+    if (houseWindow.broken) {
+        breakWindow(houseWindow);
     }
 }
 
 /**
- * Create a car
- * @param {THREE.Group} blockGroup - Block group to add car to
- * @param {number} x - X position
- * @param {number} z - Z position
- * @param {Array} obstacles - Array to add obstacle data to
+ * Show a window as broken: the glass goes dark and leaves a few shards
+ * @param {Object} houseWindow - Window layout
  */
-function createCar(blockGroup, x, z, obstacles) {
-    const carGroup = new THREE.Group();
+export function breakWindow(houseWindow) {
+    const pane = windowPanes.get(houseWindow);
+    if (!pane) return;
     
-    // Car body
-    const body = new THREE.Mesh(
-        new THREE.BoxGeometry(2, 1, 4),
-        new THREE.MeshLambertMaterial({ color: COLORS.CAR })
-    );
-    body.position.y = 0.75;
-    body.castShadow = true;
-    carGroup.add(body);
-    
-    // Car top
-    const top = new THREE.Mesh(
-        new THREE.BoxGeometry(1.8, 0.8, 2),
-        new THREE.MeshLambertMaterial({ color: COLORS.CAR })
-    );
-    top.position.set(0, 1.7, -0.5);
-    top.castShadow = true;
-    carGroup.add(top);
+    pane.material.color.set(0x1A1A22);
+    pane.material.emissive.set(0x000000);
     
-    // Windows
-    const windowMaterial = new THREE.MeshLambertMaterial({ color: 0x88CCFF });
-    
-    // Windshield
-    const windshield = new THREE.Mesh(
-        new THREE.PlaneGeometry(1.7, 0.7),
-        windowMaterial
-    );
-    windshield.position.set(0, 1.7, 0.51);
-    windshield.rotation.x = Math.PI / 2;
-    carGroup.add(windshield);
-    
-    // Wheels
-    const wheelGeometry = new THREE.CylinderGeometry(0.4, 0.4, 0.3, 16);
-    wheelGeometry.rotateZ(Math.PI / 2);
-    const wheelMaterial = new THREE.MeshLambertMaterial({ color: 0x111111 });
-    
-    const wheelFL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFL.position.set(-1.1, 0.4, -1.5);
-    carGroup.add(wheelFL);
-    
-    const wheelFR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFR.position.set(1.1, 0.4, -1.5);
-    carGroup.add(wheelFR);
-    
-    const wheelBL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBL.position.set(-1.1, 0.4, 1.5);
-    carGroup.add(wheelBL);
-    
-    const wheelBR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBR.position.set(1.1, 0.4, 1.5);
-    carGroup.add(wheelBR);
-    
-    // Add to block
-    carGroup.position.set(x, 0, z);
-    
-    // Set rotation based on which side of the street the car is on
-    carGroup.rotation.y = x > 0 ? 0 : Math.PI; // Cars on right face forward, left face backward
-    
-    blockGroup.add(carGroup);
-    
-    // Register for collision
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z).add(blockGroup.position),
-        width: 2,
-        height: 1.7,
-        depth: 4,
-        type: 'car'
+    // Shards left in the corners of the frame
+    const shardMaterial = getMaterial({
+        color: 0xAADDFF,
+        side: THREE.DoubleSide
     });
+    const corners = [[-1, 1], [1, -1], [-1, -1]];
+    for (const [cornerX, cornerY] of corners) {
+        const shard = new THREE.Mesh(getGeometry('CircleGeometry', 0.22, 3), shardMaterial);
+        shard.position.set(cornerX * (houseWindow.width / 2 - 0.12), cornerY * (houseWindow.height / 2 - 0.12), 0.01);
+        shard.rotation.z = Math.atan2(cornerY, cornerX) + Math.PI;
+        pane.add(shard);
+    }
 }
 
 /**
- * Create a drain
- * @param {THREE.Group} blockGroup - Block group to add drain to
+ * Add a drain to the block's batch of ground props
+ * @param {PropBatch} flats - Batch to add the drain to
  * @param {number} x - X position
  * @param {number} z - Z position
- * @param {Array} obstacles - Array to add obstacle data to
  */
-function createDrain(blockGroup, x, z, obstacles) {
-    const drain = new THREE.Mesh(
-        new THREE.BoxGeometry(1, 0.1, 1),
-        new THREE.MeshLambertMaterial({ color: COLORS.DRAIN })
+function addDrain(flats, x, z) {
+    flats.add(
+        getGeometry('BoxGeometry', 1, 0.1, 1),
+        getMaterial({ color: COLORS.DRAIN }),
+        [x, 0.05, z],
+        [-Math.PI / 2, 0, 0]
     );
-    drain.position.set(x, 0.05, z);
-    drain.rotation.x = -Math.PI / 2;
-    drain.receiveShadow = true;
-    blockGroup.add(drain);
-    
-    // Register for collision
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z).add(blockGroup.position),
-        width: 1,
-        height: 0.1,
-        depth: 1,
-        type: 'drain'
-    });
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Distant block stand-ins for Paperboy 3D game
+ *
+ * Far-off blocks are drawn as a handful of flat-coloured shapes built
+ * straight from the layout: ground, street, a box per house and a cone per
+ * tree, each kind instanced across the block.
+ */
+
+import * as THREE from 'three';
+import { COLORS } from '../utils.js';
+import { HOUSE_WIDTH, HOUSE_DEPTH } from '../core/world.js';
+import { HOUSE_COLORS } from './houses.js';
+import { getGeometry, getMaterial, PropBatch } from './props.js';
+
+/**
+ * Create the stand-in for a block
+ * @param {THREE.Group} impostorGroup - Group to add the stand-in to
+ * @param {Object} block - Block layout
+ * @param {Object} worldData - World data
+ */
+export function createImpostor(impostorGroup, block, worldData) {
+    const blockWidth = worldData.blockWidth;
+    const blockLength = worldData.blockLength;
+    const streetWidth = worldData.streetWidth;
+    const props = new PropBatch();
+    const flat = [-Math.PI / 2, 0, 0];
+    
+    // Ground, and the street through a block of houses
+    props.add(
+        getGeometry('PlaneGeometry', blockWidth * 2, blockLength),
+        getMaterial({ color: COLORS.GRASS }),
+        [0, -0.02, blockLength / 2],
+        flat
+    );
+    if (!block.isPark) {
+        props.add(
+            getGeometry('PlaneGeometry', blockWidth / 2, blockLength),
+            getMaterial({ color: COLORS.STREET }),
+            [0, 0, blockLength / 2],
+            flat
+        );
+    }
+    if (block.index > 0) {
+        props.add(
+            getGeometry('PlaneGeometry', blockWidth * 3, streetWidth),
+            getMaterial({ color: COLORS.STREET }),
+            [0, 0.06, -streetWidth / 2],
+            flat
+        );
+    }
+    
+    // A box per house, roof and all
+    for (const house of block.houses) {
+        const frame = new THREE.Matrix4()
+            .makeRotationY(house.isLeftSide ? Math.PI / 2 : -Math.PI / 2)
+            .setPosition(house.position.x, 0, house.position.z - block.z);
+        props.add(
+            getGeometry('BoxGeometry', HOUSE_WIDTH, 2.75, HOUSE_DEPTH),
+            getMaterial({ color: HOUSE_COLORS[house.style] }),
+            [0, 1.375, -1.5], null, 1, frame
+        );
+    }
+    
+    for (const obstacle of block.obstacles) {
+        const position = [obstacle.position.x, 0, obstacle.position.z - block.z];
+        
+        switch (obstacle.type) {
+            case 'tree':
+                position[1] = 2.5;
+                props.add(
+                    getGeometry('ConeGeometry', 1.5, 5, 6),
+                    getMaterial({ color: 0x228822 }),
+                    position
+                );
+                break;
+            case 'hill':
+                props.add(
+                    getGeometry('SphereGeometry', 1, 8, 4, 0, Math.PI * 2, 0, Math.PI / 2),
+                    getMaterial({ color: COLORS.HILL }),
+                    position,
+                    null,
+                    obstacle.width / 2
+                );
+                break;
+            case 'pond':
+                position[1] = 0.03;
+                props.add(
+                    getGeometry('CircleGeometry', 1, 12),
+                    getMaterial({ color: 0x3399CC }),
+                    position,
+                    flat,
+                    obstacle.width / 2
+                );
+                break;
+        }
+    }
+    
+    props.build(impostorGroup);
+}
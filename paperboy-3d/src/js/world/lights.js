@@ -0,0 +1,75 @@
+/**
+ * Street lamp lighting for Paperboy 3D game
+ *
+ * Every light in the scene is paid for by every lit material, so only the
+ * lamps nearest the player get a real point light. The rest keep their
+ * glowing heads and a see-through light cone instead.
+ */
+
+import * as THREE from 'three';
+
+export class LightManager {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the lights to
+     * @param {number} count - Number of real lights
+     */
+    constructor(scene, count) {
+        this.scene = scene;
+        this.lights = [];
+        this.nearest = []; // Scratch list of lamps sorted by distance
+        this.setCount(count);
+    }
+    
+    /**
+     * Change the number of real lights. The lights always stay in the
+     * scene, so streaming lamps in and out never changes the shaders.
+     * @param {number} count - Number of real lights
+     */
+    setCount(count) {
+        this.dispose();
+        for (let i = 0; i < count; i++) {
+            const light = new THREE.PointLight(0xFFFF99, 0, 10);
+            this.scene.add(light);
+            this.lights.push(light);
+        }
+    }
+    
+    /**
+     * Move the real lights onto the lamps nearest a position and fake the rest
+     * @param {Object[]} lamps - Lamps ({ position, glow }) in world space
+     * @param {THREE.Vector3} position - Position to light around
+     */
+    update(lamps, position) {
+        const nearest = this.nearest;
+        nearest.length = 0;
+        for (const lamp of lamps) {
+            lamp.distance = lamp.position.distanceToSquared(position);
+            nearest.push(lamp);
+        }
+        nearest.sort((a, b) => a.distance - b.distance);
+        
+        this.lights.forEach((light, i) => {
+            const lamp = nearest[i];
+            if (lamp) {
+                light.position.copy(lamp.position);
+                light.intensity = 0.5;
+            } else {
+                light.intensity = 0;
+            }
+        });
+        nearest.forEach((lamp, i) => {
+            lamp.glow.visible = i >= this.lights.length;
+        });
+    }
+    
+    /**
+     * Remove the lights from the scene
+     */
+    dispose() {
+        for (const light of this.lights) {
+            this.scene.remove(light);
+            light.dispose();
+        }
+        this.lights = [];
+    }
+}
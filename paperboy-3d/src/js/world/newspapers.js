@@ -0,0 +1,92 @@
+/**
+ * Newspaper models for Paperboy 3D game
+ *
+ * Every paper in play is drawn by one instanced mesh, so throwing doesn't
+ * allocate anything and all papers cost a single draw call. The mesh is
+ * rebuilt bigger on the rare frame it runs out of room.
+ */
+
+import * as THREE from 'three';
+import { COLORS } from '../utils.js';
+
+// Room for papers in the air on top of the ones lying around
+const PAPERS_IN_FLIGHT = 32;
+
+export class NewspaperRenderer {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw papers in
+     * @param {number} maxRestingPapers - Most papers the simulation leaves lying around
+     */
+    constructor(scene, maxRestingPapers) {
+        this.scene = scene;
+        this.matrix = new THREE.Matrix4();
+        this.position = new THREE.Vector3();
+        this.rotation = new THREE.Euler();
+        this.geometry = new THREE.BoxGeometry(0.3, 0.1, 0.3);
+        this.material = new THREE.MeshLambertMaterial({ color: COLORS.NEWSPAPER });
+        this.mesh = null;
+        
+        this.createMesh(maxRestingPapers + PAPERS_IN_FLIGHT);
+    }
+    
+    /**
+     * Replace the instanced mesh with one that has room for more papers
+     * @param {number} capacity - Papers the mesh can draw
+     */
+    createMesh(capacity) {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        
+        this.capacity = capacity;
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.castShadow = true;
+        this.mesh.count = 0;
+        
+        // Papers move around the whole street, so don't cull by the
+        // bounding sphere of wherever the first ones were
+        this.mesh.frustumCulled = false;
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Place and turn the papers between the last two simulation steps
+     * @param {Array<Object>} newspapers - Newspapers in play
+     * @param {number} alpha - How far the current frame is into the next step (0-1)
+     */
+    render(newspapers, alpha) {
+        const count = newspapers.length;
+        if (count > this.capacity) {
+            this.createMesh(Math.max(count, this.capacity * 2));
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const newspaper = newspapers[i];
+            const previous = newspaper.previousRotation;
+            const current = newspaper.rotation;
+            this.position.lerpVectors(newspaper.previousPosition, newspaper.position, alpha);
+            this.rotation.set(
+                previous.x + (current.x - previous.x) * alpha,
+                previous.y + (current.y - previous.y) * alpha,
+                previous.z + (current.z - previous.z) * alpha
+            );
+            this.matrix.makeRotationFromEuler(this.rotation).setPosition(this.position);
+            this.mesh.setMatrixAt(i, this.matrix);
+        }
+        
+        this.mesh.count = count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+    
+    /**
+     * Remove the papers from the scene and free their GPU resources
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.mesh.dispose();
+    }
+}
@@ -3,52 +3,60 @@
  */
 
 import * as THREE from 'three';
-import { COLORS, getRandomNumber, getRandomInt } from '../utils.js';
+import { COLORS } from '../utils.js';
+import { getGeometry, getMaterial, PropBatch } from './props.js';
+import { createPickup } from './pickups.js';
 
 /**
  * Create a park block
  * @param {THREE.Group} blockGroup - Block group to add park to
+ * @param {THREE.Group} detailGroup - Group for the small props only drawn
+ *     close up
+ * @param {Object} block - Block layout to build
  * @param {Object} worldData - World data
- * @param {Array} obstacles - Array to add obstacle data to
+ * @param {Function} random - Random generator for decoration
  */
-export function createPark(blockGroup, worldData, obstacles) {
+export function createPark(blockGroup, detailGroup, block, worldData, random) {
     const blockWidth = worldData.blockWidth;
     const blockLength = worldData.blockLength;
     const streetWidth = worldData.streetWidth;
     
     // Create ground with texture variation
     const ground = new THREE.Mesh(
-        new THREE.PlaneGeometry(blockWidth + streetWidth * 2, blockLength),
-        new THREE.MeshLambertMaterial({ color: COLORS.GRASS })
+        getGeometry('PlaneGeometry', blockWidth + streetWidth * 2, blockLength),
+        getMaterial({ color: COLORS.GRASS })
     );
     ground.rotation.x = -Math.PI / 2;
     ground.position.z = blockLength / 2;
     ground.receiveShadow = true;
     blockGroup.add(ground);
     
+    // Grass patches, path lines, flowers and stones are drawn together
+    const props = new PropBatch();
+    
     // Add texture variation with patches of different grass
     for (let i = 0; i < 20; i++) {
-        const patchSize = 1.5 + Math.random() * 3;
-        const patchX = (Math.random() - 0.5) * (blockWidth + streetWidth * 2 - patchSize);
-        const patchZ = Math.random() * blockLength;
+        const patchSize = 1.5 + random() * 3;
+        const patchX = (random() - 0.5) * (blockWidth + streetWidth * 2 - patchSize);
+        const patchZ = random() * blockLength;
         
-        const grassPatch = new THREE.Mesh(
-            new THREE.CircleGeometry(patchSize / 2, 8),
-            new THREE.MeshLambertMaterial({ 
-                color: Math.random() > 0.5 ? 0x44AA44 : 0x55BB55,
+        props.add(
+            getGeometry('CircleGeometry', 1, 8),
+            getMaterial({ 
+                color: random() > 0.5 ? 0x44AA44 : 0x55BB55,
                 transparent: true,
                 opacity: 0.8
-            })
+            }),
+            [patchX, 0.01, patchZ],
+            [-Math.PI / 2, 0, 0],
+            patchSize / 2
         );
-        grassPatch.rotation.x = -Math.PI / 2;
-        grassPatch.position.set(patchX, 0.01, patchZ);
-        blockGroup.add(grassPatch);
     }
     
     // Create street/path through the park - changed to grass color
     const pathBase = new THREE.Mesh(
-        new THREE.PlaneGeometry(blockWidth, blockLength),
-        new THREE.MeshLambertMaterial({ color: 0x228822 }) // Light green for the path area
+        getGeometry('PlaneGeometry', blockWidth, blockLength),
+        getMaterial({ color: 0x228822 }) // Light green for the path area
     );
     pathBase.rotation.x = -Math.PI / 2;
     pathBase.position.set(0, 0.04, blockLength / 2);
@@ -57,82 +65,70 @@ export function createPark(blockGroup, worldData, obstacles) {
     
     // Add path texture - crossing lines with subtler colors
     for (let i = 0; i < blockLength / 2; i++) {
-        const pathLine = new THREE.Mesh(
-            new THREE.PlaneGeometry(blockWidth, 0.1),
-            new THREE.MeshLambertMaterial({ 
+        props.add(
+            getGeometry('PlaneGeometry', blockWidth, 0.1),
+            getMaterial({ 
                 color: 0x228822,  // Slightly darker green for path lines
                 transparent: true,
                 opacity: 0.7
-            })
+            }),
+            [0, 0.05, i * 2],
+            [-Math.PI / 2, 0, 0]
         );
-        pathLine.rotation.x = -Math.PI / 2;
-        pathLine.position.set(0, 0.05, i * 2);
-        blockGroup.add(pathLine);
-    }
-    
-    // Create hills - more varied
-    for (let i = 0; i < 3; i++) {
-        const hillZ = blockLength / 4 + i * (blockLength / 3);
-        const offsetX = (i % 2 === 0) ? 2 : -2; // Alternate sides
-        createHill(blockGroup, offsetX, hillZ, obstacles);
     }
     
-    // Add some trees - more variety
-    for (let i = 0; i < 12; i++) {
-        const treeX = (Math.random() - 0.5) * (blockWidth + streetWidth * 2 - 4);
-        const treeZ = Math.random() * blockLength;
+    // Create hills, trees, benches and the pond where the layout put them
+    for (const obstacle of block.obstacles) {
+        const x = obstacle.position.x;
+        const z = obstacle.position.z - block.z;
         
-        // Don't place trees on the path
-        if (Math.abs(treeX) > 5) {
-            createTree(blockGroup, treeX, treeZ, Math.floor(Math.random() * 3), obstacles);
+        switch (obstacle.type) {
+            case 'hill':
+                createHill(blockGroup, props, x, z, obstacle.width, random);
+                break;
+            case 'tree':
+                createTree(blockGroup, x, z, obstacle.style, random);
+                break;
+            case 'bench':
+                createBench(blockGroup, x, z, obstacle.facing);
+                break;
+            case 'pond':
+                createPond(blockGroup, props, x, z, obstacle.width, random);
+                break;
         }
     }
     
-    // Add park benches
-    for (let i = 0; i < 3; i++) {
-        const benchSide = i % 2 === 0 ? 1 : -1;
-        const benchX = benchSide * (blockWidth / 2 - 2);
-        const benchZ = blockLength / 4 + i * (blockLength / 3);
-        createBench(blockGroup, benchX, benchZ, benchSide, obstacles);
+    for (const pickup of block.pickups) {
+        createPickup(blockGroup, pickup, block);
     }
     
     // Add some flowers
     for (let i = 0; i < 20; i++) {
-        const flowerX = (Math.random() - 0.5) * (blockWidth + streetWidth * 2 - 2);
-        const flowerZ = Math.random() * blockLength;
+        const flowerX = (random() - 0.5) * (blockWidth + streetWidth * 2 - 2);
+        const flowerZ = random() * blockLength;
         
         // Don't place flowers on the path
         if (Math.abs(flowerX) > 5) {
-            createFlower(blockGroup, flowerX, flowerZ);
+            addFlower(props, flowerX, flowerZ, random);
         }
     }
     
-    // Add a small pond
-    if (Math.random() > 0.5) {
-        const pondX = (Math.random() - 0.5) * (blockWidth - 10);
-        const pondZ = blockLength / 2 + (Math.random() - 0.5) * (blockLength / 2 - 5);
-        createPond(blockGroup, pondX, pondZ, obstacles);
-    }
+    props.build(detailGroup);
 }
 
 /**
  * Create an improved hill with half-sphere shape
  * @param {THREE.Group} blockGroup - Block group to add hill to
+ * @param {PropBatch} props - Batch to add the grass tufts and rocks to
  * @param {number} x - X position
  * @param {number} z - Z position
- * @param {Array} obstacles - Array to add obstacle data to
+ * @param {number} actualWidth - Hill width from the layout
+ * @param {Function} random - Random generator for decoration
  */
-function createHill(blockGroup, x, z, obstacles) {
-    const hillWidth = 10;
-    const hillHeight = 2;
-    
-    // Random hill size variation (reduced by 50%)
-    const sizeVariation = 0.25 + Math.random() * 0.3; // Reduced variation
-    const actualWidth = hillWidth * sizeVariation;
-    const actualHeight = hillHeight * sizeVariation;
-    
+function createHill(blockGroup, props, x, z, actualWidth, random) {    
     // Create hill geometry using half-sphere for more realistic shape
-    const hillGeometry = new THREE.SphereGeometry(
+    const hillGeometry = getGeometry(
+        'SphereGeometry',
         actualWidth / 2,  // radius
         16,               // widthSegments
         16,               // heightSegments
@@ -143,11 +139,11 @@ function createHill(blockGroup, x, z, obstacles) {
     );
     
     // Hill color variation
-    const hillColor = Math.random() > 0.5 ? 0x228822 : 0x2A9D2A;
+    const hillColor = random() > 0.5 ? 0x228822 : 0x2A9D2A;
     
     const hill = new THREE.Mesh(
         hillGeometry,
-        new THREE.MeshLambertMaterial({ color: hillColor })
+        getMaterial({ color: hillColor })
     );
     hill.position.set(x, 0, z);
     hill.castShadow = true;
@@ -155,57 +151,47 @@ function createHill(blockGroup, x, z, obstacles) {
     blockGroup.add(hill);
     
     // Add grass texture details to make it more realistic
-    const detailsGroup = new THREE.Group();
+    const tuft = new THREE.Object3D();
     
     // Add some details to the hill - grass tufts
     for (let i = 0; i < 10; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * (actualWidth / 2);
+        const angle = random() * Math.PI * 2;
+        const distance = random() * (actualWidth / 2);
         const tuftX = Math.cos(angle) * distance;
         const tuftZ = Math.sin(angle) * distance;
         // Calculate Y based on sphere equation to place tuft on surface
         const tuftY = Math.sqrt(Math.pow(actualWidth/2, 2) - Math.pow(distance, 2));
         
-        const grassTuft = new THREE.Mesh(
-            new THREE.ConeGeometry(0.2, 0.4, 4),
-            new THREE.MeshLambertMaterial({ color: 0x33AA33 })
-        );
-        grassTuft.position.set(tuftX, tuftY, tuftZ);
+        tuft.position.set(x + tuftX, tuftY, z + tuftZ);
+        tuft.rotation.set(0, 0, 0);
         // Tilt the grass tuft to follow hill curvature
-        grassTuft.lookAt(x, actualWidth, z);
-        grassTuft.rotateX(Math.PI / 2);
-        detailsGroup.add(grassTuft);
+        tuft.lookAt(x, actualWidth, z);
+        tuft.rotateX(Math.PI / 2);
+        tuft.updateMatrix();
+        props.addMatrix(
+            getGeometry('ConeGeometry', 0.2, 0.4, 4),
+            getMaterial({ color: 0x33AA33 }),
+            tuft.matrix
+        );
     }
     
     // Add some small rocks
     for (let i = 0; i < 4; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * (actualWidth / 2);
+        const angle = random() * Math.PI * 2;
+        const distance = random() * (actualWidth / 2);
         const rockX = Math.cos(angle) * distance;
         const rockZ = Math.sin(angle) * distance;
         // Calculate Y based on sphere equation to place rock on surface
         const rockY = Math.sqrt(Math.pow(actualWidth/2, 2) - Math.pow(distance, 2));
         
-        const rock = new THREE.Mesh(
-            new THREE.DodecahedronGeometry(0.1 + Math.random() * 0.15, 0),
-            new THREE.MeshLambertMaterial({ color: 0x888888 })
+        props.add(
+            getGeometry('DodecahedronGeometry', 1, 0),
+            getMaterial({ color: 0x888888 }),
+            [x + rockX, rockY - 0.05, z + rockZ],
+            null,
+            0.1 + random() * 0.15
         );
-        rock.position.set(rockX, rockY - 0.05, rockZ);
-        detailsGroup.add(rock);
     }
-    
-    // Position the details group at the same location as the hill
-    detailsGroup.position.set(x, 0, z);
-    blockGroup.add(detailsGroup);
-    
-    // Register hill for collision and jumping
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z).add(blockGroup.position),
-        width: actualWidth,
-        height: actualHeight,
-        depth: actualWidth,
-        type: 'hill'
-    });
 }
 
 /**
@@ -214,17 +200,17 @@ function createHill(blockGroup, x, z, obstacles) {
  * @param {number} x - X position
  * @param {number} z - Z position
  * @param {number} style - Tree style (0-2)
- * @param {Array} obstacles - Array to add obstacle data to
+ * @param {Function} random - Random generator for decoration
  */
-function createTree(blockGroup, x, z, style = 0, obstacles) {
+function createTree(blockGroup, x, z, style = 0, random) {
     const treeGroup = new THREE.Group();
     
     // Different tree styles
     if (style === 0) { // Pine tree
         // Trunk
         const trunk = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.2, 0.3, 2, 8),
-            new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+            getGeometry('CylinderGeometry', 0.2, 0.3, 2, 8),
+            getMaterial({ color: 0x8B4513 })
         );
         trunk.position.y = 1;
         trunk.castShadow = true;
@@ -237,8 +223,8 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
             const coneY = 2 + i * 0.8;
             
             const leaves = new THREE.Mesh(
-                new THREE.ConeGeometry(coneSize, coneHeight, 8),
-                new THREE.MeshLambertMaterial({ color: 0x228822 })
+                getGeometry('ConeGeometry', coneSize, coneHeight, 8),
+                getMaterial({ color: 0x228822 })
             );
             leaves.position.y = coneY;
             leaves.castShadow = true;
@@ -247,8 +233,8 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
     } else if (style === 1) { // Oak tree
         // Thicker trunk
         const trunk = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.4, 0.5, 2.5, 8),
-            new THREE.MeshLambertMaterial({ color: 0x6B4423 })
+            getGeometry('CylinderGeometry', 0.4, 0.5, 2.5, 8),
+            getMaterial({ color: 0x6B4423 })
         );
         trunk.position.y = 1.25;
         trunk.castShadow = true;
@@ -256,8 +242,8 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
         
         // Spherical foliage
         const leaves = new THREE.Mesh(
-            new THREE.SphereGeometry(2, 8, 8),
-            new THREE.MeshLambertMaterial({ color: 0x4D8C57 })
+            getGeometry('SphereGeometry', 2, 8, 8),
+            getMaterial({ color: 0x4D8C57 })
         );
         leaves.position.y = 3.5;
         leaves.castShadow = true;
@@ -267,8 +253,8 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
         for (let i = 0; i < 4; i++) {
             const angle = (i / 4) * Math.PI * 2;
             const branch = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.1, 0.2, 1.5, 4),
-                new THREE.MeshLambertMaterial({ color: 0x6B4423 })
+                getGeometry('CylinderGeometry', 0.1, 0.2, 1.5, 4),
+                getMaterial({ color: 0x6B4423 })
             );
             branch.position.set(
                 Math.cos(angle) * 0.7,
@@ -282,8 +268,8 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
     } else { // Maple tree
         // Thin trunk
         const trunk = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.25, 0.35, 3, 8),
-            new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+            getGeometry('CylinderGeometry', 0.25, 0.35, 3, 8),
+            getMaterial({ color: 0x8B4513 })
         );
         trunk.position.y = 1.5;
         trunk.castShadow = true;
@@ -294,15 +280,18 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
         
         for (let i = 0; i < 5; i++) {
             const angle = (i / 5) * Math.PI * 2;
-            const distance = 0.7 + Math.random() * 0.5;
+            const distance = 0.7 + random() * 0.5;
+            
+            const clusterSize = 0.8 + random() * 0.4;
             
             const leafCluster = new THREE.Mesh(
-                new THREE.SphereGeometry(0.8 + Math.random() * 0.4, 8, 8),
-                new THREE.MeshLambertMaterial({ color: colors[Math.floor(Math.random() * colors.length)] })
+                getGeometry('SphereGeometry', 1, 8, 8),
+                getMaterial({ color: colors[Math.floor(random() * colors.length)] })
             );
+            leafCluster.scale.setScalar(clusterSize);
             leafCluster.position.set(
                 Math.cos(angle) * distance,
-                3 + Math.random() * 0.5,
+                3 + random() * 0.5,
                 Math.sin(angle) * distance
             );
             leafCluster.castShadow = true;
@@ -313,15 +302,6 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
     // Add to block
     treeGroup.position.set(x, 0, z);
     blockGroup.add(treeGroup);
-    
-    // Register for collision
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z).add(blockGroup.position),
-        width: 1,
-        height: style === 1 ? 4.5 : 4,
-        depth: 1,
-        type: 'tree'
-    });
 }
 
 /**
@@ -330,23 +310,22 @@ function createTree(blockGroup, x, z, style = 0, obstacles) {
  * @param {number} x - X position
  * @param {number} z - Z position
  * @param {number} facing - Direction bench is facing (1 or -1)
- * @param {Array} obstacles - Array to add obstacle data to
  */
-function createBench(blockGroup, x, z, facing = 1, obstacles) {
+function createBench(blockGroup, x, z, facing = 1) {
     const benchGroup = new THREE.Group();
     
     // Bench seat
     const seat = new THREE.Mesh(
-        new THREE.BoxGeometry(2, 0.1, 0.7),
-        new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+        getGeometry('BoxGeometry', 2, 0.1, 0.7),
+        getMaterial({ color: 0x8B4513 })
     );
     seat.position.y = 0.5;
     benchGroup.add(seat);
     
     // Bench back
     const back = new THREE.Mesh(
-        new THREE.BoxGeometry(2, 0.7, 0.1),
-        new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+        getGeometry('BoxGeometry', 2, 0.7, 0.1),
+        getMaterial({ color: 0x8B4513 })
     );
     back.position.set(0, 0.8, -0.3 * facing);
     benchGroup.add(back);
@@ -354,16 +333,16 @@ function createBench(blockGroup, x, z, facing = 1, obstacles) {
     // Bench legs
     for (let i = -1; i <= 1; i += 2) {
         const leg = new THREE.Mesh(
-            new THREE.BoxGeometry(0.1, 0.5, 0.7),
-            new THREE.MeshLambertMaterial({ color: 0x666666 })
+            getGeometry('BoxGeometry', 0.1, 0.5, 0.7),
+            getMaterial({ color: 0x666666 })
         );
         leg.position.set(i * 0.9, 0.25, 0);
         benchGroup.add(leg);
         
         // Back support
         const backSupport = new THREE.Mesh(
-            new THREE.BoxGeometry(0.1, 0.7, 0.1),
-            new THREE.MeshLambertMaterial({ color: 0x666666 })
+            getGeometry('BoxGeometry', 0.1, 0.7, 0.1),
+            getMaterial({ color: 0x666666 })
         );
         backSupport.position.set(i * 0.9, 0.8, -0.3 * facing);
         benchGroup.add(backSupport);
@@ -373,99 +352,79 @@ function createBench(blockGroup, x, z, facing = 1, obstacles) {
     benchGroup.position.set(x, 0, z);
     benchGroup.rotation.y = facing > 0 ? Math.PI : 0;
     blockGroup.add(benchGroup);
-    
-    // Register for collision
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z).add(blockGroup.position),
-        width: 2,
-        height: 1,
-        depth: 0.7,
-        type: 'bench'
-    });
 }
 
 /**
- * Create flowers
- * @param {THREE.Group} blockGroup - Block group to add flowers to
+ * Add a flower to the park's batch of props
+ * @param {PropBatch} props - Batch to add the flower to
  * @param {number} x - X position
  * @param {number} z - Z position
+ * @param {Function} random - Random generator for decoration
  */
-function createFlower(blockGroup, x, z) {
-    const flowerGroup = new THREE.Group();
-    
+function addFlower(props, x, z, random) {
     // Stem
-    const stem = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.02, 0.02, 0.3, 8),
-        new THREE.MeshLambertMaterial({ color: 0x228822 })
+    props.add(
+        getGeometry('CylinderGeometry', 0.02, 0.02, 0.3, 8),
+        getMaterial({ color: 0x228822 }),
+        [x, 0.15, z]
     );
-    stem.position.y = 0.15;
-    flowerGroup.add(stem);
     
     // Flower head - random color
     const colors = [0xFF5555, 0xFFFF55, 0xFF55FF, 0x55FFFF, 0xFFAA55, 0xAA55FF];
-    const color = colors[Math.floor(Math.random() * colors.length)];
+    const color = colors[Math.floor(random() * colors.length)];
     
-    const flowerType = Math.floor(Math.random() * 2);
+    const flowerType = Math.floor(random() * 2);
     
     if (flowerType === 0) { // Daisy-like flower
         // Petals
+        const petalGeometry = getGeometry('PlaneGeometry', 0.1, 0.1);
+        const petalMaterial = getMaterial({ 
+            color: color,
+            side: THREE.DoubleSide
+        });
         for (let i = 0; i < 8; i++) {
             const angle = (i / 8) * Math.PI * 2;
-            const petal = new THREE.Mesh(
-                new THREE.PlaneGeometry(0.1, 0.1),
-                new THREE.MeshLambertMaterial({ 
-                    color: color,
-                    side: THREE.DoubleSide
-                })
-            );
-            petal.position.set(
-                Math.cos(angle) * 0.08,
-                0.3,
-                Math.sin(angle) * 0.08
+            props.add(
+                petalGeometry,
+                petalMaterial,
+                [x + Math.cos(angle) * 0.08, 0.3, z + Math.sin(angle) * 0.08],
+                [Math.PI / 2, angle, 0]
             );
-            petal.rotation.x = Math.PI / 2;
-            petal.rotation.y = angle;
-            flowerGroup.add(petal);
         }
         
         // Center
-        const center = new THREE.Mesh(
-            new THREE.SphereGeometry(0.04, 8, 8),
-            new THREE.MeshLambertMaterial({ color: 0xFFFF00 })
+        props.add(
+            getGeometry('SphereGeometry', 0.04, 8, 8),
+            getMaterial({ color: 0xFFFF00 }),
+            [x, 0.3, z]
         );
-        center.position.y = 0.3;
-        flowerGroup.add(center);
     } else { // Tulip-like flower
-        const flower = new THREE.Mesh(
-            new THREE.ConeGeometry(0.08, 0.15, 6, 1, true),
-            new THREE.MeshLambertMaterial({ color: color })
+        props.add(
+            getGeometry('ConeGeometry', 0.08, 0.15, 6, 1, true),
+            getMaterial({ color: color }),
+            [x, 0.35, z],
+            [Math.PI, 0, 0]
         );
-        flower.position.y = 0.35;
-        flower.rotation.x = Math.PI;
-        flowerGroup.add(flower);
     }
-    
-    // Add to block
-    flowerGroup.position.set(x, 0, z);
-    blockGroup.add(flowerGroup);
 }
 
 /**
  * Create a small pond
  * @param {THREE.Group} blockGroup - Block group to add pond to
+ * @param {PropBatch} props - Batch to add the edge rocks to
  * @param {number} x - X position
  * @param {number} z - Z position
- * @param {Array} obstacles - Array to add obstacle data to
+ * @param {number} pondSize - Pond diameter from the layout
+ * @param {Function} random - Random generator for decoration
  */
-function createPond(blockGroup, x, z, obstacles) {
+function createPond(blockGroup, props, x, z, pondSize, random) {
     // Pond base - slightly depressed into ground
-    const pondSize = 3 + Math.random() * 2;
     const pondDepth = 0.3;
     
     // Dig out pond area
     const pondHole = new THREE.Mesh(
-        new THREE.CylinderGeometry(pondSize/2, pondSize/2, pondDepth, 24),
-        new THREE.MeshLambertMaterial({ color: 0x667788 })
+        getGeometry('CylinderGeometry', pondSize/2, pondSize/2, pondDepth, 24),
+        getMaterial({ color: 0x667788 })
     );
     pondHole.position.set(x, -pondDepth/2 + 0.01, z);
     pondHole.rotation.x = Math.PI / 2;
@@ -473,8 +432,8 @@ function createPond(blockGroup, x, z, obstacles) {
     
     // Water surface
     const waterSurface = new THREE.Mesh(
-        new THREE.CircleGeometry(pondSize/2 - 0.1, 24),
-        new THREE.MeshLambertMaterial({ 
+        getGeometry('CircleGeometry', pondSize/2 - 0.1, 24),
+        getMaterial({ 
             color: 0x3399CC,
             transparent: true,
             opacity: 0.7
@@ -487,31 +446,16 @@ function createPond(blockGroup, x, z, obstacles) {
     // Add rocks around the edge
     for (let i = 0; i < 12; i++) {
         const angle = (i / 12) * Math.PI * 2;
-        const distance = pondSize/2 - 0.2 + Math.random() * 0.4;
+        const distance = pondSize/2 - 0.2 + random() * 0.4;
         
-        const rock = new THREE.Mesh(
-            new THREE.DodecahedronGeometry(0.15 + Math.random() * 0.15, 0),
-            new THREE.MeshLambertMaterial({ color: 0x888888 })
-        );
-        rock.position.set(
-            x + Math.cos(angle) * distance,
-            0.1,
-            z + Math.sin(angle) * distance
-        );
-        rock.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+        const rockSize = 0.15 + random() * 0.15;
+        
+        props.add(
+            getGeometry('DodecahedronGeometry', 1, 0),
+            getMaterial({ color: 0x888888 }),
+            [x + Math.cos(angle) * distance, 0.1, z + Math.sin(angle) * distance],
+            [random() * Math.PI, random() * Math.PI, random() * Math.PI],
+            rockSize
         );
-        blockGroup.add(rock);
     }
-    
-    // Register pond for collision
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z).add(blockGroup.position),
-        width: pondSize,
-        height: 0.1,
-        depth: pondSize,
-        type: 'pond'
-    });
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Pickup models for Paperboy 3D game
+ *
+ * Pickups are built with the block they lie in, each in a group of its own
+ * so it can be taken away when the player collects it.
+ */
+
+import * as THREE from 'three';
+import { getGeometry, getMaterial } from './props.js';
+
+// Pickup models by pickup layout, so collecting one can find its model
+const pickupModels = new WeakMap();
+
+// Power-up colours, matching their timers in the HUD
+export const POWER_UP_COLORS = {
+    speed: 0xFFAA00,
+    shield: 0x33CCFF,
+    spread: 0x66DD44,
+    magnet: 0xDD2222,
+    slowMotion: 0xAA66FF
+};
+
+/**
+ * Create the model for a pickup
+ * @param {THREE.Group} blockGroup - Block group to add the pickup to
+ * @param {Object} pickup - Pickup layout
+ * @param {Object} block - Block layout the pickup is in
+ */
+export function createPickup(blockGroup, pickup, block) {
+    const model = new THREE.Group();
+    model.position.set(pickup.position.x, pickup.position.y, pickup.position.z - block.z);
+    
+    switch (pickup.type) {
+        case 'bundle':
+            createBundle(model);
+            break;
+        case 'powerUp':
+            createPowerUp(model, pickup.powerUp);
+            break;
+    }
+    
+    model.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+        }
+    });
+    blockGroup.add(model);
+    pickupModels.set(pickup, model);
+    
+    // Pickups collected before the block was rebuilt stay gone
+    if (pickup.collected) {
+        collectPickup(pickup);
+    }
+}
+
+/**
+ * Take a collected pickup's model away
+ * @param {Object} pickup - Pickup layout
+ */
+export function collectPickup(pickup) {
+    const model = pickupModels.get(pickup);
+    if (model) {
+        model.visible = false;
+    }
+}
+
+/**
+ * Build a power-up: a glowing orb in its colour hovering over a ring
+ * @param {THREE.Group} model - Group to build the power-up in
+ * @param {string} type - Power-up type
+ */
+function createPowerUp(model, type) {
+    const color = POWER_UP_COLORS[type];
+    
+    const orb = new THREE.Mesh(
+        getGeometry('IcosahedronGeometry', 0.45, 0),
+        getMaterial({ color: color, emissive: color, emissiveIntensity: 0.6 })
+    );
+    orb.position.y = 1.2;
+    model.add(orb);
+    
+    const ring = new THREE.Mesh(
+        getGeometry('TorusGeometry', 0.7, 0.06, 6, 24),
+        getMaterial({ color: color }, 'MeshBasicMaterial')
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.05;
+    model.add(ring);
+}
+
+/**
+ * Build a bundle of papers: a stack tied with string, on a pallet so it
+ * stands out from the sidewalk
+ * @param {THREE.Group} model - Group to build the bundle in
+ */
+function createBundle(model) {
+    const paper = getMaterial({ color: 0xF2F2E6 });
+    const string = getMaterial({ color: 0xCC2222 });
+    
+    const pallet = new THREE.Mesh(getGeometry('BoxGeometry', 1.2, 0.15, 1.2), getMaterial({ color: 0x8B5A2B }));
+    pallet.position.y = 0.075;
+    model.add(pallet);
+    
+    // Papers stacked a little crooked
+    for (let i = 0; i < 4; i++) {
+        const stack = new THREE.Mesh(getGeometry('BoxGeometry', 0.8, 0.18, 0.6), paper);
+        stack.position.y = 0.24 + i * 0.18;
+        stack.rotation.y = (i % 2 === 0 ? 1 : -1) * 0.08;
+        model.add(stack);
+    }
+    
+    for (const x of [-0.2, 0.2]) {
+        const tie = new THREE.Mesh(getGeometry('BoxGeometry', 0.05, 0.74, 0.62), string);
+        tie.position.set(x, 0.52, 0);
+        model.add(tie);
+    }
+}
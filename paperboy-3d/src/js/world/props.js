@@ -0,0 +1,163 @@
+/**
+ * Prop library for Paperboy 3D game
+ *
+ * Geometries and materials are cached by their parameters so every house,
+ * mailbox and tree of a kind shares one copy, and small props repeated
+ * across a block are gathered into one instanced mesh per geometry and
+ * material.
+ */
+
+import * as THREE from 'three';
+
+const geometries = new Map();
+const materials = new Map();
+
+/**
+ * Get a shared geometry, creating it the first time it is asked for
+ * @param {string} type - Three.js geometry class name, e.g. 'BoxGeometry'
+ * @param {...*} parameters - Constructor parameters
+ * @returns {THREE.BufferGeometry} Shared geometry; must not be modified
+ */
+export function getGeometry(type, ...parameters) {
+    const key = `${type}(${parameters.join(',')})`;
+    let geometry = geometries.get(key);
+    if (!geometry) {
+        geometry = new THREE[type](...parameters);
+        geometry.userData.shared = true;
+        geometries.set(key, geometry);
+    }
+    return geometry;
+}
+
+/**
+ * Get a shared material, creating it the first time it is asked for
+ * @param {Object} parameters - Material parameters (color, emissive, ...)
+ * @param {string} [type] - Three.js material class name
+ * @returns {THREE.Material} Shared material; must not be modified
+ */
+export function getMaterial(parameters, type = 'MeshLambertMaterial') {
+    const key = `${type}${JSON.stringify(parameters)}`;
+    let material = materials.get(key);
+    if (!material) {
+        material = new THREE[type](parameters);
+        material.userData.shared = true;
+        materials.set(key, material);
+    }
+    return material;
+}
+
+/**
+ * Number of geometries and materials in the library
+ * @returns {Object} Counts ({ geometries, materials })
+ */
+export function getPropStats() {
+    return { geometries: geometries.size, materials: materials.size };
+}
+
+/**
+ * Free every shared geometry and material. Meshes still using them will
+ * recreate their GPU copies if drawn again, so only call this with the
+ * world torn down.
+ */
+export function disposeProps() {
+    for (const geometry of geometries.values()) {
+        geometry.dispose();
+    }
+    for (const material of materials.values()) {
+        material.dispose();
+    }
+    geometries.clear();
+    materials.clear();
+}
+
+/**
+ * Collects copies of small props for one block and builds an instanced
+ * mesh for each geometry and material pair
+ */
+export class PropBatch {
+    constructor() {
+        this.batches = new Map(); // Geometry -> material -> matrices
+        this.object = new THREE.Object3D(); // Scratch object for poses
+    }
+    
+    /**
+     * Add a copy of a prop
+     * @param {THREE.BufferGeometry} geometry - Shared geometry
+     * @param {THREE.Material} material - Shared material
+     * @param {THREE.Vector3|Array} position - Position in the block
+     * @param {THREE.Euler|Array} [rotation] - Rotation
+     * @param {THREE.Vector3|number} [scale] - Scale, uniform if a number
+     * @param {THREE.Matrix4} [frame] - Pose of the model the prop is part
+     *     of, if the position is given relative to it
+     */
+    add(geometry, material, position, rotation = null, scale = 1, frame = null) {
+        const object = this.object;
+        object.position.set(0, 0, 0);
+        object.rotation.set(0, 0, 0);
+        object.scale.set(1, 1, 1);
+        
+        if (Array.isArray(position)) {
+            object.position.fromArray(position);
+        } else {
+            object.position.copy(position);
+        }
+        if (Array.isArray(rotation)) {
+            object.rotation.fromArray(rotation);
+        } else if (rotation) {
+            object.rotation.copy(rotation);
+        }
+        if (typeof scale === 'number') {
+            object.scale.setScalar(scale);
+        } else {
+            object.scale.copy(scale);
+        }
+        
+        object.updateMatrix();
+        if (frame) {
+            object.matrix.premultiply(frame);
+        }
+        this.addMatrix(geometry, material, object.matrix);
+    }
+    
+    /**
+     * Add a copy of a prop with an already worked-out pose
+     * @param {THREE.BufferGeometry} geometry - Shared geometry
+     * @param {THREE.Material} material - Shared material
+     * @param {THREE.Matrix4} matrix - Pose in the block
+     */
+    addMatrix(geometry, material, matrix) {
+        let byMaterial = this.batches.get(geometry);
+        if (!byMaterial) {
+            byMaterial = new Map();
+            this.batches.set(geometry, byMaterial);
+        }
+        let matrices = byMaterial.get(material);
+        if (!matrices) {
+            matrices = [];
+            byMaterial.set(material, matrices);
+        }
+        matrices.push(matrix.clone());
+    }
+    
+    /**
+     * Build the instanced meshes and add them to the block
+     * @param {THREE.Group} blockGroup - Block group to add the meshes to
+     * @param {Object} [options] - Shadow flags ({ castShadow, receiveShadow })
+     * @returns {THREE.InstancedMesh[]} Meshes built
+     */
+    build(blockGroup, options = {}) {
+        const meshes = [];
+        for (const [geometry, byMaterial] of this.batches) {
+            for (const [material, matrices] of byMaterial) {
+                const mesh = new THREE.InstancedMesh(geometry, material, matrices.length);
+                matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+                mesh.castShadow = Boolean(options.castShadow);
+                mesh.receiveShadow = Boolean(options.receiveShadow);
+                blockGroup.add(mesh);
+                meshes.push(mesh);
+            }
+        }
+        this.batches.clear();
+        return meshes;
+    }
+}
@@ -4,53 +4,41 @@
 
 import * as THREE from 'three';
 import { COLORS } from '../utils.js';
+import { getGeometry, getMaterial, PropBatch } from './props.js';
 
 /**
  * Create a cross-street
  * @param {THREE.Group} blockGroup - Block group to add street to
  * @param {number} zOffset - Z position offset
  * @param {number} blockWidth - Width of the block
- * @param {Array} obstacles - Array to add obstacle data to
+ * @param {Object} block - Block layout (for the stop signs)
+ * @returns {Object[]} Street lamps ({ position, glow }), positioned in the block
  */
-export function createCrossStreet(blockGroup, zOffset, blockWidth, obstacles) {
+export function createCrossStreet(blockGroup, zOffset, blockWidth, block) {
     // Street
     const street = new THREE.Mesh(
-        new THREE.PlaneGeometry(blockWidth * 3, 10),
-        new THREE.MeshLambertMaterial({ color: COLORS.STREET })
+        getGeometry('PlaneGeometry', blockWidth * 3, 10),
+        getMaterial({ color: COLORS.STREET })
     );
     street.rotation.x = -Math.PI / 2;
     street.position.set(0, 0.06, zOffset);
     street.receiveShadow = true;
     blockGroup.add(street);
     
-    // White lines on the street
+    // White lines on the street, drawn together
     const lineWidth = 0.3;
-    const lineMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
+    const lineGeometry = getGeometry('PlaneGeometry', lineWidth, 9);
+    const lineMaterial = getMaterial({ color: 0xFFFFFF });
+    const lines = new PropBatch();
     
-    // Center line
-    const centerLine = new THREE.Mesh(
-        new THREE.PlaneGeometry(lineWidth, 9),
-        lineMaterial
-    );
-    centerLine.rotation.x = -Math.PI / 2;
-    centerLine.position.set(0, 0.07, zOffset);
-    centerLine.receiveShadow = true;
-    blockGroup.add(centerLine);
-    
-    // Side lines
-    for (let i = -1; i <= 1; i += 2) {
-        const sideLine = new THREE.Mesh(
-            new THREE.PlaneGeometry(lineWidth, 9),
-            lineMaterial
-        );
-        sideLine.rotation.x = -Math.PI / 2;
-        sideLine.position.set(blockWidth * 0.5 * i, 0.07, zOffset);
-        sideLine.receiveShadow = true;
-        blockGroup.add(sideLine);
+    // Center line and side lines
+    for (const lineX of [0, -blockWidth * 0.5, blockWidth * 0.5]) {
+        lines.add(lineGeometry, lineMaterial, [lineX, 0.07, zOffset], [-Math.PI / 2, 0, 0]);
     }
+    lines.build(blockGroup, { receiveShadow: true });
     
     // Add street props
-    addStreetProps(blockGroup, zOffset, blockWidth, obstacles);
+    return addStreetProps(blockGroup, zOffset, blockWidth, block);
 }
 
 /**
@@ -58,46 +46,57 @@ export function createCrossStreet(blockGroup, zOffset, blockWidth, obstacles) {
  * @param {THREE.Group} blockGroup - Block group to add props to
  * @param {number} zOffset - Z position offset
  * @param {number} blockWidth - Width of the block
- * @param {Array} obstacles - Array to add obstacle data to
+ * @param {Object} block - Block layout (for the stop signs)
+ * @returns {Object[]} Street lamps ({ position, glow }), positioned in the block
  */
-function addStreetProps(blockGroup, zOffset, blockWidth, obstacles) {
-    // Street lights
+function addStreetProps(blockGroup, zOffset, blockWidth, block) {
+    // Street lights. The lamps only get a real light when they are near the
+    // player (see LightManager), so the heads glow and a faint cone of light
+    // stands in for it the rest of the time
+    const lamps = [];
     for (let i = -1; i <= 1; i += 2) {
         const lightPole = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.1, 0.1, 4, 8),
-            new THREE.MeshLambertMaterial({ color: 0x333333 })
+            getGeometry('CylinderGeometry', 0.1, 0.1, 4, 8),
+            getMaterial({ color: 0x333333 })
         );
         lightPole.position.set(blockWidth * 0.7 * i, 2, zOffset);
         lightPole.castShadow = true;
         blockGroup.add(lightPole);
         
         const lightHead = new THREE.Mesh(
-            new THREE.BoxGeometry(0.5, 0.3, 0.8),
-            new THREE.MeshLambertMaterial({ color: 0x555555 })
+            getGeometry('BoxGeometry', 0.5, 0.3, 0.8),
+            getMaterial({ color: 0xFFFFCC, emissive: 0xFFEE88 })
         );
         lightHead.position.set(blockWidth * 0.7 * i, 4, zOffset);
         lightHead.castShadow = true;
         blockGroup.add(lightHead);
         
         // Light cone
-        const light = new THREE.PointLight(0xFFFF99, 0.5, 10);
-        light.position.set(blockWidth * 0.7 * i, 4, zOffset);
-        blockGroup.add(light);
+        const glow = new THREE.Mesh(
+            getGeometry('ConeGeometry', 2.5, 4, 16, 1, true),
+            getMaterial({
+                color: 0xFFFF99,
+                transparent: true,
+                opacity: 0.12,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            }, 'MeshBasicMaterial')
+        );
+        glow.position.set(blockWidth * 0.7 * i, 2, zOffset);
+        blockGroup.add(glow);
+        
+        lamps.push({ position: new THREE.Vector3(blockWidth * 0.7 * i, 4, zOffset), glow });
     }
     
-    // Add stop signs at intersections
-    for (let i = -1; i <= 1; i += 2) {
-        for (let j = -1; j <= 1; j += 2) {
-            if (Math.random() > 0.5) {
-                createStopSign(
-                    blockGroup,
-                    blockWidth * 0.5 * i,
-                    zOffset + 4 * j,
-                    obstacles
-                );
-            }
+    // Add stop signs where the layout put them
+    for (const obstacle of block.obstacles) {
+        if (obstacle.type === 'sign') {
+            createStopSign(blockGroup, obstacle.position.x, obstacle.position.z - block.z);
         }
     }
+    
+    return lamps;
 }
 
 /**
@@ -105,15 +104,14 @@ function addStreetProps(blockGroup, zOffset, blockWidth, obstacles) {
  * @param {THREE.Group} blockGroup - Block group to add sign to
  * @param {number} x - X position
  * @param {number} z - Z position
- * @param {Array} obstacles - Array to add obstacle data to
  */
-function createStopSign(blockGroup, x, z, obstacles) {
+function createStopSign(blockGroup, x, z) {
     const signGroup = new THREE.Group();
     
     // Pole
     const pole = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.05, 0.05, 2, 8),
-        new THREE.MeshLambertMaterial({ color: 0x888888 })
+        getGeometry('CylinderGeometry', 0.05, 0.05, 2, 8),
+        getMaterial({ color: 0x888888 })
     );
     pole.position.y = 1;
     pole.castShadow = true;
@@ -121,8 +119,8 @@ function createStopSign(blockGroup, x, z, obstacles) {
     
     // Sign
     const sign = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.3, 0.3, 0.05, 8),
-        new THREE.MeshLambertMaterial({ color: 0xFF0000 })
+        getGeometry('CylinderGeometry', 0.3, 0.3, 0.05, 8),
+        getMaterial({ color: 0xFF0000 })
     );
     sign.position.y = 2;
     sign.rotation.x = Math.PI / 2;
@@ -132,13 +130,4 @@ function createStopSign(blockGroup, x, z, obstacles) {
     // Add to block
     signGroup.position.set(x, 0, z);
     blockGroup.add(signGroup);
-    
-    // Register for collision
-    obstacles.push({
-        position: new THREE.Vector3(x, 0, z + blockGroup.position.z),
-        width: 0.3,
-        height: 2,
-        depth: 0.3,
-        type: 'sign'
-    });
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Traffic models for Paperboy 3D game
+ *
+ * Keeps a model for every vehicle in the simulation's traffic, built from
+ * the shared prop geometry and materials, and moves it between simulation
+ * steps like the player and the papers.
+ */
+
+import * as THREE from 'three';
+import { getGeometry, getMaterial } from './props.js';
+
+const WHEEL_RADIUS = 0.4;
+
+export class TrafficRenderer {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw the traffic in
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.models = new Map(); // Vehicle to its model
+        this.drawDistance = 200; // Vehicles further from the camera are hidden
+    }
+    
+    /**
+     * Bring the models in line with the traffic and place them between the
+     * last two simulation steps
+     * @param {Array<Object>} vehicles - Vehicles in the simulation
+     * @param {number} alpha - How far the current frame is into the next step (0-1)
+     * @param {number} cameraZ - Camera position along the street
+     */
+    render(vehicles, alpha, cameraZ) {
+        const current = new Set(vehicles);
+        for (const [vehicle, model] of this.models) {
+            if (!current.has(vehicle)) {
+                this.scene.remove(model);
+                this.models.delete(vehicle);
+            }
+        }
+        
+        for (const vehicle of vehicles) {
+            let model = this.models.get(vehicle);
+            if (!model) {
+                model = createVehicleModel(vehicle);
+                this.scene.add(model);
+                this.models.set(vehicle, model);
+            }
+            
+            model.position.lerpVectors(vehicle.previousPosition, vehicle.position, alpha);
+            model.rotation.y = vehicle.rotation;
+            model.visible = Math.abs(model.position.z - cameraZ) < this.drawDistance;
+            for (const wheel of model.userData.wheels) {
+                wheel.rotation.x = vehicle.wheelRotation;
+            }
+        }
+    }
+    
+    /**
+     * Remove every model from the scene. Their geometry and materials are
+     * shared props, freed with the rest of them.
+     */
+    dispose() {
+        for (const model of this.models.values()) {
+            this.scene.remove(model);
+        }
+        this.models.clear();
+    }
+}
+
+/**
+ * Build the model for a vehicle, facing +z
+ * @param {Object} vehicle - Vehicle
+ * @returns {THREE.Group} Model
+ */
+function createVehicleModel(vehicle) {
+    const model = new THREE.Group();
+    const paint = getMaterial({ color: vehicle.color });
+    const glass = getMaterial({ color: 0x88CCFF });
+    const width = vehicle.width;
+    const height = vehicle.height;
+    const depth = vehicle.depth;
+    
+    // Everything sits on a chassis just above the wheels
+    const chassisHeight = WHEEL_RADIUS + 0.1;
+    const bodyHeight = height - chassisHeight;
+    
+    switch (vehicle.vehicleType) {
+        case 'van':
+            // One tall box with a windshield up front
+            addBox(model, width, bodyHeight, depth, paint, chassisHeight + bodyHeight / 2, 0);
+            addBox(model, width * 0.9, bodyHeight * 0.35, 0.05, glass, chassisHeight + bodyHeight * 0.7, depth / 2);
+            break;
+        case 'truck': {
+            // Cab up front, a white box behind it
+            const cabDepth = 2;
+            addBox(model, width, bodyHeight * 0.7, cabDepth, paint,
+                chassisHeight + bodyHeight * 0.35, depth / 2 - cabDepth / 2);
+            addBox(model, width * 0.9, bodyHeight * 0.25, 0.05, glass, chassisHeight + bodyHeight * 0.5, depth / 2);
+            addBox(model, width, bodyHeight, depth - cabDepth - 0.2, getMaterial({ color: 0xEEEEEE }),
+                chassisHeight + bodyHeight / 2, -cabDepth / 2 - 0.1);
+            break;
+        }
+        case 'pickup': {
+            // Low body with a cab over the front half and an open bed behind
+            const lowHeight = bodyHeight * 0.45;
+            addBox(model, width, lowHeight, depth, paint, chassisHeight + lowHeight / 2, 0);
+            addBox(model, width * 0.9, bodyHeight - lowHeight, depth * 0.35, paint,
+                chassisHeight + lowHeight + (bodyHeight - lowHeight) / 2, depth * 0.1);
+            addBox(model, width * 0.8, (bodyHeight - lowHeight) * 0.7, 0.05, glass,
+                chassisHeight + lowHeight + (bodyHeight - lowHeight) / 2, depth * 0.1 + depth * 0.175);
+            break;
+        }
+        default: {
+            // Car: body with a cabin on top
+            const lowHeight = bodyHeight * 0.5;
+            addBox(model, width, lowHeight, depth, paint, chassisHeight + lowHeight / 2, 0);
+            addBox(model, width * 0.9, bodyHeight - lowHeight, depth * 0.5, paint,
+                chassisHeight + lowHeight + (bodyHeight - lowHeight) / 2, -depth * 0.1);
+            addBox(model, width * 0.85, (bodyHeight - lowHeight) * 0.8, 0.05, glass,
+                chassisHeight + lowHeight + (bodyHeight - lowHeight) / 2, depth * 0.15);
+            break;
+        }
+    }
+    
+    // Wheels, turned on their side and spun as the vehicle drives. A bar
+    // across each hubcap shows the spin
+    const wheelGeometry = getGeometry('CylinderGeometry', WHEEL_RADIUS, WHEEL_RADIUS, 0.3, 16);
+    const wheelMaterial = getMaterial({ color: 0x111111 });
+    const hubGeometry = getGeometry('CylinderGeometry', WHEEL_RADIUS * 0.55, WHEEL_RADIUS * 0.55, 0.32, 12);
+    const hubMaterial = getMaterial({ color: 0xAAAAAA });
+    const barGeometry = getGeometry('BoxGeometry', 0.06, 0.34, WHEEL_RADIUS);
+    const wheelX = width / 2 + 0.05;
+    const wheelZ = depth / 2 - 0.9;
+    model.userData.wheels = [];
+    for (const [x, z] of [[-wheelX, -wheelZ], [wheelX, -wheelZ], [-wheelX, wheelZ], [wheelX, wheelZ]]) {
+        const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+        wheel.position.set(x, WHEEL_RADIUS, z);
+        wheel.rotation.z = Math.PI / 2;
+        wheel.add(new THREE.Mesh(hubGeometry, hubMaterial));
+        wheel.add(new THREE.Mesh(barGeometry, wheelMaterial));
+        model.add(wheel);
+        model.userData.wheels.push(wheel);
+    }
+    
+    return model;
+}
+
+/**
+ * Add a box of shared geometry to a vehicle model
+ * @param {THREE.Group} model - Vehicle model
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} depth - Depth
+ * @param {THREE.Material} material - Material
+ * @param {number} y - Height of the box's center
+ * @param {number} z - Position of the box's center along the vehicle
+ */
+function addBox(model, width, height, depth, material, y, z) {
+    const mesh = new THREE.Mesh(getGeometry('BoxGeometry', width, height, depth), material);
+    mesh.position.set(0, y, z);
+    mesh.castShadow = true;
+    model.add(mesh);
+}
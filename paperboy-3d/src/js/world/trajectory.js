@@ -0,0 +1,83 @@
+/**
+ * Throw preview for Paperboy 3D game
+ *
+ * While a throw is charging, a dotted arc shows the path the paper would
+ * take, traced by the simulation with the same physics thrown papers use.
+ */
+
+import * as THREE from 'three';
+
+// Most dots in the arc
+const MAX_DOTS = 64;
+
+export class TrajectoryPreview {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw the arc in
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.dotSpacing = 3; // Path points between dots
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_DOTS * 3), 3));
+        geometry.attributes.position.setUsage(THREE.DynamicDrawUsage);
+        
+        this.dots = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: 0xFFFFFF,
+            size: 0.25,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        }));
+        this.dots.frustumCulled = false;
+        this.dots.visible = false;
+        scene.add(this.dots);
+        
+        // Where the paper comes down
+        this.marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.35, 0.5, 16),
+            new THREE.MeshBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        this.marker.rotation.x = -Math.PI / 2;
+        this.marker.visible = false;
+        scene.add(this.marker);
+    }
+    
+    /**
+     * Show the arc along a traced path
+     * @param {Array<THREE.Vector3>} points - Points along the path
+     */
+    show(points) {
+        const positions = this.dots.geometry.attributes.position;
+        let count = 0;
+        for (let i = 0; i < points.length && count < MAX_DOTS; i += this.dotSpacing) {
+            positions.setXYZ(count++, points[i].x, points[i].y, points[i].z);
+        }
+        positions.needsUpdate = true;
+        this.dots.geometry.setDrawRange(0, count);
+        this.dots.visible = true;
+        
+        const end = points[points.length - 1];
+        this.marker.position.set(end.x, end.y + 0.02, end.z);
+        this.marker.visible = true;
+    }
+    
+    /**
+     * Hide the arc
+     */
+    hide() {
+        this.dots.visible = false;
+        this.marker.visible = false;
+    }
+    
+    /**
+     * Remove the arc from the scene and free its GPU resources
+     */
+    dispose() {
+        for (const object of [this.dots, this.marker]) {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Campaign } from '../src/js/campaign.js';
+import { WorldLayout } from '../src/js/core/world.js';
+import { Route } from '../src/js/core/route.js';
+
+const SEED = 1234;
+
+/**
+ * Make the route for a day of a campaign, with its subscribers
+ * @param {Campaign} campaign - Campaign
+ * @returns {Route} Route
+ */
+function createRoute(campaign) {
+    const route = new Route(SEED, new WorldLayout(SEED));
+    if (campaign.subscribers) {
+        route.setSubscribers(campaign.subscribers);
+    }
+    return route;
+}
+
+/**
+ * Deliver to the subscribers on a route
+ * @param {Route} route - Route
+ * @param {Array<number>} [missed] - Subscribers to leave without a paper
+ */
+function deliverAll(route, missed = []) {
+    for (const number of route.getSubscriberList()) {
+        if (!missed.includes(number)) {
+            route.markDelivered(number);
+        }
+    }
+}
+
+test('missed and damaged subscribers cancel, and the day moves on', () => {
+    const campaign = new Campaign(SEED);
+    const route = createRoute(campaign);
+    const [missed, damaged, kept] = route.getSubscriberList();
+    deliverAll(route, [missed]);
+    route.markDamaged(damaged);
+    
+    const summary = campaign.finishDay(route, 120);
+    assert.deepEqual(summary.missed, [missed]);
+    assert.deepEqual(summary.damaged, [damaged]);
+    assert.deepEqual(summary.cancelled, [missed, damaged].sort((a, b) => a - b));
+    assert.equal(summary.delivered, summary.subscribers - 1);
+    assert.equal(summary.score, 120);
+    assert.ok(!summary.perfect);
+    assert.deepEqual(summary.wonBack, []);
+    
+    assert.ok(!campaign.subscribers.includes(missed) && !campaign.subscribers.includes(damaged));
+    assert.ok(campaign.subscribers.includes(kept));
+    assert.equal(campaign.subscribers.length, summary.subscribers - 2);
+    assert.equal(campaign.day, 1);
+    assert.equal(campaign.dayName, 'Tuesday');
+    assert.deepEqual(campaign.summaries, [summary]);
+});
+
+test('a perfect day wins back up to maxWinBacks non-subscribers', () => {
+    const campaign = new Campaign(SEED);
+    const route = createRoute(campaign);
+    deliverAll(route);
+    
+    const summary = campaign.finishDay(route, 300);
+    assert.ok(summary.perfect);
+    assert.deepEqual(summary.cancelled, []);
+    assert.equal(summary.wonBack.length, campaign.maxWinBacks);
+    for (const number of summary.wonBack) {
+        assert.ok(!route.isSubscriber(number));
+        assert.ok(campaign.subscribers.includes(number));
+    }
+    assert.equal(campaign.subscribers.length, summary.subscribers + campaign.maxWinBacks);
+    
+    // Fewer non-subscribers than the limit wins back only those there are
+    const full = new Campaign(SEED);
+    const everyone = createRoute(full);
+    const [left] = everyone.getHouses().map(house => house.number).filter(number => !everyone.isSubscriber(number));
+    everyone.setSubscribers(everyone.getHouses().map(house => house.number).filter(number => number !== left));
+    deliverAll(everyone);
+    assert.deepEqual(full.finishDay(everyone, 0).wonBack, [left]);
+});
+
+test('a replayed week comes out the same', () => {
+    /**
+     * Play a week, delivering everywhere on even days and missing the first
+     * subscriber on odd ones
+     * @returns {Campaign} Finished campaign
+     */
+    const playWeek = () => {
+        const campaign = new Campaign(SEED);
+        while (!campaign.isComplete) {
+            const route = createRoute(campaign);
+            deliverAll(route, campaign.day % 2 === 1 ? route.getSubscriberList().slice(0, 1) : []);
+            campaign.finishDay(route, 100);
+        }
+        return campaign;
+    };
+    
+    const first = playWeek();
+    const second = playWeek();
+    assert.equal(first.day, 7);
+    assert.deepEqual(first.summaries, second.summaries);
+    assert.deepEqual(first.subscribers, second.subscribers);
+    assert.ok(first.summaries.some(summary => summary.wonBack.length > 0));
+    assert.ok(first.summaries.some(summary => summary.cancelled.length > 0));
+});
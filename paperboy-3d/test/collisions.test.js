@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Collider, CollisionRegistry } from '../src/js/core/collisions.js';
+import { WorldLayout } from '../src/js/core/world.js';
+import { Route } from '../src/js/core/route.js';
+import { Simulation } from '../src/js/core/simulation.js';
+import { STEP, NO_INPUT, createSimulation } from './helpers.js';
+
+test('colliders contain points by their shape', () => {
+    const box = new Collider({
+        shape: 'box', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0),
+        width: 2, height: 1, depth: 4
+    });
+    assert.ok(box.containsPoint(new THREE.Vector3(0.9, 0.5, 1.9)));
+    assert.ok(!box.containsPoint(new THREE.Vector3(1.1, 0.5, 0)));
+    assert.ok(!box.containsPoint(new THREE.Vector3(0, 1.5, 0)));
+    
+    const cylinder = new Collider({
+        shape: 'cylinder', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0),
+        radius: 1, height: 2
+    });
+    assert.ok(cylinder.containsPoint(new THREE.Vector3(0.6, 1, 0.6)));
+    assert.ok(!cylinder.containsPoint(new THREE.Vector3(0.8, 1, 0.8)));
+    
+    const sphere = new Collider({
+        shape: 'sphere', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0), radius: 1
+    });
+    assert.ok(sphere.containsPoint(new THREE.Vector3(0, 0.9, 0)));
+    assert.ok(!sphere.containsPoint(new THREE.Vector3(0.8, 0.8, 0)));
+});
+
+test('rotated boxes are hit along their own axes', () => {
+    const box = new Collider({
+        shape: 'box', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0),
+        width: 2, height: 1, depth: 4, rotation: Math.PI / 2
+    });
+    
+    // A quarter turn swaps the long side onto x
+    assert.ok(box.containsPoint(new THREE.Vector3(1.9, 0.5, 0)));
+    assert.ok(!box.containsPoint(new THREE.Vector3(0, 0.5, 1.5)));
+    assert.ok(Math.abs(box.bounds.max.x - 2) < 1e-9);
+});
+
+test('the registry finds colliders by kind and point', () => {
+    const registry = new CollisionRegistry(40, 5);
+    const wall = new Collider({
+        shape: 'box', kind: 'wall', position: new THREE.Vector3(10, 0, 10),
+        width: 5, height: 3.5, depth: 6
+    });
+    const mailbox = new Collider({
+        shape: 'box', kind: 'mailbox', position: new THREE.Vector3(10, 0, 10),
+        width: 1, height: 1, depth: 1
+    });
+    registry.add(wall);
+    registry.add(mailbox);
+    
+    assert.deepEqual(registry.queryPoint(new THREE.Vector3(11, 1, 12), 'wall'), [wall]);
+    assert.deepEqual(registry.queryPoint(new THREE.Vector3(11, 1, 12), 'mailbox'), []);
+    assert.equal(registry.queryPoint(new THREE.Vector3(10, 0.5, 10)).length, 2);
+    
+    registry.remove(wall);
+    assert.deepEqual(registry.queryPoint(new THREE.Vector3(11, 1, 12), 'wall'), []);
+});
+
+test('the world registers colliders as blocks stream in and removes them as they go', () => {
+    const world = new WorldLayout(5);
+    world.generate(new Route(5, world));
+    
+    const colliders = world.blocks.flatMap(block => block.colliders);
+    assert.equal(world.collisions.size, colliders.length);
+    
+    const firstBlock = world.blocks[0];
+    world.update(1000);
+    assert.ok(firstBlock.colliders.every(collider => !world.collisions.has(collider)));
+    assert.equal(world.collisions.size, world.blocks.flatMap(block => block.colliders).length);
+});
+
+test('papers thrown at a house stop at its walls', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const wall = simulation.walls[0];
+    const facing = wall.house.isLeftSide ? 1 : -1;
+    
+    // Aim at the side of the house, clear of the windows and porch
+    const start = wall.position.clone();
+    start.x += facing * (wall.width / 2 + 0.5);
+    start.z += wall.depth / 2 - 0.2;
+    start.y = 2.5;
+    const paper = simulation.createNewspaper(start, new THREE.Vector3(-facing * 20, 0, 0));
+    
+    for (let i = 0; i < 10; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.ok(Math.abs(paper.position.x - wall.position.x) > wall.width / 2);
+});
+
+test('sweeps report where a path first touches each shape', () => {
+    const box = new Collider({
+        shape: 'box', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0),
+        width: 2, height: 1, depth: 2
+    });
+    const boxHit = box.sweep(new THREE.Vector3(-3, 0.5, 0), new THREE.Vector3(3, 0.5, 0));
+    assert.ok(Math.abs(boxHit.point.x + 1) < 1e-9);
+    assert.deepEqual(boxHit.normal.toArray(), [-1, 0, 0]);
+    
+    const cylinder = new Collider({
+        shape: 'cylinder', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0),
+        radius: 0.5, height: 2
+    });
+    const sideHit = cylinder.sweep(new THREE.Vector3(0, 1, -3), new THREE.Vector3(0, 1, 3));
+    assert.ok(Math.abs(sideHit.point.z + 0.5) < 1e-9);
+    assert.ok(sideHit.normal.z < -0.99);
+    const topHit = cylinder.sweep(new THREE.Vector3(0.1, 3, 0), new THREE.Vector3(0.1, 1, 0));
+    assert.deepEqual(topHit.normal.toArray(), [0, 1, 0]);
+    assert.equal(cylinder.sweep(new THREE.Vector3(1, 1, -3), new THREE.Vector3(1, 1, 3)), null);
+    
+    const sphere = new Collider({
+        shape: 'sphere', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0), radius: 1
+    });
+    const sphereHit = sphere.sweep(new THREE.Vector3(0, 5, 0), new THREE.Vector3(0, -5, 0));
+    assert.ok(Math.abs(sphereHit.point.y - 1) < 1e-9);
+});
+
+test('oriented boxes only overlap when their actual shapes do', () => {
+    const car = new Collider({
+        shape: 'box', kind: 'obstacle', position: new THREE.Vector3(0, 0, 0),
+        width: 2, height: 1.7, depth: 4, rotation: Math.PI / 4
+    });
+    const bike = new Collider({
+        shape: 'box', kind: 'player', position: new THREE.Vector3(1.6, 0, -1.6),
+        width: 1, height: 2, depth: 1.5
+    });
+    
+    // Inside the car's bounds but clear of the car itself
+    assert.ok(car.bounds.intersectsBox(bike.bounds));
+    assert.equal(car.overlap(bike), null);
+    
+    bike.moveTo(new THREE.Vector3(0.8, 0, 0.8));
+    const contact = car.overlap(bike);
+    assert.ok(contact);
+    assert.ok(contact.normal.x > 0);
+});
+
+test('fast papers hit thin poles instead of passing through them', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const sign = { position: new THREE.Vector3(0, 0, 5), width: 0.3, height: 2, depth: 0.3, type: 'sign' };
+    simulation.world.addObstacle(sign);
+    
+    // 60 units a second covers a unit per step, more than the pole is thick
+    const paper = simulation.createNewspaper(new THREE.Vector3(-2.4, 1.5, 5), new THREE.Vector3(60, 0, 0));
+    simulation.step(STEP, NO_INPUT);
+    simulation.step(STEP, NO_INPUT);
+    simulation.step(STEP, NO_INPUT);
+    
+    assert.ok(paper.position.x < -0.1);
+    const hit = simulation.drainEvents().find(event => event.type === 'paperHit');
+    assert.ok(hit);
+    assert.ok(hit.normal.x < -0.99);
+});
+
+test('crashes report where the player hit', () => {
+    const simulation = createSimulation();
+    simulation.world.addObstacle({
+        position: new THREE.Vector3(0, 0, 1.5), width: 0.3, height: 2, depth: 0.3, type: 'sign'
+    });
+    
+    for (let i = 0; i < 10; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    const crash = simulation.drainEvents().find(event => event.type === 'crash');
+    assert.ok(crash);
+    assert.ok(crash.normal.z < -0.99);
+    assert.ok(Math.abs(crash.point.z - 1.35) < 1e-6);
+    assert.ok(simulation.player.position.z < 1.5);
+});
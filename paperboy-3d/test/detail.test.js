@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countDrawCalls, createView } from './helpers.js';
+
+/**
+ * Levels of detail the view picked, in block order
+ * @param {WorldView} view - World view
+ * @param {WorldLayout} world - World layout
+ * @returns {string[]} Levels
+ */
+function levels(view, world) {
+    return world.blocks.map((block) => view.blockDetails.get(block).level);
+}
+
+test('blocks get coarser with distance ahead of the camera', () => {
+    const { world, view } = createView(200);
+    const cameraZ = 200 - world.cameraOffset;
+    view.updateDetail(cameraZ);
+    
+    // Coarsest last, with hidden blocks past the impostors
+    const rank = { full: 0, simplified: 1, impostor: 2, culled: 3 };
+    const ahead = world.blocks.filter((block) => block.z + world.blockLength >= cameraZ);
+    const aheadLevels = ahead.map((block) => view.blockDetails.get(block).level);
+    assert.equal(aheadLevels[0], 'full');
+    assert.ok(aheadLevels.includes('simplified'));
+    assert.ok(aheadLevels.includes('impostor'));
+    for (let i = 1; i < aheadLevels.length; i++) {
+        assert.ok(rank[aheadLevels[i]] >= rank[aheadLevels[i - 1]], `${aheadLevels[i]} after ${aheadLevels[i - 1]}`);
+    }
+});
+
+test('blocks behind the camera and past the last level are hidden', () => {
+    const { world, view } = createView(200);
+    view.detailDistances = { full: 40, simplified: 80, impostor: 120 };
+    const cameraZ = 200 - world.cameraOffset;
+    view.updateDetail(cameraZ);
+    
+    for (const block of world.blocks) {
+        const group = view.blockGroups.get(block);
+        const behind = block.z + world.blockLength < cameraZ - view.cullBehind;
+        const far = block.z - world.streetWidth - cameraZ > 120;
+        assert.equal(group.visible, !behind && !far);
+    }
+    assert.ok(levels(view, world).includes('culled'));
+});
+
+test('each level shows only its own models', () => {
+    const { scene, world, view } = createView(0);
+    const fullCalls = countDrawCalls(scene);
+    
+    for (const [level, distances] of [
+        ['simplified', { full: -1, simplified: 1000, impostor: 1000 }],
+        ['impostor', { full: -1, simplified: -1, impostor: 1000 }]
+    ]) {
+        view.detailDistances = distances;
+        view.updateDetail(-world.cameraOffset);
+        assert.ok(levels(view, world).every((each) => each === level));
+        
+        for (const blockDetail of view.blockDetails.values()) {
+            assert.equal(blockDetail.details.visible, false);
+            assert.equal(blockDetail.model.visible, level === 'simplified');
+            assert.equal(blockDetail.impostor.visible, level === 'impostor');
+        }
+    }
+    
+    // A handful of instanced shapes per block at the coarsest level
+    assert.ok(countDrawCalls(scene) <= world.blocks.length * 8);
+    assert.ok(countDrawCalls(scene) < fullCalls / 5);
+});
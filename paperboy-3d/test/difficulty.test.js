@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/js/core/simulation.js';
+import { Difficulty } from '../src/js/core/difficulty.js';
+import { STEP, NO_INPUT, rideAlong } from './helpers.js';
+
+/**
+ * Count the drains and parked cars laid out in a block
+ * @param {Object} block - Block layout
+ * @returns {number} Drains plus cars
+ */
+function countStreetObstacles(block) {
+    return block.obstacles.filter(obstacle => obstacle.type === 'drain').length + block.vehicles.length;
+}
+
+test('the level climbs block by block, from where the preset and day start it', () => {
+    const easy = new Difficulty('easy');
+    const normal = new Difficulty('normal');
+    const hard = new Difficulty('hard');
+    
+    assert.ok(easy.levelAt(0) < normal.levelAt(0) && normal.levelAt(0) < hard.levelAt(0));
+    for (let i = 1; i < 10; i++) {
+        assert.ok(normal.levelAt(i) > normal.levelAt(i - 1));
+    }
+    assert.ok(new Difficulty('normal', 1).levelAt(0) > normal.levelAt(0));
+    assert.equal(hard.levelAt(1000), 1);
+    
+    // Unknown presets fall back to normal
+    assert.equal(new Difficulty('impossible').levelAt(3), normal.levelAt(3));
+});
+
+test('harder presets lay out busier streets with tighter mailboxes', () => {
+    const easy = new Simulation({ seed: 1234, difficultyPreset: 'easy' });
+    const hard = new Simulation({ seed: 1234, difficultyPreset: 'hard', difficulty: 1 });
+    
+    const count = (simulation, blockCount) => simulation.world.blocks
+        .filter(block => !block.isPark)
+        .reduce((total, block) => total + blockCount(block), 0);
+    assert.ok(count(hard, countStreetObstacles) > count(easy, countStreetObstacles));
+    
+    const hills = block => block.obstacles.filter(obstacle => obstacle.type === 'hill').length;
+    const park = simulation => simulation.world.blocks.find(block => block.isPark);
+    assert.ok(hills(park(hard)) > hills(park(easy)));
+    
+    const reach = simulation => simulation.world.blocks[1].colliders.find(collider => collider.kind === 'mailbox').width;
+    assert.ok(reach(hard) < reach(easy));
+    assert.ok(hard.hazards.hazards.length > easy.hazards.hazards.length);
+});
+
+test('further blocks are busier on the same preset', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const blocks = simulation.world.blocks.filter(block => !block.isPark && block.index > 0);
+    const first = blocks[0];
+    const last = blocks[blocks.length - 1];
+    
+    assert.ok(last.difficulty > first.difficulty);
+    assert.ok(countStreetObstacles(last) > countStreetObstacles(first));
+});
+
+test('the bike cruises faster further along the street', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const player = simulation.player;
+    const startSpeed = player.cruiseSpeed;
+    assert.equal(player.speed, startSpeed);
+    
+    player.position.z = simulation.world.blockPitch * 8;
+    player.previousPosition.copy(player.position);
+    player.makeInvincible(10);
+    simulation.step(STEP, NO_INPUT);
+    assert.ok(player.cruiseSpeed > startSpeed);
+    assert.ok(player.cruiseSpeed <= simulation.baseCruiseSpeed * simulation.maxPace);
+});
+
+test('live traffic and hazards get busier the further the ride goes', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const world = simulation.world;
+    
+    /**
+     * Count what is out on the street in view ahead of the player
+     * @returns {Object} Main-street vehicles and hazards ({ vehicles, hazards })
+     */
+    const countAhead = () => {
+        const playerZ = simulation.player.position.z;
+        const inView = (thing) => thing.position.z > playerZ && thing.position.z < playerZ + world.viewDistance;
+        return {
+            vehicles: simulation.traffic.vehicles.filter(vehicle => vehicle.direction.z !== 0 && inView(vehicle)).length,
+            hazards: simulation.hazards.hazards.filter(inView).length
+        };
+    };
+    
+    const start = countAhead();
+    rideAlong(simulation, 1000);
+    const later = countAhead();
+    assert.ok(later.vehicles > start.vehicles);
+    assert.ok(later.hazards > start.hazards);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SpatialGrid } from '../src/js/core/grid.js';
+
+/**
+ * Bounds of a rectangle around a point on the ground
+ * @param {THREE.Vector3} position - Center
+ * @param {number} halfWidth - Half the extent along x
+ * @param {number} halfDepth - Half the extent along z
+ * @returns {Object} Bounds ({ minX, maxX, minZ, maxZ })
+ */
+function boundsAround(position, halfWidth, halfDepth) {
+    return {
+        minX: position.x - halfWidth,
+        maxX: position.x + halfWidth,
+        minZ: position.z - halfDepth,
+        maxZ: position.z + halfDepth
+    };
+}
+
+test('queries find entries near a region and nothing far away', () => {
+    const grid = new SpatialGrid(40, 5);
+    const near = { name: 'near' };
+    const far = { name: 'far' };
+    grid.insert(near, boundsAround(new THREE.Vector3(1, 0, 10), 0.5, 0.5));
+    grid.insert(far, boundsAround(new THREE.Vector3(1, 0, 200), 0.5, 0.5));
+    
+    const found = grid.query(boundsAround(new THREE.Vector3(0, 0, 10), 1, 1));
+    assert.deepEqual(found, [near]);
+});
+
+test('entries spanning several cells are found from any of them, once', () => {
+    const grid = new SpatialGrid(40, 5);
+    const wide = { name: 'wide' };
+    grid.insert(wide, { minX: -12, maxX: 12, minZ: 35, maxZ: 45 });
+    
+    assert.deepEqual(grid.query(boundsAround(new THREE.Vector3(-11, 0, 36), 0, 0)), [wide]);
+    assert.deepEqual(grid.query(boundsAround(new THREE.Vector3(11, 0, 44), 0, 0)), [wide]);
+    assert.deepEqual(grid.query({ minX: -20, maxX: 20, minZ: 0, maxZ: 80 }), [wide]);
+});
+
+test('removed entries are gone from every cell', () => {
+    const grid = new SpatialGrid(40, 5);
+    const entry = {};
+    grid.insert(entry, { minX: -12, maxX: 12, minZ: 35, maxZ: 45 });
+    grid.remove(entry);
+    
+    assert.equal(grid.size, 0);
+    assert.equal(grid.cells.size, 0);
+    assert.deepEqual(grid.query({ minX: -20, maxX: 20, minZ: 0, maxZ: 80 }), []);
+});
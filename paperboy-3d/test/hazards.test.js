@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Simulation } from '../src/js/core/simulation.js';
+import { STEP, NO_INPUT, createSimulation, removeTraffic, rideAlong } from './helpers.js';
+
+/**
+ * Create a simulation with one kind of hazard and nothing else on the street
+ * @param {string} type - Hazard type to keep
+ * @returns {Simulation} Simulation
+ */
+function createStreetWith(type) {
+    const simulation = createSimulation({ difficulty: 1 }, [type]);
+    removeTraffic(simulation);
+    for (const hazard of [...simulation.hazards.hazards]) {
+        if (hazard.type !== type) {
+            simulation.hazards.removeHazard(hazard);
+        }
+    }
+    return simulation;
+}
+
+/**
+ * Count the hazards sent out on a seed
+ * @param {number} difficulty - Difficulty
+ * @returns {number} Hazards on the street at the start
+ */
+function countHazards(difficulty) {
+    return new Simulation({ seed: 1234, difficulty }).hazards.hazards.length;
+}
+
+test('harder days send out more hazards, the same on the same seed', () => {
+    assert.ok(countHazards(1) > countHazards(0));
+    assert.equal(countHazards(0.5), countHazards(0.5));
+    
+    const simulation = new Simulation({ seed: 1234, difficulty: 1 });
+    const types = new Set(simulation.hazards.hazards.map((hazard) => hazard.type));
+    assert.deepEqual([...types].sort(), ['dog', 'jogger', 'lawnmower', 'skateboarder']);
+    
+    // The start of the street is kept clear, and every hazard is an obstacle
+    for (const hazard of simulation.hazards.hazards) {
+        assert.ok(hazard.position.z > simulation.world.blockPitch - simulation.world.streetWidth);
+        assert.ok(simulation.world.obstacleColliders.has(hazard));
+    }
+});
+
+test('dogs chase the player past their house, then go home', () => {
+    const simulation = createStreetWith('dog');
+    const dog = simulation.hazards.hazards[0];
+    const player = simulation.player;
+    player.position.set(dog.position.x > 0 ? 4 : -4, player.playerHeight, dog.position.z - 6);
+    player.previousPosition.copy(player.position);
+    player.makeInvincible();
+    
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(dog.state, 'chasing');
+    
+    const before = dog.position.distanceTo(player.position);
+    simulation.step(STEP, NO_INPUT);
+    assert.ok(dog.position.distanceTo(player.position) < before + player.speed * STEP);
+    
+    // The player rides on out of reach
+    const away = { position: dog.home.clone().setZ(dog.home.z + 30) };
+    for (let i = 0; i < 900; i++) {
+        simulation.hazards.update(STEP, away);
+    }
+    assert.equal(dog.state, 'home');
+    assert.ok(dog.position.distanceTo(dog.home) < 0.1);
+});
+
+test('joggers stay on their sidewalk and skateboarders cross the street', () => {
+    const simulation = createStreetWith('jogger');
+    const jogger = simulation.hazards.hazards.find((hazard) => hazard.position.x !== 0);
+    const x = jogger.position.x;
+    const z = jogger.position.z;
+    for (let i = 0; i < 120; i++) {
+        simulation.hazards.update(STEP, simulation.player);
+    }
+    assert.equal(jogger.position.x, x);
+    assert.notEqual(jogger.position.z, z);
+    assert.ok(simulation.world.obstacleColliders.get(jogger).position.equals(jogger.position));
+    
+    const street = createStreetWith('skateboarder');
+    const skateboarder = street.hazards.hazards[0];
+    const side = Math.sign(skateboarder.position.x);
+    for (let i = 0; i < 180; i++) {
+        street.hazards.update(STEP, street.player);
+    }
+    assert.equal(Math.sign(skateboarder.position.x), -side);
+});
+
+test('a paper knocks a hazard out, and it can be ridden past until it comes round', () => {
+    const simulation = createStreetWith('lawnmower');
+    const lawnmower = simulation.hazards.hazards[0];
+    const { x, z } = lawnmower.position;
+    simulation.createNewspaper(new THREE.Vector3(x, 1.5, z), new THREE.Vector3(0, -10, 0));
+    
+    for (let i = 0; i < 30 && lawnmower.stunTimer <= 0; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.ok(lawnmower.stunTimer > 0);
+    assert.ok(simulation.drainEvents().some((event) => event.type === 'hazardHit' && event.hazard === lawnmower));
+    
+    // Knocked out: it stays put and the player rides through it
+    const position = lawnmower.position.clone();
+    const player = simulation.player;
+    player.position.set(position.x, player.playerHeight, position.z - 1);
+    simulation.step(STEP, NO_INPUT);
+    assert.ok(lawnmower.position.equals(position));
+    assert.equal(simulation.lives, 3);
+    
+    // Back on its wheels, it is a crash again
+    lawnmower.stunTimer = 0;
+    player.position.set(lawnmower.position.x, player.playerHeight, lawnmower.position.z - 1);
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.lives, 2);
+});
+
+test('hazards keep turning up past the first stretch of street', () => {
+    const simulation = new Simulation({ seed: 1234, difficulty: 1 });
+    const world = simulation.world;
+    rideAlong(simulation, 1000);
+    
+    const playerZ = simulation.player.position.z;
+    const ahead = simulation.hazards.hazards.filter((hazard) => hazard.position.z > playerZ);
+    assert.ok(ahead.length > 0);
+    assert.ok(ahead.every((hazard) => hazard.position.z > world.viewDistance + world.blockPitch));
+});
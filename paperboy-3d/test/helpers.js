@@ -0,0 +1,96 @@
+/**
+ * Shared fixtures for the Paperboy 3D tests
+ */
+
+import * as THREE from 'three';
+import { WorldView } from '../src/js/world/blocks.js';
+import { Simulation } from '../src/js/core/simulation.js';
+
+// Length of one simulation step, as the game runs it
+export const STEP = 1 / 60;
+
+// Nothing held or pressed
+export const NO_INPUT = {
+    left: false,
+    right: false,
+    up: false,
+    down: false,
+    throwLeft: false,
+    throwRight: false,
+    throwPaper: false
+};
+
+/**
+ * Create a simulation on the test seed with the obstacles cleared off the
+ * street, so nothing is in the player's way
+ * @param {Object} [options] - Extra simulation options
+ * @param {Array<string>} [keepTypes] - Obstacle types to leave in place
+ * @returns {Simulation} Simulation
+ */
+export function createSimulation(options = {}, keepTypes = []) {
+    const simulation = new Simulation({ seed: 1234, ...options });
+    for (const obstacle of [...simulation.obstacles]) {
+        if (!keepTypes.includes(obstacle.type)) {
+            simulation.world.removeObstacle(obstacle);
+        }
+    }
+    return simulation;
+}
+
+/**
+ * Take all the traffic off the road
+ * @param {Simulation} simulation - Simulation to clear
+ */
+export function removeTraffic(simulation) {
+    for (const vehicle of [...simulation.traffic.vehicles]) {
+        simulation.traffic.removeVehicle(vehicle);
+    }
+}
+
+/**
+ * Count the draw calls a scene makes without frustum culling: one per
+ * material of every visible mesh, instanced or not
+ * @param {THREE.Object3D} object - Object to count under
+ * @returns {number} Draw calls
+ */
+export function countDrawCalls(object) {
+    let calls = 0;
+    object.traverseVisible((child) => {
+        if (child.isMesh) {
+            calls += Array.isArray(child.material) ? child.material.length : 1;
+        }
+    });
+    return calls;
+}
+
+/**
+ * Build the view of a world with the player some way down the street
+ * @param {number} [playerZ] - Player position along the street
+ * @returns {Object} Scene, world layout and view ({ scene, world, view })
+ */
+export function createView(playerZ = 0) {
+    const scene = new THREE.Scene();
+    const world = new Simulation({ seed: 1234 }).world;
+    world.update(playerZ);
+    const view = new WorldView(scene);
+    view.sync(world);
+    return { scene, world, view };
+}
+
+/**
+ * Carry the player a long way up the street, streaming the world in and
+ * moving the traffic and hazards as they go, without riding into anything
+ * @param {Simulation} simulation - Simulation
+ * @param {number} distance - How far to go
+ * @param {number} [speed] - How fast, in units per second
+ */
+export function rideAlong(simulation, distance, speed = 10) {
+    const player = simulation.player;
+    const end = player.position.z + distance;
+    while (player.position.z < end) {
+        player.position.z += speed * STEP;
+        simulation.world.update(player.position.z);
+        simulation.traffic.update(STEP, player.position.z);
+        simulation.hazards.update(STEP, player);
+    }
+}
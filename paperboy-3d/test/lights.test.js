@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LightManager } from '../src/js/world/lights.js';
+import { createView } from './helpers.js';
+
+/**
+ * Count the point lights in a scene
+ * @param {THREE.Scene} scene - Scene to look in
+ * @returns {number} Point lights
+ */
+function countPointLights(scene) {
+    let count = 0;
+    scene.traverse((child) => {
+        if (child.isPointLight) count++;
+    });
+    return count;
+}
+
+test('blocks add no lights of their own, only lamps to be lit', () => {
+    const { scene, world, view } = createView();
+    
+    assert.equal(countPointLights(scene), 0);
+    assert.equal(view.lamps.length, 2 * world.blocks.filter((block) => block.index > 0).length);
+    
+    // Lamps of a removed block go with it
+    const second = world.blocks[1];
+    view.removeBlock(second);
+    assert.ok(view.lamps.every((lamp) => Math.abs(lamp.position.z - second.z) > world.blockPitch / 2));
+});
+
+test('only the nearest lamps get real lights and the rest glow instead', () => {
+    const { scene, view } = createView();
+    const lights = new LightManager(scene, 4);
+    const position = new THREE.Vector3(0, 1, 100);
+    lights.update(view.lamps, position);
+    
+    assert.equal(countPointLights(scene), 4);
+    const lit = view.lamps.filter((lamp) => !lamp.glow.visible);
+    assert.equal(lit.length, 4);
+    
+    const farthestLit = Math.max(...lit.map((lamp) => lamp.position.distanceTo(position)));
+    for (const lamp of view.lamps.filter((lamp) => lamp.glow.visible)) {
+        assert.ok(lamp.position.distanceTo(position) >= farthestLit);
+    }
+    for (const light of lights.lights) {
+        assert.ok(lit.some((lamp) => lamp.position.equals(light.position)));
+    }
+});
+
+test('changing the light count keeps the lights in the scene at that count', () => {
+    const { scene, view } = createView();
+    const lights = new LightManager(scene, 8);
+    lights.setCount(2);
+    lights.update(view.lamps, new THREE.Vector3(0, 1, 0));
+    
+    assert.equal(countPointLights(scene), 2);
+    assert.equal(view.lamps.filter((lamp) => !lamp.glow.visible).length, 2);
+    
+    // Spare lights go dark rather than leaving the scene
+    lights.setCount(6);
+    lights.update(view.lamps.slice(0, 3), new THREE.Vector3(0, 1, 0));
+    assert.equal(countPointLights(scene), 6);
+    assert.equal(lights.lights.filter((light) => light.intensity === 0).length, 3);
+});
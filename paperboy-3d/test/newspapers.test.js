@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { NewspaperRenderer } from '../src/js/world/newspapers.js';
+
+/**
+ * Make a paper in play, as far as the renderer looks at one
+ * @param {number} x - Position across the street
+ * @returns {Object} Newspaper
+ */
+function createPaper(x) {
+    return {
+        position: new THREE.Vector3(x, 1, 0),
+        previousPosition: new THREE.Vector3(x, 1, 0),
+        rotation: new THREE.Vector3(),
+        previousRotation: new THREE.Vector3()
+    };
+}
+
+test('more papers than the mesh has room for are all still drawn', () => {
+    const scene = new THREE.Scene();
+    const renderer = new NewspaperRenderer(scene, 4);
+    const papers = Array.from({ length: renderer.capacity + 10 }, (_, i) => createPaper(i));
+    
+    renderer.render(papers, 1);
+    assert.equal(renderer.mesh.count, papers.length);
+    assert.ok(renderer.capacity >= papers.length);
+    
+    // The old mesh is gone, leaving one draw call for every paper
+    assert.equal(scene.children.length, 1);
+    const matrix = new THREE.Matrix4();
+    renderer.mesh.getMatrixAt(papers.length - 1, matrix);
+    assert.equal(new THREE.Vector3().setFromMatrixPosition(matrix).x, papers.length - 1);
+    
+    renderer.dispose();
+    assert.equal(scene.children.length, 0);
+});
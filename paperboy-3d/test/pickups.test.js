@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { WorldLayout } from '../src/js/core/world.js';
+import { Route } from '../src/js/core/route.js';
+import { POWER_UP_TYPES } from '../src/js/core/powerups.js';
+import { STEP, NO_INPUT, createSimulation } from './helpers.js';
+
+/**
+ * Find the first pickup of a type in a simulation
+ * @param {Simulation} simulation - Simulation to search
+ * @param {string} type - Pickup type
+ * @returns {Object} Pickup
+ */
+function findPickup(simulation, type) {
+    return simulation.pickups.find(pickup => pickup.type === type);
+}
+
+/**
+ * Ride over a power-up of a type, then move off the street onto a lawn,
+ * clear of any more pickups
+ * @param {Simulation} simulation - Simulation
+ * @param {string} powerUp - Power-up type
+ */
+function collectPowerUp(simulation, powerUp) {
+    const pickup = simulation.pickups.find(pickup => pickup.type === 'powerUp' && !pickup.collected);
+    pickup.powerUp = powerUp;
+    rideOver(simulation, pickup);
+    assert.ok(simulation.powerUps.isActive(powerUp));
+    
+    simulation.player.position.x = 14;
+    simulation.player.previousPosition.copy(simulation.player.position);
+}
+
+/**
+ * Put the player on top of a pickup and take one step
+ * @param {Simulation} simulation - Simulation
+ * @param {Object} pickup - Pickup to ride over
+ */
+function rideOver(simulation, pickup) {
+    simulation.player.position.x = pickup.position.x;
+    simulation.player.position.z = pickup.position.z - 0.1;
+    simulation.player.previousPosition.copy(simulation.player.position);
+    simulation.step(STEP, NO_INPUT);
+}
+
+test('bundles lie on the sidewalks and in every park, the same for a seed', () => {
+    const layout = (seed) => {
+        const world = new WorldLayout(seed);
+        world.generate(new Route(seed, world));
+        return world;
+    };
+    const world = layout(77);
+    
+    const bundles = world.pickups.filter(pickup => pickup.type === 'bundle');
+    assert.ok(bundles.length > 0);
+    assert.deepEqual(bundles.map(bundle => bundle.position.toArray()),
+        layout(77).pickups.filter(pickup => pickup.type === 'bundle').map(bundle => bundle.position.toArray()));
+    
+    for (const block of world.blocks) {
+        const blockBundles = block.pickups.filter(pickup => pickup.type === 'bundle');
+        if (block.index === 0) {
+            assert.equal(blockBundles.length, 0);
+        } else if (block.isPark) {
+            assert.equal(blockBundles.length, 1);
+            assert.ok(Math.abs(blockBundles[0].position.x) < 5);
+        } else {
+            for (const bundle of blockBundles) {
+                assert.equal(Math.abs(bundle.position.x), world.blockWidth / 4 + 1.5);
+            }
+        }
+    }
+});
+
+test('riding over a bundle tops the bag up to its capacity', () => {
+    const simulation = createSimulation({ papers: 25, bagCapacity: 30 });
+    const bundle = findPickup(simulation, 'bundle');
+    
+    rideOver(simulation, bundle);
+    assert.equal(simulation.papers, 30);
+    assert.ok(bundle.collected);
+    assert.ok(simulation.drainEvents().some(event => event.type === 'pickup' && event.papers === 5));
+    
+    // Gone once picked up
+    simulation.papers = 10;
+    rideOver(simulation, bundle);
+    assert.equal(simulation.papers, 10);
+});
+
+test('a full bag leaves bundles where they are', () => {
+    const simulation = createSimulation();
+    const bundle = findPickup(simulation, 'bundle');
+    
+    rideOver(simulation, bundle);
+    assert.equal(simulation.papers, simulation.bagCapacity);
+    assert.ok(!bundle.collected);
+});
+
+test('power-ups run out after their time', () => {
+    const simulation = createSimulation();
+    collectPowerUp(simulation, 'slowMotion');
+    assert.equal(simulation.timeScale, simulation.powerUps.slowMotionScale);
+    
+    for (let i = 0; i < POWER_UP_TYPES.slowMotion.duration / STEP + 1; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.ok(!simulation.powerUps.isActive('slowMotion'));
+    assert.equal(simulation.timeScale, 1);
+    assert.ok(simulation.drainEvents().some(event => event.type === 'powerUpEnded' && event.powerUp === 'slowMotion'));
+});
+
+test('a speed boost speeds the bike up, and a shield rides through obstacles', () => {
+    const simulation = createSimulation();
+    collectPowerUp(simulation, 'speed');
+    collectPowerUp(simulation, 'shield');
+    assert.ok(simulation.player.isShielded);
+    
+    const position = simulation.player.position;
+    simulation.world.addObstacle({
+        position: new THREE.Vector3(position.x, 0, position.z + 3),
+        width: 2,
+        height: 1,
+        depth: 2,
+        type: 'car'
+    });
+    for (let i = 0; i < 120; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.ok(simulation.player.speed > simulation.player.cruiseSpeed * 1.2);
+    assert.equal(simulation.lives, 3);
+});
+
+test('a spread throw sends three papers for one', () => {
+    const simulation = createSimulation();
+    collectPowerUp(simulation, 'spread');
+    const papers = simulation.papers;
+    
+    simulation.step(STEP, { ...NO_INPUT, throwPaper: true });
+    assert.equal(simulation.papers, papers - 1);
+    assert.equal(simulation.newspapers.length, 3);
+    const directions = simulation.newspapers.map(newspaper => Math.atan2(newspaper.velocity.z, newspaper.velocity.x));
+    assert.equal(new Set(directions).size, 3);
+});
+
+test('the magnet curves papers into the nearest mailbox', () => {
+    const simulation = createSimulation();
+    const mailbox = simulation.mailboxes.find(mailbox => mailbox.position.z > 10);
+    const side = Math.sign(mailbox.position.x);
+    
+    /**
+     * Lob a paper at the house, short and wide of its mailbox
+     * @returns {Array<Object>} Deliveries it made
+     */
+    const throwWide = () => {
+        const start = new THREE.Vector3(mailbox.position.x / 2, 2, mailbox.position.z + 3);
+        const newspaper = simulation.createNewspaper(start, new THREE.Vector3(side * 8, 7, 0));
+        for (let i = 0; i < 120 && newspaper.thrown; i++) {
+            simulation.player.position.z = 0;
+            simulation.step(STEP, NO_INPUT);
+        }
+        return simulation.drainEvents().filter(event => event.type === 'delivery');
+    };
+    
+    assert.ok(!throwWide().some(delivery => delivery.points === 20));
+    collectPowerUp(simulation, 'magnet');
+    assert.ok(throwWide().some(delivery => delivery.points === 20 && delivery.house === mailbox.house));
+});
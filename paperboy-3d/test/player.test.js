@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlayerState } from '../src/js/core/player.js';
+import { STEP, NO_INPUT } from './helpers.js';
+
+/**
+ * Ride with the same controls held for a while
+ * @param {PlayerState} player - Player
+ * @param {Object} input - Controls held
+ * @param {number} seconds - How long to ride for
+ */
+function ride(player, input, seconds) {
+    for (let i = 0; i < seconds / STEP; i++) {
+        player.applyInput({ ...NO_INPUT, ...input });
+        player.update(STEP);
+    }
+}
+
+test('pedalling speeds the bike up, braking slows it, and it drifts back to cruising', () => {
+    const player = new PlayerState();
+    ride(player, NO_INPUT, 1);
+    assert.equal(player.speed, player.cruiseSpeed);
+    
+    ride(player, { up: true }, 0.5);
+    assert.ok(player.speed > player.cruiseSpeed && player.speed < player.maxSpeed);
+    ride(player, { up: true }, 5);
+    assert.equal(player.speed, player.maxSpeed);
+    
+    ride(player, { down: true }, 5);
+    assert.equal(player.speed, player.minSpeed);
+    
+    ride(player, NO_INPUT, 5);
+    assert.equal(player.speed, player.cruiseSpeed);
+    assert.equal(player.velocity.z, player.speed);
+});
+
+test('steering builds up sideways speed and friction takes it away', () => {
+    const player = new PlayerState();
+    
+    // Left on screen is +x, with the camera looking up the street
+    ride(player, { left: true }, STEP);
+    assert.ok(player.velocity.x > 0 && player.velocity.x < 1);
+    ride(player, { left: true }, 1);
+    const topSpeed = player.steerAcceleration / player.steerFriction;
+    assert.ok(player.velocity.x > topSpeed * 0.9 && player.velocity.x <= topSpeed);
+    
+    ride(player, NO_INPUT, 2);
+    assert.equal(player.velocity.x, 0);
+    assert.equal(player.heading, 0);
+    
+    ride(player, { right: true }, 0.5);
+    assert.ok(player.velocity.x < 0);
+});
+
+test('the bike leans into turns and its wheels roll with its speed', () => {
+    const player = new PlayerState();
+    ride(player, { right: true }, 1);
+    assert.ok(player.lean > 0.8 * player.maxLean);
+    
+    ride(player, { left: true }, 1);
+    assert.ok(player.lean < -0.8 * player.maxLean);
+    
+    ride(player, NO_INPUT, 2);
+    assert.ok(Math.abs(player.lean) < 0.01);
+    
+    const before = player.wheelRotation;
+    ride(player, NO_INPUT, 1);
+    assert.ok(Math.abs(player.wheelRotation - before - player.cruiseSpeed / player.wheelRadius) < 0.01);
+});
+
+test('the bike stops against the edge of the street', () => {
+    const player = new PlayerState();
+    ride(player, { left: true }, 5);
+    assert.equal(player.position.x, 15);
+    assert.ok(player.velocity.x < player.steerAcceleration * STEP + 1e-9);
+});
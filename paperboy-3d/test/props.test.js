@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getGeometry, getMaterial, PropBatch } from '../src/js/world/props.js';
+import { disposeObject } from '../src/js/utils.js';
+import { countDrawCalls, createView } from './helpers.js';
+
+test('geometries and materials are shared by their parameters', () => {
+    assert.equal(getGeometry('BoxGeometry', 1, 2, 3), getGeometry('BoxGeometry', 1, 2, 3));
+    assert.notEqual(getGeometry('BoxGeometry', 1, 2, 3), getGeometry('BoxGeometry', 3, 2, 1));
+    assert.equal(getMaterial({ color: 0x123456 }), getMaterial({ color: 0x123456 }));
+    assert.notEqual(getMaterial({ color: 0x123456 }), getMaterial({ color: 0x123456, emissive: 0x111111 }));
+});
+
+test('a batch builds one instanced mesh per geometry and material', () => {
+    const group = new THREE.Group();
+    const batch = new PropBatch();
+    const geometry = getGeometry('BoxGeometry', 1, 1, 1);
+    const red = getMaterial({ color: 0xFF0000 });
+    const blue = getMaterial({ color: 0x0000FF });
+    batch.add(geometry, red, [1, 0, 0]);
+    batch.add(geometry, red, [2, 0, 0]);
+    batch.add(geometry, blue, [0, 0, 5], null, 2);
+    
+    const meshes = batch.build(group);
+    assert.equal(meshes.length, 2);
+    assert.equal(group.children.length, 2);
+    
+    const redMesh = meshes.find((mesh) => mesh.material === red);
+    assert.equal(redMesh.count, 2);
+    const matrix = new THREE.Matrix4();
+    redMesh.getMatrixAt(1, matrix);
+    assert.deepEqual(new THREE.Vector3().setFromMatrixPosition(matrix).toArray(), [2, 0, 0]);
+});
+
+test('props placed in a frame end up posed with it', () => {
+    const group = new THREE.Group();
+    const batch = new PropBatch();
+    const frame = new THREE.Matrix4().makeRotationY(Math.PI / 2).setPosition(10, 0, 20);
+    batch.add(getGeometry('BoxGeometry', 1, 1, 1), getMaterial({ color: 0xFF0000 }), [0, 1, 2], null, 1, frame);
+    
+    const [mesh] = batch.build(group);
+    const matrix = new THREE.Matrix4();
+    mesh.getMatrixAt(0, matrix);
+    const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+    assert.ok(position.distanceTo(new THREE.Vector3(12, 1, 20)) < 1e-9);
+});
+
+test('world blocks share their props and draw far fewer meshes', () => {
+    const { scene, world } = createView();
+    
+    const geometries = new Set();
+    scene.traverse((child) => {
+        if (child.isMesh) geometries.add(child.geometry);
+    });
+    
+    // About 180 draw calls a block used to be made, one per mesh; houses,
+    // mailboxes and small props are now instanced across the block
+    assert.ok(countDrawCalls(scene) < world.blocks.length * 80);
+    assert.ok(geometries.size < 100);
+});
+
+test('removing a block leaves shared geometry and materials alone', () => {
+    const geometry = getGeometry('BoxGeometry', 4, 4, 4);
+    const material = getMaterial({ color: 0x00FF00 });
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(geometry, material));
+    
+    let disposed = 0;
+    geometry.addEventListener('dispose', () => disposed++);
+    material.addEventListener('dispose', () => disposed++);
+    disposeObject(group);
+    
+    assert.equal(disposed, 0);
+});
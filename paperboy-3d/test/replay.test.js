@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Recording } from '../src/js/core/recording.js';
+import { Replay } from '../src/js/core/replay.js';
+import { STEP } from './helpers.js';
+
+/**
+ * Play a scripted run, recording its input
+ * @param {number} steps - Number of steps to play
+ * @returns {Object} The recording and the simulation it was made from
+ */
+function recordRun(steps) {
+    const recording = new Recording({ seed: 99, options: { papers: 50 }, timeStep: STEP });
+    const simulation = recording.createSimulation();
+    
+    for (let i = 0; i < steps && simulation.status === 'running'; i++) {
+        const input = {
+            left: i % 120 < 40,
+            right: i % 120 >= 80,
+            up: i % 300 < 100,
+            down: i % 300 >= 250,
+            throwPaper: i % 25 === 0
+        };
+        recording.record(input);
+        simulation.step(STEP, input);
+    }
+    
+    return { recording, simulation };
+}
+
+/**
+ * Snapshot the parts of a simulation a replay has to reproduce
+ * @param {Simulation} simulation - Simulation to snapshot
+ * @returns {Object} Snapshot
+ */
+function snapshot(simulation) {
+    return {
+        score: simulation.score,
+        lives: simulation.lives,
+        papers: simulation.papers,
+        status: simulation.status,
+        position: simulation.player.position.toArray(),
+        delivered: [...simulation.route.delivered]
+    };
+}
+
+test('a replay ends in the same state as the recorded run', () => {
+    const { recording, simulation } = recordRun(900);
+    const replay = new Replay(recording);
+    
+    while (!replay.isFinished) {
+        replay.step();
+    }
+    assert.deepEqual(snapshot(replay.simulation), snapshot(simulation));
+});
+
+test('the recording only stores input changes and throws', () => {
+    const { recording } = recordRun(240);
+    
+    assert.equal(recording.duration, 240);
+    assert.ok(recording.inputs.length < 40);
+    assert.ok(recording.inputs.every(input => Number.isInteger(input.step)));
+});
+
+test('seeking back and forth lands on the same state', () => {
+    const { recording } = recordRun(600);
+    const reference = new Replay(recording);
+    reference.seek(5);
+    
+    const replay = new Replay(recording);
+    replay.seek(8);
+    replay.seek(2);
+    replay.seek(5);
+    assert.equal(replay.time, reference.time);
+    assert.deepEqual(snapshot(replay.simulation), snapshot(reference.simulation));
+});
+
+test('playback speed scales the steps per frame', () => {
+    const { recording } = recordRun(600);
+    const replay = new Replay(recording);
+    
+    // Half a step extra so rounding can't drop the last one
+    replay.setSpeed(2);
+    replay.advance(0.5 + STEP / 4);
+    assert.equal(replay.stepIndex, 60);
+    
+    replay.pause();
+    replay.advance(0.5);
+    assert.equal(replay.stepIndex, 60);
+});
+
+test('recordings survive a JSON round trip', () => {
+    const { recording, simulation } = recordRun(600);
+    const loaded = Recording.fromJSON(JSON.stringify(recording));
+    const replay = new Replay(loaded);
+    
+    replay.seek(loaded.length);
+    assert.deepEqual(snapshot(replay.simulation), snapshot(simulation));
+});
+
+test('importing something that is not a recording fails clearly', () => {
+    assert.throws(() => Recording.fromJSON('not json'), /not valid JSON/);
+    assert.throws(() => Recording.fromJSON('{"hello": 1}'), /Not a Paperboy 3D recording/);
+});
+
+test('a replay scores only the points made during the run', () => {
+    const recording = new Recording({ seed: 7, options: { score: 500 }, timeStep: STEP });
+    const replay = new Replay(recording);
+    
+    assert.equal(recording.startScore, 500);
+    assert.equal(replay.simulation.score, 500);
+    assert.equal(replay.score, 0);
+});
@@ -0,0 +1,116 @@
+/**
+ * There is no renderer here, so "live" resources are the geometries and
+ * materials reachable from the scene plus any dropped from it without being
+ * disposed, which is what renderer.info.memory would keep counting.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { WorldView } from '../src/js/world/blocks.js';
+import { Simulation } from '../src/js/core/simulation.js';
+import { disposeProps } from '../src/js/world/props.js';
+
+/**
+ * Follows every geometry and material that has been in a scene
+ */
+class ResourceTracker {
+    constructor() {
+        this.seen = new Set();
+        this.disposed = new Set();
+    }
+    
+    /**
+     * Note the resources now in a scene
+     * @param {THREE.Object3D} scene - Scene to look through
+     */
+    collect(scene) {
+        scene.traverse((child) => {
+            if (!child.isMesh) return;
+            
+            for (const resource of [child.geometry, child.material]) {
+                if (this.seen.has(resource)) continue;
+                
+                this.seen.add(resource);
+                resource.addEventListener('dispose', () => this.disposed.add(resource));
+            }
+        });
+    }
+    
+    /**
+     * Resources seen and not yet disposed
+     * @returns {number} Live resources
+     */
+    get live() {
+        return this.seen.size - this.disposed.size;
+    }
+}
+
+/**
+ * Build a world on a seed into a scene, as the game does on restart
+ * @param {WorldView} view - World view to build into
+ * @param {number} seed - World seed
+ * @returns {Simulation} Simulation the world belongs to
+ */
+function rebuild(view, seed) {
+    view.cleanup();
+    disposeProps();
+    const simulation = new Simulation({ seed });
+    view.sync(simulation.world);
+    return simulation;
+}
+
+test('restarting frees every resource of the last world', () => {
+    const scene = new THREE.Scene();
+    const view = new WorldView(scene);
+    const tracker = new ResourceTracker();
+    
+    rebuild(view, 1234);
+    tracker.collect(scene);
+    const firstRun = tracker.seen.size;
+    
+    for (const seed of [1234, 99, 1234]) {
+        const before = new Set(tracker.seen);
+        rebuild(view, seed);
+        for (const resource of before) {
+            assert.ok(tracker.disposed.has(resource), `${resource.type} was not disposed`);
+        }
+        tracker.collect(scene);
+    }
+    
+    // The same street comes back with the same resources, no more
+    assert.equal(tracker.live, firstRun);
+    assert.equal(scene.children.length, view.blockGroups.size);
+});
+
+test('blocks streaming out free their own resources but not shared ones', () => {
+    const scene = new THREE.Scene();
+    const view = new WorldView(scene);
+    const tracker = new ResourceTracker();
+    const simulation = rebuild(view, 1234);
+    tracker.collect(scene);
+    
+    const [firstBlock] = simulation.world.blocks;
+    const owned = new Set();
+    const shared = new Set();
+    view.blockGroups.get(firstBlock).traverse((child) => {
+        if (!child.isMesh) return;
+        
+        for (const resource of [child.geometry, child.material]) {
+            (resource.userData.shared ? shared : owned).add(resource);
+        }
+    });
+    
+    assert.ok(owned.size > 0);
+    
+    simulation.world.update(400);
+    view.sync(simulation.world);
+    
+    assert.ok(!view.blockGroups.has(firstBlock));
+    for (const resource of owned) {
+        assert.ok(tracker.disposed.has(resource));
+    }
+    for (const resource of shared) {
+        assert.ok(!tracker.disposed.has(resource));
+    }
+});
@@ -0,0 +1,327 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Simulation } from '../src/js/core/simulation.js';
+import { STEP, NO_INPUT, createSimulation } from './helpers.js';
+
+/**
+ * Find the mailbox of a subscriber or non-subscriber house
+ * @param {Simulation} simulation - Simulation to search
+ * @param {boolean} isSubscriber - Which kind of house to look for
+ * @returns {Object} Mailbox
+ */
+function findMailbox(simulation, isSubscriber) {
+    return simulation.mailboxes.find(mailbox => mailbox.house.isSubscriber === isSubscriber);
+}
+
+/**
+ * Drop a paper straight down at a position
+ * @param {Simulation} simulation - Simulation to drop the paper in
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} z - Z position
+ */
+function dropPaper(simulation, x, y, z) {
+    simulation.createNewspaper(new THREE.Vector3(x, y, z), new THREE.Vector3(0, 0, 0));
+}
+
+/**
+ * Put an obstacle where the player is
+ * @param {Simulation} simulation - Simulation to add the obstacle to
+ * @param {string} type - Obstacle type
+ */
+function placeObstacle(simulation, type) {
+    const position = simulation.player.position;
+    simulation.world.addObstacle({
+        position: new THREE.Vector3(position.x, 0, position.z),
+        width: 2,
+        height: 1,
+        depth: 2,
+        type: type
+    });
+}
+
+test('the same seed lays out the same street', () => {
+    const first = new Simulation({ seed: 42 });
+    const second = new Simulation({ seed: 42 });
+    
+    assert.deepEqual(first.route.getSubscriberList(), second.route.getSubscriberList());
+    assert.deepEqual(
+        first.obstacles.map(obstacle => obstacle.position.toArray()),
+        second.obstacles.map(obstacle => obstacle.position.toArray())
+    );
+});
+
+test('a paper in a subscriber mailbox scores once', () => {
+    const simulation = createSimulation();
+    const mailbox = findMailbox(simulation, true);
+    
+    dropPaper(simulation, mailbox.position.x, 1.5, mailbox.position.z);
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.score, 20);
+    assert.ok(simulation.route.isDelivered(mailbox.house.number));
+    
+    dropPaper(simulation, mailbox.position.x, 1.5, mailbox.position.z);
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.score, 20);
+});
+
+test('a paper at a non-subscriber costs half the points', () => {
+    const simulation = createSimulation();
+    const mailbox = findMailbox(simulation, false);
+    
+    dropPaper(simulation, mailbox.position.x, 1.5, mailbox.position.z);
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.score, -10);
+    assert.ok(!simulation.route.isDelivered(mailbox.house.number));
+});
+
+test('a paper landing on a subscriber porch scores', () => {
+    const simulation = createSimulation();
+    const porch = simulation.porches.find(porch => porch.house.isSubscriber);
+    
+    dropPaper(simulation, porch.position.x, 0.4, porch.position.z);
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.score, 10);
+    assert.ok(simulation.route.isDelivered(porch.house.number));
+});
+
+test('breaking windows pays at non-subscribers and costs at subscribers', () => {
+    for (const [isSubscriber, points] of [[false, 15], [true, -25]]) {
+        const simulation = createSimulation();
+        const house = simulation.houses.find(house => house.isSubscriber === isSubscriber);
+        const houseWindow = house.windows[0];
+        const start = houseWindow.position.clone();
+        start.x += houseWindow.normalX * 0.2;
+        
+        simulation.createNewspaper(start, new THREE.Vector3(-houseWindow.normalX * 30, 0, 0));
+        simulation.step(STEP, NO_INPUT);
+        
+        assert.ok(houseWindow.broken);
+        assert.equal(simulation.score, points);
+        assert.equal(simulation.route.isDamaged(house.number), isSubscriber);
+        assert.equal(simulation.newspapers.length, 0);
+        assert.ok(simulation.drainEvents().some(event => event.type === 'windowBroken'));
+    }
+});
+
+test('throwing takes a paper from the bag', () => {
+    const simulation = createSimulation({ papers: 2 });
+    
+    simulation.step(STEP, { ...NO_INPUT, throwPaper: true });
+    assert.equal(simulation.papers, 1);
+    assert.equal(simulation.newspapers.length, 1);
+});
+
+test('throws go to the side asked for, further the longer they are charged', () => {
+    const simulation = createSimulation();
+    
+    /**
+     * Charge a throw for a number of steps and let it go
+     * @param {string} control - Throw control to hold
+     * @param {number} steps - Steps to hold it for
+     * @returns {Object} The paper thrown
+     */
+    const chargeAndThrow = (control, steps) => {
+        for (let i = 0; i < steps; i++) {
+            simulation.step(STEP, { ...NO_INPUT, [control]: true });
+        }
+        assert.equal(simulation.newspapers.length, 0);
+        simulation.step(STEP, NO_INPUT);
+        return simulation.newspapers.pop();
+    };
+    
+    const tap = chargeAndThrow('throwLeft', 1);
+    const lob = chargeAndThrow('throwRight', 40);
+    const full = chargeAndThrow('throwRight', 120);
+    
+    // Left is +x from behind a bike riding up the street
+    assert.ok(tap.velocity.x > 0);
+    assert.ok(lob.velocity.x < 0 && full.velocity.x < 0);
+    assert.ok(Math.abs(lob.velocity.x) > Math.abs(tap.velocity.x) && lob.velocity.y > tap.velocity.y);
+    assert.equal(-full.velocity.x, simulation.throwSpeed.max);
+    // Gravity has already had one step at the paper
+    assert.ok(Math.abs(full.velocity.y + simulation.paperGravity * simulation.paperWeight * STEP - simulation.throwLift.max) < 1e-9);
+});
+
+test('the throw preview traces the path the paper then takes', () => {
+    const simulation = createSimulation();
+    for (let i = 0; i < 20; i++) {
+        simulation.step(STEP, { ...NO_INPUT, throwLeft: true });
+    }
+    const path = simulation.predictThrow(simulation.throwCharge.side, simulation.throwPower);
+    
+    // Thrown from the path's first point, and moved one step along it
+    simulation.step(STEP, NO_INPUT);
+    const [newspaper] = simulation.newspapers;
+    assert.ok(newspaper.previousPosition.equals(path[0]));
+    for (let i = 1; newspaper.thrown; i++) {
+        assert.ok(newspaper.position.distanceTo(path[i]) < 1e-9);
+        simulation.step(STEP, NO_INPUT);
+    }
+    
+    // It comes down where the preview ends, on the porch it was aimed at
+    const end = path[path.length - 1];
+    assert.ok(Math.hypot(newspaper.position.x - end.x, newspaper.position.z - end.z) < 1e-9);
+    assert.ok(newspaper.delivered);
+});
+
+test('papers bounce, spin and skid to a stop on the road', () => {
+    const simulation = createSimulation();
+    const newspaper = simulation.createNewspaper(new THREE.Vector3(0, 2, 5), new THREE.Vector3(0, 0, 12));
+    assert.notEqual(newspaper.spin.y, 0);
+    
+    let landedAt = null;
+    let highest = 0;
+    for (let i = 0; i < 300 && newspaper.thrown; i++) {
+        simulation.player.position.z = 0;
+        simulation.step(STEP, NO_INPUT);
+        if (landedAt === null && newspaper.bounced) {
+            landedAt = newspaper.position.z;
+        } else if (landedAt !== null) {
+            highest = Math.max(highest, newspaper.position.y);
+        }
+    }
+    
+    assert.ok(!newspaper.thrown);
+    assert.ok(highest > 0.1, 'never bounced');
+    assert.ok(newspaper.position.z > landedAt + 1, 'never skidded');
+    assert.equal(newspaper.position.y, 0.05);
+    assert.equal(newspaper.rotation.x % Math.PI, 0);
+});
+
+test('papers glance off the side of a car', () => {
+    const simulation = createSimulation();
+    simulation.world.addObstacle({
+        position: new THREE.Vector3(0, 0, 20),
+        width: 2,
+        height: 1.7,
+        depth: 4,
+        type: 'car'
+    });
+    const newspaper = simulation.createNewspaper(new THREE.Vector3(4, 1, 20), new THREE.Vector3(-20, 0, 0));
+    
+    for (let i = 0; i < 20; i++) {
+        simulation.player.position.z = 0;
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.ok(newspaper.position.x > 1);
+    assert.ok(newspaper.bounced);
+    assert.ok(simulation.drainEvents().some(event => event.type === 'paperHit'));
+});
+
+test('papers landing on a roof are stuck there', () => {
+    const simulation = createSimulation();
+    const wall = simulation.walls[0];
+    dropPaper(simulation, wall.position.x, wall.height + 1, wall.position.z);
+    
+    for (let i = 0; i < 30; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    const [newspaper] = simulation.newspapers;
+    assert.ok(newspaper.onRoof && !newspaper.thrown && !newspaper.delivered);
+    assert.ok(newspaper.position.y > wall.height);
+    assert.ok(simulation.drainEvents().some(event => event.type === 'paperOnRoof' && event.house === wall.house));
+});
+
+test('a paper that bounces onto a porch is delivered there', () => {
+    const simulation = createSimulation();
+    const porch = simulation.porches.find(porch => porch.house.isSubscriber);
+    const streetward = -Math.sign(porch.position.x);
+    
+    // Lands on the lawn short of the porch and hops onto it
+    const start = new THREE.Vector3(porch.position.x + streetward * 6, 0.5, porch.position.z);
+    const newspaper = simulation.createNewspaper(start, new THREE.Vector3(-streetward * 12, 0, 0));
+    for (let i = 0; i < 60 && !newspaper.delivered; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    
+    assert.ok(newspaper.delivered && newspaper.bounced);
+    assert.equal(simulation.score, 10);
+    assert.ok(simulation.route.isDelivered(porch.house.number));
+});
+
+test('crashing costs a life and points, then protects the player', () => {
+    const simulation = createSimulation();
+    placeObstacle(simulation, 'car');
+    
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.lives, 2);
+    assert.equal(simulation.score, -5);
+    assert.ok(simulation.player.isInvincible);
+    
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.lives, 2);
+});
+
+test('losing the last life ends the game', () => {
+    const simulation = createSimulation({ lives: 1 });
+    placeObstacle(simulation, 'tree');
+    
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.lives, 0);
+    assert.equal(simulation.status, 'gameOver');
+});
+
+test('riding over a hill jumps and scores', () => {
+    const simulation = createSimulation();
+    placeObstacle(simulation, 'hill');
+    
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.score, 20);
+    assert.ok(simulation.player.isJumping);
+    assert.equal(simulation.lives, 3);
+});
+
+test('the day ends at the end of the route', () => {
+    const simulation = createSimulation();
+    simulation.player.position.z = simulation.route.getEndZ() - 0.01;
+    
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.status, 'dayOver');
+});
+
+test('removed papers are reused for the next throws', () => {
+    const simulation = createSimulation();
+    const mailbox = findMailbox(simulation, false);
+    
+    // Straight through a window, which takes the paper out of play
+    const house = simulation.houses[0];
+    const houseWindow = house.windows[0];
+    const start = houseWindow.position.clone();
+    start.x += houseWindow.normalX * 0.2;
+    const first = simulation.createNewspaper(start, new THREE.Vector3(-houseWindow.normalX * 30, 0, 0));
+    simulation.step(STEP, NO_INPUT);
+    assert.equal(simulation.newspapers.length, 0);
+    
+    dropPaper(simulation, mailbox.position.x, 1.5, mailbox.position.z);
+    assert.equal(simulation.newspapers[0], first);
+    assert.ok(simulation.newspapers[0].thrown);
+});
+
+test('only so many papers are left lying around, oldest cleared first', () => {
+    const simulation = createSimulation({ maxRestingPapers: 3 });
+    
+    const dropped = [];
+    for (let i = 0; i < 5; i++) {
+        dropPaper(simulation, 0, 0.5, 5 + i);
+        dropped.push(simulation.newspapers[simulation.newspapers.length - 1].position.z);
+        for (let j = 0; j < 30; j++) {
+            simulation.step(STEP, NO_INPUT);
+        }
+    }
+    
+    assert.equal(simulation.newspapers.length, 3);
+    assert.deepEqual(simulation.newspapers.map(newspaper => newspaper.position.z), dropped.slice(2));
+});
+
+test('papers lying around are cleared after a while', () => {
+    const simulation = createSimulation();
+    dropPaper(simulation, 0, 0.5, 5);
+    
+    for (let i = 0; i < 60 * (simulation.paperLifetime + 1); i++) {
+        simulation.player.position.z = 0;
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.equal(simulation.newspapers.length, 0);
+});
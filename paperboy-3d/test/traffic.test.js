@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Simulation } from '../src/js/core/simulation.js';
+import { createRandom } from '../src/js/utils.js';
+import { STEP, NO_INPUT, removeTraffic, rideAlong } from './helpers.js';
+
+/**
+ * Create a simulation with the traffic taken off the road
+ * @returns {Simulation} Simulation
+ */
+function createEmptyStreet() {
+    const simulation = new Simulation({ seed: 1234 });
+    removeTraffic(simulation);
+    return simulation;
+}
+
+/**
+ * Drive the traffic on its own for a while
+ * @param {Simulation} simulation - Simulation whose traffic to drive
+ * @param {number} seconds - How long to drive for
+ */
+function drive(simulation, seconds) {
+    for (let i = 0; i < seconds / STEP; i++) {
+        simulation.traffic.update(STEP, 0);
+    }
+}
+
+test('the same seed sends out the same traffic', () => {
+    const first = new Simulation({ seed: 1234 });
+    const second = new Simulation({ seed: 1234 });
+    for (let i = 0; i < 120; i++) {
+        first.step(STEP, NO_INPUT);
+        second.step(STEP, NO_INPUT);
+    }
+    
+    const describe = (simulation) => simulation.traffic.vehicles.map((vehicle) =>
+        [vehicle.vehicleType, vehicle.color, vehicle.position.x, vehicle.position.z]);
+    assert.ok(first.traffic.vehicles.length > 0);
+    assert.deepEqual(describe(first), describe(second));
+    assert.ok(first.traffic.vehicles.some((vehicle) => vehicle.direction.x !== 0));
+});
+
+test('vehicles keep to their lanes and their colliders go with them', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const vehicles = [...simulation.traffic.vehicles];
+    const lanes = vehicles.map((vehicle) => vehicle.direction.x !== 0 ? vehicle.position.z : vehicle.position.x);
+    drive(simulation, 1);
+    
+    vehicles.forEach((vehicle, i) => {
+        if (!simulation.traffic.vehicles.includes(vehicle)) return;
+        
+        const lane = vehicle.direction.x !== 0 ? vehicle.position.z : vehicle.position.x;
+        assert.equal(lane, lanes[i]);
+        assert.ok(simulation.obstacles.includes(vehicle));
+        
+        const collider = simulation.world.obstacleColliders.get(vehicle);
+        assert.ok(collider.position.equals(vehicle.position));
+        assert.equal(collider.rotation, vehicle.rotation);
+        assert.ok(simulation.collisions.query(collider.bounds, 'obstacle').includes(collider));
+    });
+    assert.ok(vehicles.some((vehicle) => !vehicle.position.equals(vehicle.previousPosition)));
+});
+
+test('vehicles wait at stop signs, then drive on', () => {
+    const simulation = createEmptyStreet();
+    const traffic = simulation.traffic;
+    
+    // A sign on the near right corner for traffic heading up the street
+    const sign = simulation.obstacles.find((obstacle) =>
+        obstacle.type === 'sign' && obstacle.position.x > 0 && obstacle.position.z < obstacle.streetZ);
+    const stopLine = sign.streetZ - simulation.world.streetWidth / 2;
+    const vehicle = traffic.addVehicle(
+        createRandom(1),
+        new THREE.Vector3(traffic.laneOffset, 0, stopLine - 20),
+        new THREE.Vector3(0, 0, 1)
+    );
+    const front = () => vehicle.position.z + vehicle.depth / 2;
+    
+    for (let i = 0; i < 600 && vehicle.stopTimer <= 0; i++) {
+        traffic.update(STEP, 0);
+    }
+    assert.equal(vehicle.speed, 0);
+    assert.ok(Math.abs(front() - stopLine) < 0.5);
+    
+    drive(simulation, traffic.stopTime + 5);
+    assert.ok(front() > sign.streetZ);
+});
+
+test('vehicles hang back from slower ones ahead in their lane', () => {
+    const simulation = createEmptyStreet();
+    const traffic = simulation.traffic;
+    const x = -traffic.laneOffset;
+    const ahead = traffic.addVehicle(createRandom(1), new THREE.Vector3(x, 0, 80), new THREE.Vector3(0, 0, -1));
+    const behind = traffic.addVehicle(createRandom(2), new THREE.Vector3(x, 0, 95), new THREE.Vector3(0, 0, -1));
+    ahead.cruiseSpeed = 2;
+    behind.cruiseSpeed = 9;
+    
+    for (let i = 0; i < 180; i++) {
+        traffic.update(STEP, 0);
+        const gap = behind.position.z - behind.depth / 2 - (ahead.position.z + ahead.depth / 2);
+        assert.ok(gap > 0, `gap closed to ${gap}`);
+    }
+    assert.ok(behind.speed < behind.cruiseSpeed);
+});
+
+test('riding into oncoming traffic is a crash', () => {
+    const simulation = createEmptyStreet();
+    for (const obstacle of simulation.obstacles.filter((obstacle) => obstacle.position.z < 20)) {
+        simulation.world.removeObstacle(obstacle);
+    }
+    simulation.traffic.addVehicle(createRandom(1), new THREE.Vector3(0, 0, 12), new THREE.Vector3(0, 0, -1));
+    
+    for (let i = 0; i < 60 && simulation.lives === 3; i++) {
+        simulation.step(STEP, NO_INPUT);
+    }
+    assert.equal(simulation.lives, 2);
+    assert.ok(simulation.drainEvents().some((event) => event.type === 'crash' && event.obstacle.type === 'car'));
+});
+
+test('vehicles left behind leave the world', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    const vehicles = [...simulation.traffic.vehicles];
+    simulation.world.update(400);
+    simulation.traffic.update(STEP, 400);
+    
+    for (const vehicle of vehicles) {
+        assert.ok(!simulation.traffic.vehicles.includes(vehicle));
+        assert.ok(!simulation.obstacles.includes(vehicle));
+        assert.ok(!simulation.world.obstacleColliders.has(vehicle));
+    }
+    assert.ok(simulation.traffic.vehicles.length > 0);
+});
+
+test('main-street traffic keeps coming on a long ride', () => {
+    const simulation = new Simulation({ seed: 1234 });
+    rideAlong(simulation, 1000);
+    
+    const playerZ = simulation.player.position.z;
+    const ahead = simulation.traffic.vehicles.filter((vehicle) =>
+        vehicle.direction.z !== 0 && vehicle.position.z > playerZ);
+    assert.ok(ahead.length > 0);
+});